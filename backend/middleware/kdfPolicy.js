@@ -0,0 +1,269 @@
+const CryptoUtils = require("../utils/crypto");
+
+/**
+ * Server-side cost policy for key derivation
+ *
+ * Every KDF spec is priced in estimated milliseconds on this host: a per-KDF work
+ * figure (PBKDF2 iterations per 32-byte block, scrypt N*r*p, Argon2id KiB*passes)
+ * multiplied by a rate measured by calibrate(). Requests must stay inside the
+ * parameter bounds and the per-request ceiling, and each session may spend a
+ * limited number of milliseconds per budget window.
+ */
+class KdfCostPolicy {
+  constructor() {
+    this.targetLatencyMs = parseInt(process.env.KDF_TARGET_LATENCY_MS) || 250;
+    this.maxRequestCostMs = parseInt(process.env.KDF_MAX_REQUEST_MS) || 5000;
+    this.sessionBudgetMs = parseInt(process.env.KDF_SESSION_BUDGET_MS) || 60000;
+    this.budgetWindowMs = parseInt(process.env.KDF_BUDGET_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+    this.maxMemoryBytes = (parseInt(process.env.KDF_MAX_MEMORY_MB) || 256) * 1024 * 1024;
+
+    // Allowed parameter ranges (inclusive) per KDF
+    this.bounds = {
+      "pbkdf2-sha256": {
+        i: [parseInt(process.env.KDF_PBKDF2_MIN_ITERATIONS) || 100000, parseInt(process.env.KDF_PBKDF2_MAX_ITERATIONS) || 2000000],
+      },
+      scrypt: { ln: [14, 20], r: [8, 16], p: [1, 4] },
+      argon2id: { m: [19456, 262144], t: [2, 10], p: [1, 4] },
+    };
+
+    // Work units and memory for a parsed spec; keyLength only matters for PBKDF2,
+    // which runs the full iteration count once per 32-byte output block
+    this.costModels = {
+      "pbkdf2-sha256": {
+        work: (params, keyLength) => params.i * Math.ceil(keyLength / 32),
+        memory: () => 0,
+      },
+      scrypt: {
+        work: (params) => 2 ** params.ln * params.r * params.p,
+        memory: (params) => 128 * 2 ** params.ln * params.r * params.p,
+      },
+      argon2id: {
+        work: (params) => params.m * params.t,
+        memory: (params) => params.m * 1024,
+      },
+    };
+
+    // Milliseconds per work unit; conservative defaults until calibrate() has run
+    this.msPerUnit = {
+      "pbkdf2-sha256": 0.0005,
+      scrypt: 0.0005,
+      argon2id: 0.004,
+    };
+    this.calibration = null;
+
+    this.budgets = new Map(); // sessionId -> { windowStart, spent, requests }
+    this.statistics = {
+      evaluated: 0,
+      violations: 0,
+      budgetRejections: 0,
+      totalCostMs: 0,
+    };
+
+    this.startCleanupScheduler();
+  }
+
+  /**
+   * Benchmark every registered KDF and derive recommended specs for the target latency
+   * @returns {Promise<Object>} Calibration report
+   */
+  async calibrate() {
+    const probes = {
+      "pbkdf2-sha256": CryptoUtils.formatKdfSpec("pbkdf2-sha256", { i: 20000 }),
+      scrypt: CryptoUtils.formatKdfSpec("scrypt", { ln: 14, r: 8, p: 1 }),
+      argon2id: CryptoUtils.formatKdfSpec("argon2id", { m: 19456, t: 1, p: 1 }),
+    };
+    const salt = CryptoUtils.sha256("safepass-kdf-calibration");
+    const measurements = {};
+
+    for (const [name, spec] of Object.entries(probes)) {
+      const { params } = CryptoUtils.parseKdfSpec(spec);
+      let best = Infinity;
+
+      // Best of two runs, so one-off warm-up cost does not inflate the estimate
+      for (let run = 0; run < 2; run++) {
+        const start = process.hrtime.bigint();
+        await CryptoUtils.deriveKeyWithSpec("calibration", salt, spec, 32);
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+      }
+
+      this.msPerUnit[name] = best / this.costModels[name].work(params, 32);
+      measurements[name] = { spec, ms: Math.round(best * 100) / 100 };
+    }
+
+    this.calibration = {
+      calibratedAt: new Date().toISOString(),
+      targetLatencyMs: this.targetLatencyMs,
+      measurements,
+      recommended: this.getRecommendations(),
+    };
+    return this.calibration;
+  }
+
+  /**
+   * Recommend one spec per KDF that takes roughly targetLatencyMs on this host
+   * @returns {Object} KDF name -> spec string
+   */
+  getRecommendations() {
+    const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+    const target = this.targetLatencyMs;
+    const { scrypt, argon2id } = this.bounds;
+
+    const iterations = Math.round(target / this.msPerUnit["pbkdf2-sha256"] / 10000) * 10000;
+    const ln = Math.floor(Math.log2(target / (this.msPerUnit.scrypt * 8)));
+    const passes = Math.floor(target / (this.msPerUnit.argon2id * 19456));
+
+    return {
+      "pbkdf2-sha256": CryptoUtils.formatKdfSpec("pbkdf2-sha256", { i: clamp(iterations, this.bounds["pbkdf2-sha256"].i) }),
+      scrypt: CryptoUtils.formatKdfSpec("scrypt", { ln: clamp(ln, scrypt.ln), r: 8, p: 1 }),
+      argon2id: CryptoUtils.formatKdfSpec("argon2id", { m: 19456, t: clamp(passes, argon2id.t), p: 1 }),
+    };
+  }
+
+  /**
+   * Check a KDF spec against the policy and price it
+   * @param {string} spec - KDF spec (see CryptoUtils.parseKdfSpec)
+   * @param {number} keyLength - Derived key length in bytes
+   * @returns {Object} { allowed, violations, costMs }
+   */
+  evaluate(spec, keyLength = 32) {
+    this.statistics.evaluated++;
+
+    let parsed;
+    try {
+      parsed = CryptoUtils.parseKdfSpec(spec);
+    } catch (error) {
+      this.statistics.violations++;
+      return { allowed: false, violations: [error.message], costMs: 0 };
+    }
+
+    const { name, params } = parsed;
+    const violations = [];
+
+    for (const [param, [min, max]] of Object.entries(this.bounds[name])) {
+      if (params[param] < min || params[param] > max) {
+        violations.push(`${name} parameter ${param} must be between ${min} and ${max}`);
+      }
+    }
+
+    const model = this.costModels[name];
+    const memory = model.memory(params);
+    if (memory > this.maxMemoryBytes) {
+      violations.push(`${name} would use ${Math.round(memory / 1024 / 1024)} MB; the server allows ${this.maxMemoryBytes / 1024 / 1024} MB`);
+    }
+
+    const costMs = Math.ceil(model.work(params, keyLength) * this.msPerUnit[name]);
+    if (costMs > this.maxRequestCostMs) {
+      violations.push(`Estimated derivation time ${costMs} ms exceeds the ${this.maxRequestCostMs} ms limit`);
+    }
+
+    if (violations.length > 0) {
+      this.statistics.violations++;
+    }
+
+    return { allowed: violations.length === 0, violations, costMs };
+  }
+
+  /**
+   * Charge a derivation cost to a session's budget
+   * @param {string} sessionId - Session ID
+   * @param {number} costMs - Estimated cost from evaluate()
+   * @returns {Object} { allowed, remainingMs, retryAfter } (retryAfter in seconds)
+   */
+  consume(sessionId, costMs) {
+    const now = Date.now();
+    let budget = this.budgets.get(sessionId);
+
+    if (!budget || now - budget.windowStart >= this.budgetWindowMs) {
+      budget = { windowStart: now, spent: 0, requests: 0 };
+      this.budgets.set(sessionId, budget);
+    }
+
+    if (budget.spent + costMs > this.sessionBudgetMs) {
+      this.statistics.budgetRejections++;
+      return {
+        allowed: false,
+        remainingMs: this.sessionBudgetMs - budget.spent,
+        retryAfter: Math.ceil((budget.windowStart + this.budgetWindowMs - now) / 1000),
+      };
+    }
+
+    budget.spent += costMs;
+    budget.requests++;
+    this.statistics.totalCostMs += costMs;
+
+    return { allowed: true, remainingMs: this.sessionBudgetMs - budget.spent, retryAfter: 0 };
+  }
+
+  /**
+   * Give back a charge for a derivation that never completed
+   * @param {string} sessionId - Session ID
+   * @param {number} costMs - Cost previously passed to consume()
+   */
+  refund(sessionId, costMs) {
+    const budget = this.budgets.get(sessionId);
+    if (budget) {
+      budget.spent = Math.max(0, budget.spent - costMs);
+      this.statistics.totalCostMs -= costMs;
+    }
+  }
+
+  /**
+   * Drop budgets whose window has ended
+   */
+  cleanupBudgets() {
+    const now = Date.now();
+    for (const [sessionId, budget] of this.budgets.entries()) {
+      if (now - budget.windowStart >= this.budgetWindowMs) {
+        this.budgets.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Drop ended budgets every minute, so sessions that never come back do not pile up
+   * (unref'd: the HTTP server is what keeps the process alive)
+   */
+  startCleanupScheduler() {
+    setInterval(() => {
+      this.cleanupBudgets();
+    }, 60 * 1000).unref();
+  }
+
+  /**
+   * Public description of the policy
+   * @returns {Object} Bounds, limits and recommended specs
+   */
+  getPolicy() {
+    return {
+      bounds: this.bounds,
+      maxMemoryMB: this.maxMemoryBytes / 1024 / 1024,
+      maxRequestCostMs: this.maxRequestCostMs,
+      sessionBudgetMs: this.sessionBudgetMs,
+      budgetWindowMs: this.budgetWindowMs,
+      targetLatencyMs: this.targetLatencyMs,
+      recommended: this.getRecommendations(),
+      calibrated: Boolean(this.calibration),
+    };
+  }
+
+  /**
+   * Get policy statistics
+   * @returns {Object} Statistics with calibration report and active budgets
+   */
+  getStats() {
+    this.cleanupBudgets();
+    return {
+      ...this.statistics,
+      activeBudgets: this.budgets.size,
+      calibration: this.calibration,
+    };
+  }
+}
+
+// Singleton instance
+const kdfCostPolicy = new KdfCostPolicy();
+
+module.exports = {
+  KdfCostPolicy,
+  kdfCostPolicy,
+};
@@ -1,4 +1,13 @@
 const CryptoUtils = require("../utils/crypto");
+const Wordlist = require("../utils/wordlist");
+const { cryptoPool } = require("../utils/workerPool");
+const Oprf = require("../utils/oprf");
+const Canonical = require("../utils/canonical");
+const PasswordRules = require("../utils/passwordRules");
+const Strength = require("../utils/strength");
+const Spectre = require("../utils/spectre");
+const LessPass = require("../utils/lesspass");
+const KeyPair = require("../utils/keyPair");
 
 /**
  * Password Generation Manager
@@ -23,6 +32,132 @@ class PasswordGeneration {
       alphanumeric: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789",
     };
 
+    // Output profiles (rules.profile). "standard" is the original lowercase + uppercase +
+    // numbers (+ symbols) set; every other profile uses exactly its own alphabet and
+    // ignores requireSymbols/excludeAmbiguous, except where noted.
+    this.outputProfiles = {
+      standard: { minLength: 8, maxLength: 128, enforceClasses: true },
+      alphanumeric: {
+        charset: this.characterSets.alphanumeric,
+        minLength: 4,
+        maxLength: 128,
+        enforceClasses: true,
+        allowExcludeAmbiguous: true,
+      },
+      letters: {
+        charset: this.characterSets.uppercase + this.characterSets.lowercase,
+        minLength: 4,
+        maxLength: 128,
+        enforceClasses: true,
+        allowExcludeAmbiguous: true,
+      },
+      pin: { charset: this.characterSets.numbers, minLength: 4, maxLength: 12, enforceClasses: false },
+      hex: { charset: "0123456789abcdef", minLength: 4, maxLength: 128, enforceClasses: false },
+      base32: { charset: "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567", minLength: 4, maxLength: 128, enforceClasses: false },
+      custom: { minLength: 4, maxLength: 128, enforceClasses: false },
+    };
+
+    // Generation schemes, keyed by the id stored in password rules and returned in metadata.
+    // Existing passwords depend on a scheme's output never changing: a behaviour change is a
+    // new scheme id, and test-vectors/generation.json pins the output of every entry.
+    // keyLength "length" means one derived byte per output character. See docs/generation-scheme.md.
+    this.schemes = new Map([
+      [
+        "safepass-1",
+        {
+          mode: "password",
+          description: "One derived key byte per character (modulo mapping)",
+          keyLength: "length",
+          charset: "buildCharacterSet",
+          mapping: "charset[byte % charset.length] for each key byte",
+          streams: [],
+          complexity: "not enforced",
+        },
+      ],
+      [
+        "safepass-2",
+        {
+          mode: "password",
+          description: "32-byte derived key expanded with HKDF, rejection-sampled characters",
+          keyLength: 32,
+          charset: "buildCharacterSet",
+          mapping: "rejection sampling from the safepass-2:password stream; weak PINs redrawn",
+          streams: ["safepass-2:password", "safepass-2:complexity"],
+          complexity: "class minimums enforced from the safepass-2:complexity stream",
+        },
+      ],
+      [
+        "safepass-passphrase-1",
+        {
+          mode: "passphrase",
+          description: "32-byte derived key expanded with HKDF, Diceware words drawn by rejection sampling",
+          keyLength: 32,
+          charset: "word list (checksum-pinned)",
+          mapping: "word indexes, then capitalization bits, digit and symbol insertions, in that order",
+          streams: ["safepass-passphrase:v1"],
+          complexity: "not applicable",
+        },
+      ],
+      [
+        "spectre-3",
+        {
+          mode: "password",
+          description: "Spectre (Master Password) v3: scrypt user key from the full name, HMAC-SHA256 site seed",
+          keyLength: 64,
+          charset: "Spectre template classes (passwordRules.spectre.template)",
+          mapping: "templates[seed[0] % n], then class[seed[i + 1] % class.length] for each template character",
+          streams: [],
+          complexity: "not enforced; fixed by the template",
+        },
+      ],
+      [
+        "lesspass-2",
+        {
+          mode: "password",
+          description: "LessPass v2: PBKDF2-SHA256 entropy over site, login and counter, rendered as one big integer",
+          keyLength: 32,
+          charset: "LessPass character sets enabled in passwordRules.lesspass",
+          mapping: "divmod by the combined set per character, then one character per enabled set inserted at entropy-derived positions",
+          streams: [],
+          complexity: "one character of every enabled set, by construction",
+        },
+      ],
+    ]);
+    this.defaultScheme = "safepass-1";
+    this.defaultPassphraseScheme = "safepass-passphrase-1";
+
+    // Salt formats, keyed by the saltVersion returned in metadata. The salt is the SHA-256
+    // hex digest of the input, passed to the KDF as UTF-8 text.
+    this.saltFormats = new Map([
+      [1, { input: "platform:SERVER_SECRET", usedWhen: "no account identifier and counter 0" }],
+      [2, { input: "v2:platform:account[:counter]:SERVER_SECRET", usedWhen: "account identifier or counter set; fields URI-encoded" }],
+      [3, { input: "oprf-v1:platform:account:counter", usedWhen: "server-bound (OPRF) client generation; SERVER_SECRET applied through the OPRF key" }],
+      [4, { input: "c1:platform:account:counter:SERVER_SECRET", usedWhen: "canonical inputs (canonicalization nfkc-1); fields URI-encoded" }],
+      [5, { input: "com.lyndir.masterpassword | len(fullName) | fullName", usedWhen: "spectre-3 scheme; the salt is these bytes hex-encoded, not a digest, and has no SERVER_SECRET" }],
+      [6, { input: "site + login + hex(counter)", usedWhen: "lesspass-2 scheme; the salt is the input itself as UTF-8 text, not a digest, and has no SERVER_SECRET" }],
+    ]);
+
+    // Character classes checked by complexity enforcement, in enforcement order
+    this.characterClasses = ["lowercase", "uppercase", "numbers", "symbols"];
+
+    // Passphrase mode defaults (rules.mode === "passphrase")
+    this.passphraseDefaults = {
+      words: 6,
+      separator: "-",
+      capitalization: "lower",
+      insertDigit: false,
+      insertSymbol: false,
+      wordlist: "eff-large",
+    };
+    this.capitalizationStyles = ["lower", "upper", "title", "random"];
+
+    // Spectre options (rules.scheme === "spectre-3"); the full name has no default
+    this.spectreDefaults = { template: "long" };
+    this.spectreTemplates = Object.keys(Spectre.templates);
+
+    // LessPass options (rules.scheme === "lesspass-2"), defaulting like the LessPass apps
+    this.lesspassDefaults = { lowercase: true, uppercase: true, digits: true, symbols: true, length: 16 };
+
     // Platform-specific password rules
     this.platformRules = new Map([
       ["gmail", { length: 16, requireSymbols: true, excludeAmbiguous: true }],
@@ -32,8 +167,80 @@ class PasswordGeneration {
       ["twitter", { length: 18, requireSymbols: true, excludeAmbiguous: false }],
       ["github", { length: 20, requireSymbols: true, excludeAmbiguous: false }],
       ["linkedin", { length: 16, requireSymbols: true, excludeAmbiguous: true }],
+      ["bankpin", { profile: "pin", length: 6 }],
+      ["carrierpin", { profile: "pin", length: 4 }],
+      ["wifi", { mode: "passphrase", words: 6, separator: "-", capitalization: "lower", insertDigit: true }],
+      ["ssh", { mode: "passphrase", words: 7, separator: " ", capitalization: "lower" }],
+      ["diskencryption", { mode: "passphrase", words: 8, separator: " ", capitalization: "lower" }],
       ["default", { length: 16, requireSymbols: true, excludeAmbiguous: true }],
     ]);
+
+    // Registrable domains of the presets, for platform keys from PlatformResolver (canonical requests only,
+    // so a legacy platform typed as "github.com" keeps the default rules it always had)
+    this.platformDomains = new Map([
+      ["google.com", "gmail"],
+      ["discord.com", "discord"],
+      ["facebook.com", "facebook"],
+      ["instagram.com", "instagram"],
+      ["twitter.com", "twitter"],
+      ["github.com", "github"],
+      ["linkedin.com", "linkedin"],
+    ]);
+
+    // Username generation (generateUsername). Usernames have their own salt format and HKDF
+    // info, so no username can share a key with a password; test-vectors/usernames.json pins them.
+    this.usernameScheme = "safepass-username-1";
+    this.usernameKdf = "$pbkdf2-sha256$i=100000";
+    this.usernameKinds = ["username", "email"];
+    this.usernameTemplates = ["adjective-noun-digits", "alnum", "syllables"];
+    this.usernameDefaults = { template: "adjective-noun-digits", digits: 3, length: 12 };
+    this.syllableConsonants = "bdfghjklmnprstvz";
+    this.syllableVowels = "aeiou";
+
+    // Security question answers (generateSecurityAnswers): their own salt format, and one
+    // HKDF stream per canonical question. test-vectors/security-answers.json pins them.
+    this.answerScheme = "safepass-answer-1";
+    this.answerKdf = "$pbkdf2-sha256$i=100000";
+    this.answerStyles = {
+      pronounceable: { words: 3, syllables: 3 },
+      passphrase: { words: 4, wordlist: "eff-large" },
+    };
+    this.maxAnswerQuestions = 10;
+
+    // SSH and age key pairs (generateKeyPair): their own salt format, one HKDF stream per key
+    // type. utils/keyPair.js encodes the seeds; test-vectors/keys.json pins them.
+    this.keyScheme = "safepass-key-1";
+    this.keyKdf = "$pbkdf2-sha256$i=100000";
+    this.keyTypes = ["ssh-ed25519", "age-x25519"];
+
+    // OPRF key pairs by secret: one for SERVER_SECRET and one per user pepper (getOprfKey)
+    this.oprfKeys = new Map();
+
+    // Username limits per platform preset: length bounds and accepted separators, the first
+    // of which joins adjective and noun. Kind "email" uses the "email" entry on every platform.
+    this.usernameRules = new Map([
+      ["gmail", { minLength: 6, maxLength: 30, separators: "." }],
+      ["discord", { minLength: 2, maxLength: 32, separators: "_." }],
+      ["facebook", { minLength: 5, maxLength: 50, separators: "." }],
+      ["instagram", { minLength: 1, maxLength: 30, separators: "_." }],
+      ["twitter", { minLength: 4, maxLength: 15, separators: "_" }],
+      ["github", { minLength: 1, maxLength: 39, separators: "-" }],
+      ["linkedin", { minLength: 3, maxLength: 100, separators: "-" }],
+      ["default", { minLength: 3, maxLength: 20, separators: "_" }],
+      ["email", { minLength: 1, maxLength: 64, separators: ".-_" }],
+    ]);
+  }
+
+  /**
+   * Check a rotation counter: an integer from 0 to 9999, given as a number or a string of digits.
+   * Routes read it with parseInt, so other values that Number accepts ("1e3", true) would derive a different
+   * counter than the one validated.
+   * @param {*} counter - Counter from the request
+   * @returns {boolean} True if the counter is valid
+   */
+  isValidCounter(counter) {
+    const value = typeof counter === "string" && /^[0-9]+$/.test(counter) ? Number(counter) : counter;
+    return Number.isInteger(value) && value >= 0 && value <= 9999;
   }
 
   /**
@@ -42,13 +249,45 @@ class PasswordGeneration {
    * @returns {Object} Validation result
    */
   validateParameters(params) {
+    const errors = this.validateMasterPassword(params.masterPassword, params.canonical === true);
+
+    errors.push(...this.validateDerivationParameters(params).errors);
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Validate a master password
+   * Canonical requests measure the canonical form that gets derived from.
+   * @param {string} masterPassword - Master password
+   * @param {boolean} canonical - Derived from its canonical form
+   * @returns {string[]} Validation errors
+   */
+  validateMasterPassword(masterPassword, canonical = false) {
+    if (!masterPassword || typeof masterPassword !== "string") {
+      return ["Master password is required and must be a string"];
+    }
+    if ((canonical ? Canonical.password(masterPassword) : masterPassword).length < 8) {
+      return ["Master password must be at least 8 characters long"];
+    }
+    return [];
+  }
+
+  /**
+   * Validate everything except the master password
+   * Used directly when the client derives locally and never sends the master password.
+   * @param {Object} params - Generation parameters
+   * @returns {Object} Validation result
+   */
+  validateDerivationParameters(params) {
     const errors = [];
 
-    // Validate master password
-    if (!params.masterPassword || typeof params.masterPassword !== "string") {
-      errors.push("Master password is required and must be a string");
-    } else if (params.masterPassword.length < 8) {
-      errors.push("Master password must be at least 8 characters long");
+    // Validate canonicalization flag (optional)
+    if (params.canonical !== undefined && typeof params.canonical !== "boolean") {
+      errors.push("canonical must be a boolean");
     }
 
     // Validate platform
@@ -56,19 +295,92 @@ class PasswordGeneration {
       errors.push("Platform is required and must be a string");
     } else if (params.platform.length > 50) {
       errors.push("Platform name must be 50 characters or less");
+    } else if (params.canonical === true && !Canonical.platform(params.platform)) {
+      errors.push("Platform must contain more than whitespace");
     }
 
-    // Validate password length
-    if (params.passwordLength) {
+    // Validate account identifier (optional)
+    if (params.accountIdentifier !== undefined && params.accountIdentifier !== null && params.accountIdentifier !== "") {
+      if (typeof params.accountIdentifier !== "string") {
+        errors.push("Account identifier must be a string");
+      } else if (params.accountIdentifier.trim().length === 0) {
+        errors.push("Account identifier must not be blank");
+      } else if (params.accountIdentifier.length > 254) {
+        errors.push("Account identifier must be 254 characters or less");
+      }
+    }
+
+    // Validate rotation counter (optional)
+    if (params.counter !== undefined && params.counter !== null && params.counter !== "") {
+      if (!this.isValidCounter(params.counter)) {
+        errors.push("Counter must be an integer between 0 and 9999");
+      }
+    }
+
+    // Validate output profile, then password length against the profile's bounds
+    const profileErrors = this.validateProfileRules(params);
+    errors.push(...profileErrors);
+
+    if (params.passwordLength && profileErrors.length === 0) {
+      const { minLength, maxLength } = this.getProfileBounds(params);
       const length = parseInt(params.passwordLength);
-      if (isNaN(length) || length < 8 || length > 128) {
-        errors.push("Password length must be between 8 and 128 characters");
+      if (isNaN(length) || length < minLength || length > maxLength) {
+        errors.push(`Password length must be between ${minLength} and ${maxLength} characters`);
       }
     }
 
     // Validate password rules
     if (params.passwordRules && typeof params.passwordRules !== "object") {
       errors.push("Password rules must be an object");
+    } else if (params.passwordRules && params.passwordRules.scheme !== undefined) {
+      const scheme = this.schemes.get(params.passwordRules.scheme);
+      const mode = params.passwordRules.mode === "passphrase" ? "passphrase" : "password";
+      if (!scheme) {
+        errors.push(`Unknown generation scheme. Supported schemes: ${Array.from(this.schemes.keys()).join(", ")}`);
+      } else if (scheme.mode !== mode) {
+        errors.push(`Scheme ${params.passwordRules.scheme} only supports ${scheme.mode} mode`);
+      }
+    }
+
+    // Validate passphrase options
+    if (params.passwordRules && typeof params.passwordRules === "object") {
+      errors.push(...this.validatePassphraseRules(params.passwordRules));
+    }
+
+    // Validate Spectre options
+    if (params.passwordRules && typeof params.passwordRules === "object") {
+      errors.push(...this.validateSpectreRules(params));
+      errors.push(...this.validateLessPassRules(params));
+    }
+
+    // Validate KDF spec
+    if (params.passwordRules && typeof params.passwordRules === "object" && params.passwordRules.kdf !== undefined) {
+      try {
+        CryptoUtils.parseKdfSpec(params.passwordRules.kdf);
+      } catch (error) {
+        errors.push(`Invalid KDF: ${error.message}`);
+      }
+    }
+
+    // Validate PBKDF2 iterations (optional); cost bounds are enforced by kdfPolicy
+    if (params.iterations !== undefined && params.iterations !== null && params.iterations !== "") {
+      const iterations = Number(params.iterations);
+      if (!Number.isInteger(iterations) || iterations < 1) {
+        errors.push("Iterations must be a positive integer");
+      }
+    }
+
+    // Validate OPRF flag (optional)
+    if (params.oprf !== undefined && typeof params.oprf !== "boolean") {
+      errors.push("oprf must be a boolean");
+    }
+
+    // Validate passwordrules; these replace minCounts, which are only checked without them
+    if (params.passwordRules && typeof params.passwordRules === "object" && params.passwordRules.passwordrules !== undefined) {
+      errors.push(...this.validatePasswordrules(params));
+    } else if (params.passwordRules && typeof params.passwordRules === "object" && params.passwordRules.minCounts !== undefined) {
+      // Validate minimum character class counts against the effective rules
+      errors.push(...this.validateMinCounts(params));
     }
 
     return {
@@ -77,20 +389,371 @@ class PasswordGeneration {
     };
   }
 
+  /**
+   * Get the length bounds of the profile selected by the parameters
+   * @param {Object} params - Generation parameters
+   * @returns {Object} minLength and maxLength
+   */
+  getProfileBounds(params) {
+    const customRules = params.passwordRules && typeof params.passwordRules === "object" ? params.passwordRules : {};
+    const rules = typeof params.platform === "string" ? this.getPasswordRules(params.platform, customRules, params.canonical === true) : customRules;
+    const siteRules = this.parsePasswordrules(rules);
+    if (siteRules) {
+      return this.getPasswordrulesBounds(siteRules);
+    }
+    const profile = this.outputProfiles[rules.profile || "standard"] || this.outputProfiles.standard;
+
+    return { minLength: profile.minLength, maxLength: profile.maxLength };
+  }
+
+  /**
+   * Length bounds of a parsed passwordrules value, within the 4 to 128 characters SafePass generates
+   * @param {Object} siteRules - Result of PasswordRules.parse
+   * @returns {Object} minLength and maxLength
+   */
+  getPasswordrulesBounds(siteRules) {
+    return { minLength: Math.max(siteRules.minLength || 0, 4), maxLength: Math.min(siteRules.maxLength || 128, 128) };
+  }
+
+  /**
+   * Parse the passwordrules of a rule set, when they apply
+   * They apply to standard-profile passwords generated with safepass-2; a different profile,
+   * passphrase mode or a pinned safepass-1 keeps its own behaviour (so custom rules can
+   * override a quirks preset). Rules that do not parse are left to validation to report.
+   * @param {Object} rules - Password rules
+   * @returns {Object|null} Parsed rules (see PasswordRules.parse), or null
+   */
+  parsePasswordrules(rules) {
+    if (typeof rules.passwordrules !== "string" || rules.mode === "passphrase" || (rules.profile && rules.profile !== "standard")) {
+      return null;
+    }
+    if (rules.scheme !== undefined && rules.scheme !== "safepass-2") {
+      return null;
+    }
+
+    try {
+      return PasswordRules.parse(rules.passwordrules);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate a passwordrules value (passwordRules.passwordrules)
+   * @param {Object} params - Generation parameters
+   * @returns {string[]} Validation errors
+   */
+  validatePasswordrules(params) {
+    const { passwordrules, profile, mode, scheme, minCounts } = params.passwordRules;
+
+    if (typeof passwordrules !== "string" || passwordrules.length > 1000) {
+      return ["passwordrules must be a string of at most 1000 characters"];
+    }
+
+    let siteRules;
+    try {
+      siteRules = PasswordRules.parse(passwordrules);
+    } catch (error) {
+      return [`Invalid passwordrules: ${error.message}`];
+    }
+
+    const errors = [];
+    if (profile !== undefined && profile !== "standard") {
+      errors.push('passwordrules can only be used with the "standard" profile');
+    }
+    if (mode === "passphrase") {
+      errors.push("passwordrules cannot be used in passphrase mode");
+    }
+    if (scheme !== undefined && scheme !== "safepass-2") {
+      errors.push("passwordrules require the safepass-2 scheme");
+    }
+    if (minCounts !== undefined) {
+      errors.push('minCounts cannot be combined with passwordrules; use "required" rules instead');
+    }
+    if (siteRules.maxLength !== null && siteRules.maxLength < 4) {
+      errors.push("passwordrules maxlength must be at least 4");
+    } else if (siteRules.required.length > this.getPasswordrulesBounds(siteRules).maxLength) {
+      errors.push("passwordrules require more character groups than the maximum length");
+    }
+    if (siteRules.maxConsecutive !== null && siteRules.allowed.length < 2) {
+      errors.push("passwordrules max-consecutive needs at least two allowed characters");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate output profile rules (profile, alphabet, length)
+   * @param {Object} params - Generation parameters
+   * @returns {string[]} Validation errors
+   */
+  validateProfileRules(params) {
+    const passwordRules = params.passwordRules;
+    if (!passwordRules || typeof passwordRules !== "object") {
+      return [];
+    }
+
+    const errors = [];
+    const { profile, alphabet, length } = passwordRules;
+
+    if (profile !== undefined && !Object.prototype.hasOwnProperty.call(this.outputProfiles, profile)) {
+      return [`Unknown output profile. Supported profiles: ${Object.keys(this.outputProfiles).join(", ")}`];
+    }
+
+    if (profile === "custom") {
+      if (typeof alphabet !== "string" || alphabet.length < 2 || alphabet.length > 128) {
+        errors.push("Custom profile requires an alphabet of 2 to 128 characters");
+      } else if (new Set(alphabet).size !== alphabet.length) {
+        errors.push("Custom alphabet must not contain duplicate characters");
+      } else if (/[\s\u0000-\u001f\u007f]/.test(alphabet)) {
+        errors.push("Custom alphabet must not contain whitespace or control characters");
+      }
+    } else if (alphabet !== undefined) {
+      errors.push('An alphabet can only be used with the "custom" profile');
+    }
+
+    if (length !== undefined) {
+      const { minLength, maxLength } = this.getProfileBounds(params);
+      if (!Number.isInteger(length) || length < minLength || length > maxLength) {
+        errors.push(`Password length must be between ${minLength} and ${maxLength} characters`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate passphrase-related rules
+   * @param {Object} passwordRules - Custom password rules
+   * @returns {string[]} Validation errors
+   */
+  validatePassphraseRules(passwordRules) {
+    const errors = [];
+    const { mode, words, separator, capitalization, insertDigit, insertSymbol } = passwordRules;
+
+    if (mode !== undefined && mode !== "password" && mode !== "passphrase") {
+      errors.push('Mode must be "password" or "passphrase"');
+    }
+
+    if (words !== undefined && (!Number.isInteger(words) || words < 3 || words > 20)) {
+      errors.push("Passphrase word count must be an integer between 3 and 20");
+    }
+
+    if (separator !== undefined && (typeof separator !== "string" || separator.length > 3)) {
+      errors.push("Passphrase separator must be a string of at most 3 characters");
+    }
+
+    if (capitalization !== undefined && !this.capitalizationStyles.includes(capitalization)) {
+      errors.push(`Passphrase capitalization must be one of: ${this.capitalizationStyles.join(", ")}`);
+    }
+
+    if (insertDigit !== undefined && typeof insertDigit !== "boolean") {
+      errors.push("insertDigit must be a boolean");
+    }
+
+    if (insertSymbol !== undefined && typeof insertSymbol !== "boolean") {
+      errors.push("insertSymbol must be a boolean");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate Spectre options (passwordRules.spectre)
+   * spectre-3 derives from the full name, site name and counter alone, so options that
+   * change other schemes' output are rejected rather than silently ignored.
+   * @param {Object} params - Generation parameters
+   * @returns {string[]} Validation errors
+   */
+  validateSpectreRules(params) {
+    const { scheme, spectre } = params.passwordRules;
+
+    if (scheme !== "spectre-3") {
+      return spectre === undefined ? [] : ["Spectre options require the spectre-3 scheme"];
+    }
+    if (!spectre || typeof spectre !== "object" || Array.isArray(spectre)) {
+      return ["The spectre-3 scheme requires spectre options with a full name"];
+    }
+
+    const errors = [];
+    const { fullName, template } = spectre;
+
+    if (typeof fullName !== "string" || fullName.trim().length === 0) {
+      errors.push("Spectre full name is required and must be a string");
+    } else if (fullName.length > 100) {
+      errors.push("Spectre full name must be 100 characters or less");
+    }
+
+    if (template !== undefined && !this.spectreTemplates.includes(template)) {
+      errors.push(`Spectre template must be one of: ${this.spectreTemplates.join(", ")}`);
+    }
+
+    if (params.accountIdentifier !== undefined && params.accountIdentifier !== null && params.accountIdentifier !== "") {
+      errors.push("Spectre passwords do not use an account identifier");
+    }
+
+    for (const key of this.getForeignOptions(params)) {
+      errors.push(`${key} cannot be used with the spectre-3 scheme`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate LessPass options (passwordRules.lesspass)
+   * Every option is optional; the defaults are those of the LessPass apps. Like spectre-3,
+   * lesspass-2 rejects the options of other schemes.
+   * @param {Object} params - Generation parameters
+   * @returns {string[]} Validation errors
+   */
+  validateLessPassRules(params) {
+    const { scheme, lesspass } = params.passwordRules;
+
+    if (scheme !== "lesspass-2") {
+      return lesspass === undefined ? [] : ["LessPass options require the lesspass-2 scheme"];
+    }
+    if (lesspass !== undefined && (!lesspass || typeof lesspass !== "object" || Array.isArray(lesspass))) {
+      return ["LessPass options must be an object"];
+    }
+
+    const errors = [];
+    const options = { ...this.lesspassDefaults, ...lesspass };
+    const rules = Object.keys(LessPass.characterSets);
+
+    for (const rule of rules) {
+      if (typeof options[rule] !== "boolean") {
+        errors.push(`LessPass ${rule} must be a boolean`);
+      }
+    }
+    if (rules.every((rule) => options[rule] === false)) {
+      errors.push(`LessPass needs at least one of: ${rules.join(", ")}`);
+    }
+
+    if (!Number.isInteger(options.length) || options.length < 5 || options.length > 35) {
+      errors.push("LessPass length must be an integer between 5 and 35");
+    }
+
+    if (lesspass && lesspass.counter !== undefined) {
+      if (!Number.isInteger(lesspass.counter) || lesspass.counter < 1 || lesspass.counter > 10000) {
+        errors.push("LessPass counter must be an integer between 1 and 10000");
+      } else if (params.counter !== undefined && params.counter !== null && params.counter !== "" && Number(params.counter) !== 0) {
+        errors.push("Use either counter or lesspass.counter, not both");
+      }
+    }
+
+    for (const key of this.getForeignOptions(params)) {
+      errors.push(`${key} cannot be used with the lesspass-2 scheme`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Options of the SafePass schemes present in a request
+   * @param {Object} params - Generation parameters
+   * @returns {string[]} Option names
+   */
+  getForeignOptions(params) {
+    const options = ["kdf", "profile", "alphabet", "length", "minCounts"].filter((key) => params.passwordRules[key] !== undefined);
+    if (params.passwordLength) {
+      options.push("passwordLength");
+    }
+    if (params.iterations !== undefined && params.iterations !== null && params.iterations !== "") {
+      options.push("iterations");
+    }
+    if (params.oprf === true) {
+      options.push("oprf");
+    }
+    return options;
+  }
+
+  /**
+   * Validate per-class minimum counts (passwordRules.minCounts)
+   * @param {Object} params - Generation parameters
+   * @returns {string[]} Validation errors
+   */
+  validateMinCounts(params) {
+    const { minCounts } = params.passwordRules;
+
+    if (!minCounts || typeof minCounts !== "object" || Array.isArray(minCounts)) {
+      return ["Minimum counts must be an object"];
+    }
+
+    const errors = [];
+    for (const [characterClass, minimum] of Object.entries(minCounts)) {
+      if (!this.characterClasses.includes(characterClass)) {
+        errors.push(`Unknown character class in minimum counts: ${characterClass}`);
+      } else if (!Number.isInteger(minimum) || minimum < 0 || minimum > 128) {
+        errors.push(`Minimum count for ${characterClass} must be an integer between 0 and 128`);
+      }
+    }
+
+    if (errors.length > 0 || typeof params.platform !== "string") {
+      return errors;
+    }
+
+    const rules = this.getPasswordRules(params.platform, params.passwordRules, params.canonical === true);
+    const charset = this.buildCharacterSet(rules);
+    const requirements = this.getClassRequirements(charset, rules);
+    const total = requirements.reduce((sum, requirement) => sum + requirement.minimum, 0);
+    // passwordLength can only shorten the password, as in getDerivationParams
+    const length = Math.min(parseInt(params.passwordLength) || rules.length, rules.length);
+
+    for (const requirement of requirements) {
+      if (requirement.minimum > 0 && requirement.characters.length === 0) {
+        errors.push(`Minimum count for ${requirement.class} cannot be met: the character set has no ${requirement.class}`);
+      }
+    }
+
+    if (total > length) {
+      errors.push(`Minimum counts add up to ${total}, which exceeds the password length of ${length}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find the platform preset for a platform name
+   * Canonical requests use the canonical platform key, which also matches the
+   * registrable domains of the presets (github.com -> github, see platformDomains).
+   * @param {string} platform - Platform name
+   * @param {boolean} canonical - Resolve the preset from the canonical platform key
+   * @returns {string|null} Preset key, or null when the default rules apply
+   */
+  getPresetKey(platform, canonical = false) {
+    const platformKey = canonical ? Canonical.platform(platform) : platform.toLowerCase().replace(/\s+/g, "");
+    const presetKey = canonical && this.platformDomains.has(platformKey) ? this.platformDomains.get(platformKey) : platformKey;
+    return this.platformRules.has(presetKey) ? presetKey : null;
+  }
+
   /**
    * Get password rules for a platform
+   * Canonical requests for a domain without a preset use its entry in the bundled
+   * password-rules quirks (data/password-rules.json) as the preset. With passwordrules,
+   * the length is kept within their minlength and maxlength.
    * @param {string} platform - Platform name
    * @param {Object} customRules - Custom password rules
+   * @param {boolean} canonical - Resolve the preset from the canonical platform key
    * @returns {Object} Password generation rules
    */
-  getPasswordRules(platform, customRules = {}) {
-    const platformKey = platform.toLowerCase().replace(/\s+/g, "");
-    const defaultRules = this.platformRules.get(platformKey) || this.platformRules.get("default");
+  getPasswordRules(platform, customRules = {}, canonical = false) {
+    const presetKey = this.getPresetKey(platform, canonical);
+    const quirk = canonical && !presetKey ? PasswordRules.forDomain(Canonical.platform(platform)) : null;
+    const defaultRules = presetKey ? this.platformRules.get(presetKey) : quirk ? { passwordrules: quirk } : this.platformRules.get("default");
 
-    return {
+    // Platform presets may be partial (e.g. passphrase-only presets), so the default rules fill the gaps
+    const rules = {
+      ...this.platformRules.get("default"),
       ...defaultRules,
       ...customRules,
     };
+
+    const siteRules = this.parsePasswordrules(rules);
+    if (siteRules) {
+      const { minLength, maxLength } = this.getPasswordrulesBounds(siteRules);
+      rules.length = Math.min(Math.max(rules.length, minLength), maxLength);
+    }
+    return rules;
   }
 
   /**
@@ -99,6 +762,22 @@ class PasswordGeneration {
    * @returns {string} Character set for password generation
    */
   buildCharacterSet(rules) {
+    // passwordrules list exactly the allowed characters; requireSymbols and excludeAmbiguous do not apply
+    const siteRules = this.parsePasswordrules(rules);
+    if (siteRules) {
+      return siteRules.allowed;
+    }
+
+    const profile = rules.profile && rules.profile !== "standard" ? this.outputProfiles[rules.profile] : null;
+
+    if (profile) {
+      const alphabet = rules.profile === "custom" ? rules.alphabet : profile.charset;
+      if (!profile.allowExcludeAmbiguous || !rules.excludeAmbiguous) {
+        return alphabet;
+      }
+      return this.removeAmbiguous(alphabet);
+    }
+
     let charset = this.characterSets.lowercase + this.characterSets.uppercase + this.characterSets.numbers;
 
     // Add symbols if required
@@ -108,62 +787,482 @@ class PasswordGeneration {
 
     // Remove ambiguous characters if requested
     if (rules.excludeAmbiguous) {
-      const ambiguous = "0O1lI|`";
-      charset = charset
-        .split("")
-        .filter((char) => !ambiguous.includes(char))
-        .join("");
+      charset = this.removeAmbiguous(charset);
     }
 
     return charset;
   }
 
   /**
-   * Generate deterministic password
-   * @param {string} masterPassword - Master password
-   * @param {string} platform - Platform name
-   * @param {string} accountIdentifier - Account identifier (email, username, etc.)
-   * @param {Object} options - Generation options
-   * @returns {Promise<Object>} Generated password and metadata
+   * Remove easily confused characters from a character set
+   * @param {string} charset - Character set
+   * @returns {string} Character set without ambiguous characters
    */
-  async generatePassword(masterPassword, platform, options = {}) {
-    const startTime = Date.now();
+  removeAmbiguous(charset) {
+    const ambiguous = "0O1lI|`";
+    return charset
+      .split("")
+      .filter((char) => !ambiguous.includes(char))
+      .join("");
+  }
 
-    try {
-      // Get password rules
-      const rules = this.getPasswordRules(platform, options.passwordRules);
-      const passwordLength = options.passwordLength || rules.length;
+  /**
+   * Resolve the generation scheme for a set of rules
+   * Non-standard output profiles and passwordrules did not exist under safepass-1, so
+   * they default to the unbiased safepass-2 scheme.
+   * @param {Object} rules - Password rules
+   * @returns {string} Generation scheme id
+   */
+  resolveScheme(rules) {
+    if (rules.scheme) {
+      return rules.scheme;
+    }
+    if (rules.mode === "passphrase") {
+      return this.defaultPassphraseScheme;
+    }
+    if (this.parsePasswordrules(rules)) {
+      return "safepass-2";
+    }
 
-      // Create deterministic salt
-      const saltInput = `${platform.toLowerCase()}:${process.env.SERVER_SECRET}`;
-      const salt = CryptoUtils.sha256(saltInput);
+    return rules.profile && rules.profile !== "standard" ? "safepass-2" : this.defaultScheme;
+  }
 
-      // Perform key derivation
-      const iterations = options.iterations || 100000;
-      const derivedKey = await CryptoUtils.deriveKey(masterPassword, salt, iterations, passwordLength);
+  /**
+   * Resolve the KDF spec for a set of rules
+   * rules.kdf pins a spec; otherwise PBKDF2-SHA256 with the requested iterations (default 100000).
+   * spectre-3 and lesspass-2 always use the KDF of the algorithm they reproduce.
+   * @param {Object} rules - Password rules
+   * @param {number} iterations - Requested PBKDF2 iterations
+   * @returns {string} KDF spec
+   */
+  resolveKdf(rules, iterations) {
+    if (rules.scheme === "spectre-3") {
+      return Spectre.kdf;
+    }
+    if (rules.scheme === "lesspass-2") {
+      return LessPass.kdf;
+    }
+    return rules.kdf || CryptoUtils.formatKdfSpec("pbkdf2-sha256", { i: iterations || 100000 });
+  }
 
-      // Build character set
-      const charset = this.buildCharacterSet(rules);
+  /**
+   * Describe the key derivation a generatePassword call would perform
+   * Lets callers price a request (see kdfPolicy) before running it.
+   * @param {string} platform - Platform name
+   * @param {Object} options - Same options as generatePassword
+   * @returns {Object} KDF spec and derived key length in bytes
+   */
+  describeKeyDerivation(platform, options = {}) {
+    const rules = this.getPasswordRules(platform, options.passwordRules, options.canonical);
+    const kdf = this.resolveKdf(rules, options.iterations);
+    const scheme = this.getScheme(rules);
+
+    if (scheme.keyLength === "length") {
+      return { kdf, keyLength: Math.min(options.passwordLength || rules.length, rules.length) };
+    }
+    return { kdf, keyLength: scheme.keyLength };
+  }
+
+  /**
+   * Look up the registry entry for a set of rules
+   * @param {Object} rules - Password rules
+   * @returns {Object} Scheme definition
+   */
+  getScheme(rules) {
+    const id = this.resolveScheme(rules);
+    const scheme = this.schemes.get(id);
+    if (!scheme || scheme.mode !== (rules.mode === "passphrase" ? "passphrase" : "password")) {
+      throw new Error(`Unsupported generation scheme: ${id}`);
+    }
+    return { id, ...scheme };
+  }
+
+  /**
+   * Published generation spec: every scheme, salt format and KDF a password can depend on
+   * Served by GET /api/password/schemes; docs/generation-scheme.md is the prose version.
+   * @returns {Object} Scheme registry
+   */
+  getSchemeSpec() {
+    return {
+      schemes: Array.from(this.schemes, ([id, scheme]) => ({ id, ...scheme })),
+      defaultScheme: this.defaultScheme,
+      defaultPassphraseScheme: this.defaultPassphraseScheme,
+      saltFormats: Array.from(this.saltFormats, ([version, format]) => ({ version, ...format })),
+      canonicalization: {
+        version: Canonical.version,
+        masterPassword: "NFKC, each whitespace character mapped to U+0020",
+        platform: "NFKC, case folded, whitespace removed, domains converted to Punycode",
+        accountIdentifier: "NFKC, case folded, trimmed, whitespace runs collapsed to one space, email domain converted to Punycode",
+      },
+      kdfs: CryptoUtils.listKdfs(),
+      defaultKdf: this.resolveKdf({}),
+      vectors: "test-vectors/generation.json",
+      usernames: {
+        scheme: this.usernameScheme,
+        saltInput: "U1:kind:platform:counter:SERVER_SECRET",
+        kdf: this.usernameKdf,
+        templates: this.usernameTemplates,
+        vectors: "test-vectors/usernames.json",
+      },
+      securityAnswers: {
+        scheme: this.answerScheme,
+        saltInput: "A1:platform:counter:SERVER_SECRET",
+        kdf: this.answerKdf,
+        styles: this.answerStyles,
+        vectors: "test-vectors/security-answers.json",
+      },
+      keys: {
+        scheme: this.keyScheme,
+        saltInput: "K1:type:label:counter:SERVER_SECRET",
+        kdf: this.keyKdf,
+        types: this.keyTypes,
+        vectors: "test-vectors/keys.json",
+      },
+    };
+  }
+
+  /**
+   * Check whether a numeric PIN is trivially guessable
+   * Rejects all-same digits (1111) and straight ascending/descending runs (1234, 9876).
+   * @param {string} pin - Numeric PIN
+   * @returns {boolean} True if the PIN is weak
+   */
+  isWeakPin(pin) {
+    const digits = pin.split("").map(Number);
+    const steps = digits.slice(1).map((digit, index) => digit - digits[index]);
+
+    return steps.every((step) => step === 0) || steps.every((step) => step === 1) || steps.every((step) => step === -1);
+  }
+
+  /**
+   * Normalize an account identifier so that "Me@Example.com " and "me@example.com"
+   * derive the same password
+   * @param {string} accountIdentifier - Account identifier (email, username, etc.)
+   * @returns {string} Normalized identifier, or empty string when none was given
+   */
+  normalizeAccountIdentifier(accountIdentifier) {
+    if (!accountIdentifier || typeof accountIdentifier !== "string") {
+      return "";
+    }
+
+    return accountIdentifier.trim().toLowerCase();
+  }
+
+  /**
+   * Build the salt input string for key derivation
+   *
+   * Salt formats:
+   *   v1 - `${platform}:${SERVER_SECRET}` (original format, used when no account is given)
+   *   v2 - `v2:${platform}:${account}[:${counter}]:${SERVER_SECRET}` with fields URI-encoded;
+   *        the counter field is only present when it is greater than 0
+   *
+   * v1 must never change: it is what every password generated before account
+   * support was derived from. Counter 0 always maps to the same salt as before
+   * counters existed, so rotating is opt-in.
+   *
+   * @param {string} platform - Platform name
+   * @param {string} accountIdentifier - Account identifier (email, username, etc.)
+   * @param {number} counter - Rotation counter (default: 0)
+   * @param {string} secret - The user's pepper (default: SERVER_SECRET, see PinAuthManager.getPepper)
+   * @returns {Object} Salt input and salt format version
+   */
+  buildSaltInput(platform, accountIdentifier, counter = 0, secret = process.env.SERVER_SECRET) {
+    const platformKey = platform.toLowerCase();
+    const account = this.normalizeAccountIdentifier(accountIdentifier);
+
+    if (!account && !counter) {
+      return {
+        saltInput: `${platformKey}:${secret}`,
+        saltVersion: 1,
+      };
+    }
+
+    const fields = ["v2", platformKey, account];
+    if (counter > 0) {
+      fields.push(String(counter));
+    }
+
+    return {
+      saltInput: `${fields.map((field) => encodeURIComponent(field)).join(":")}:${secret}`,
+      saltVersion: 2,
+    };
+  }
+
+  /**
+   * Build the salt input for canonical inputs (salt version 4)
+   * Platform and account must already be canonical (see utils/canonical.js). Every field
+   * is always present, so there is no platform-only special case as in v1/v2.
+   * @param {string} platform - Canonical platform key
+   * @param {string} account - Canonical account identifier ("" when absent)
+   * @param {number} counter - Rotation counter
+   * @param {string} secret - The user's pepper (default: SERVER_SECRET)
+   * @returns {Object} Salt input and salt format version
+   */
+  buildCanonicalSaltInput(platform, account, counter = 0, secret = process.env.SERVER_SECRET) {
+    const fields = ["c1", platform, account, String(counter)];
+    return {
+      saltInput: `${fields.map((field) => encodeURIComponent(field)).join(":")}:${secret}`,
+      saltVersion: 4,
+    };
+  }
+
+  /**
+   * Everything a generator needs besides the master password
+   *
+   * generatePassword derives from exactly these values, and the same object is handed
+   * to clients that generate locally (POST /api/password/derivation-params), so a
+   * client implementing the scheme reproduces server output without ever sending the
+   * master password. The salt is already hashed, so SERVER_SECRET is not revealed.
+   *
+   * @param {string} platform - Platform name
+   * @param {string} accountIdentifier - Account identifier (email, username, etc.)
+   * @param {Object} options - Same options as generatePassword; pepper replaces SERVER_SECRET in the salt
+   * @returns {Object} Derivation parameters
+   */
+  getDerivationParams(rawPlatform, rawAccountIdentifier, options = {}) {
+    // Canonical requests derive from the canonical platform and account from here on
+    const platform = options.canonical ? Canonical.platform(rawPlatform) : rawPlatform;
+    const accountIdentifier = options.canonical ? Canonical.account(rawAccountIdentifier) : rawAccountIdentifier;
+    const rules = this.getPasswordRules(platform, options.passwordRules, options.canonical);
+    const counter = options.counter || 0;
+
+    if (this.resolveScheme(rules) === "spectre-3") {
+      return this.getSpectreParams(platform, counter, rules, options.canonical);
+    }
+    if (this.resolveScheme(rules) === "lesspass-2") {
+      return this.getLessPassParams(platform, accountIdentifier, counter, rules, options.canonical);
+    }
+
+    // Create deterministic salt; OPRF mode (salt version 3) leaves SERVER_SECRET out of it
+    const oprfContext = options.oprf ? this.buildOprfContext(platform, accountIdentifier, counter, options.canonical) : null;
+    let salt;
+    if (oprfContext) {
+      salt = { saltInput: oprfContext, saltVersion: 3 };
+    } else if (options.canonical) {
+      salt = this.buildCanonicalSaltInput(platform, accountIdentifier, counter, options.pepper);
+    } else {
+      salt = this.buildSaltInput(platform, accountIdentifier, counter, options.pepper);
+    }
+    const { kdf, keyLength } = this.describeKeyDerivation(platform, options);
+
+    const params = {
+      platform: platform,
+      accountIdentifier: this.normalizeAccountIdentifier(accountIdentifier) || null,
+      counter: counter,
+      saltVersion: salt.saltVersion,
+      salt: CryptoUtils.sha256(salt.saltInput),
+      kdf: kdf,
+      keyLength: keyLength,
+      rules: rules,
+      ...(options.canonical && { canonicalization: Canonical.version }),
+      ...(oprfContext && { oprf: { suite: Oprf.suite, context: oprfContext } }),
+    };
+
+    if (rules.mode === "passphrase") {
+      const passphrase = { ...this.passphraseDefaults, ...rules };
+      return {
+        ...params,
+        mode: "passphrase",
+        scheme: this.resolveScheme(rules),
+        passphrase: {
+          words: passphrase.words,
+          separator: passphrase.separator,
+          capitalization: passphrase.capitalization,
+          insertDigit: passphrase.insertDigit,
+          insertSymbol: passphrase.insertSymbol,
+          wordlist: passphrase.wordlist,
+          wordlistSha256: Wordlist.checksum(passphrase.wordlist),
+          digits: this.characterSets.numbers,
+          symbols: this.characterSets.safe_symbols,
+        },
+      };
+    }
+
+    const charset = this.buildCharacterSet(rules);
+    const scheme = this.resolveScheme(rules);
+    const siteRules = this.parsePasswordrules(rules);
+
+    return {
+      ...params,
+      mode: "password",
+      scheme: scheme,
+      profile: rules.profile || "standard",
+      charset: charset,
+      // passwordLength can only shorten a password: output has always been cut to rules.length.
+      // Both PBKDF2 and the HKDF stream are prefix-stable, so deriving exactly this many
+      // characters gives the same result as deriving more and truncating.
+      length: Math.min(options.passwordLength || rules.length, rules.length),
+      requirements: this.getClassRequirements(charset, rules),
+      rejectWeakPins: rules.profile === "pin",
+      ...(siteRules && { maxConsecutive: siteRules.maxConsecutive }),
+    };
+  }
+
+  /**
+   * Derivation parameters of the spectre-3 scheme (salt version 5)
+   * The platform is the Spectre site name, case and all, and Spectre counters start at 1,
+   * so SafePass counter 0 is Spectre counter 1. The salt is the user key salt itself,
+   * hex-encoded: it holds only the full name, which the client sent.
+   * @param {string} platform - Platform name (canonical for canonical requests)
+   * @param {number} counter - Rotation counter
+   * @param {Object} rules - Password rules with scheme "spectre-3"
+   * @param {boolean} canonical - Canonical request
+   * @returns {Object} Derivation parameters
+   */
+  getSpectreParams(platform, counter, rules, canonical = false) {
+    const spectre = { ...this.spectreDefaults, ...rules.spectre };
+
+    return {
+      platform: platform,
+      accountIdentifier: null,
+      counter: counter,
+      saltVersion: 5,
+      salt: Spectre.userKeySalt(spectre.fullName).toString("hex"),
+      kdf: Spectre.kdf,
+      keyLength: Spectre.keyLength,
+      rules: rules,
+      ...(canonical && { canonicalization: Canonical.version }),
+      mode: "password",
+      scheme: "spectre-3",
+      spectre: {
+        scope: Spectre.scope,
+        siteName: platform,
+        siteCounter: counter + 1,
+        template: spectre.template,
+        templates: Spectre.templates[spectre.template],
+        characterClasses: Spectre.characterClasses,
+      },
+    };
+  }
+
+  /**
+   * Derivation parameters of the lesspass-2 scheme (salt version 6)
+   * Site and login are used as given, like in the LessPass apps (canonical forms for canonical
+   * requests). The LessPass counter is lesspass.counter, or else the SafePass counter plus 1.
+   * @param {string} platform - Platform name, the LessPass site
+   * @param {string} accountIdentifier - Account identifier, the LessPass login
+   * @param {number} counter - Rotation counter
+   * @param {Object} rules - Password rules with scheme "lesspass-2"
+   * @param {boolean} canonical - Canonical request
+   * @returns {Object} Derivation parameters
+   */
+  getLessPassParams(platform, accountIdentifier, counter, rules, canonical = false) {
+    const options = { ...this.lesspassDefaults, ...rules.lesspass };
+    const login = accountIdentifier || "";
+    const siteCounter = options.counter || counter + 1;
+    const enabled = Object.keys(LessPass.characterSets).filter((rule) => options[rule]);
+
+    return {
+      platform: platform,
+      accountIdentifier: login || null,
+      counter: counter,
+      saltVersion: 6,
+      salt: LessPass.salt(platform, login, siteCounter),
+      kdf: LessPass.kdf,
+      keyLength: LessPass.keyLength,
+      rules: rules,
+      ...(canonical && { canonicalization: Canonical.version }),
+      mode: "password",
+      scheme: "lesspass-2",
+      length: options.length,
+      requirements: enabled.map((rule) => ({ class: rule, characters: LessPass.characterSets[rule], minimum: 1 })),
+      lesspass: { counter: siteCounter, rules: enabled },
+    };
+  }
+
+  /**
+   * Build the OPRF context for server-bound client-side generation
+   * Takes the place of the salt input: no SERVER_SECRET, because the server key is
+   * applied through the OPRF instead (see Oprf.safepassInput).
+   * @param {string} platform - Platform name
+   * @param {string} accountIdentifier - Account identifier (email, username, etc.)
+   * @param {number} counter - Rotation counter
+   * @param {boolean} canonical - Platform and account are canonical (context prefix "oprf-c1")
+   * @returns {string} OPRF context
+   */
+  buildOprfContext(platform, accountIdentifier, counter = 0, canonical = false) {
+    const fields = [canonical ? "oprf-c1" : "oprf-v1", platform.toLowerCase(), this.normalizeAccountIdentifier(accountIdentifier), String(counter)];
+    return fields.map((field) => encodeURIComponent(field)).join(":");
+  }
+
+  /**
+   * OPRF key pair derived from SERVER_SECRET or a user's pepper (RFC 9497 DeriveKeyPair)
+   * @param {string} secret - The user's pepper (default: SERVER_SECRET)
+   * @returns {Object} { secretKey, publicKey }
+   */
+  getOprfKey(secret = process.env.SERVER_SECRET) {
+    if (!this.oprfKeys.has(secret)) {
+      const seed = Buffer.from(CryptoUtils.sha256(secret), "hex");
+      this.oprfKeys.set(secret, Oprf.deriveKeyPair(seed, Buffer.from("safepass-oprf-v1")));
+    }
+    return this.oprfKeys.get(secret);
+  }
+
+  /**
+   * Generate deterministic password
+   * @param {string} masterPassword - Master password
+   * @param {string} platform - Platform name
+   * @param {string} accountIdentifier - Account identifier (email, username, etc.)
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Generated password and metadata
+   */
+  async generatePassword(masterPassword, platform, accountIdentifier, options = {}) {
+    const startTime = Date.now();
 
-      // Generate password from derived key
-      const password = CryptoUtils.bytesToCharset(derivedKey, charset);
+    try {
+      const params = this.getDerivationParams(platform, accountIdentifier, options);
+      const { rules, salt, kdf, saltVersion, counter } = params;
+      const secret = params.canonicalization ? Canonical.password(masterPassword) : masterPassword;
+
+      if (params.mode === "passphrase") {
+        return await this.generatePassphrase(secret, params.platform, params.accountIdentifier, salt, kdf, rules, {
+          startTime,
+          saltVersion,
+          counter,
+          scheme: params.scheme,
+        });
+      }
+
+      if (params.scheme === "spectre-3") {
+        return await this.generateSpectrePassword(secret, params, startTime);
+      }
+      if (params.scheme === "lesspass-2") {
+        return await this.generateLessPassPassword(secret, params, startTime);
+      }
+
+      const { charset, scheme, length: passwordLength } = params;
+
+      // Derive password characters using the selected scheme
+      const { characters, complexityStream } = await this.deriveCharacters(scheme, secret, salt, kdf, charset, passwordLength, rules);
 
       // Ensure password meets complexity requirements
-      const validatedPassword = this.ensureComplexity(password, charset, rules);
+      const validatedPassword = this.ensureComplexity(characters, charset, rules, complexityStream);
+      const complexity = {
+        enforced: Boolean(complexityStream),
+        ...this.checkComplexity(validatedPassword, charset, rules),
+      };
 
       // Update statistics
       const generationTime = Date.now() - startTime;
-      this.updateStatistics(platform, generationTime);
+      this.updateStatistics(params.platform, generationTime);
 
       return {
         password: validatedPassword,
         metadata: {
-          platform: platform,
+          platform: params.platform,
+          accountIdentifier: params.accountIdentifier,
+          saltVersion: saltVersion,
+          counter: counter,
+          mode: "password",
+          profile: rules.profile || "standard",
+          scheme: scheme,
+          kdf: kdf,
           length: validatedPassword.length,
           generationTime: generationTime,
           rules: rules,
           charset: charset,
-          strength: this.calculatePasswordStrength(validatedPassword),
+          complexity: complexity,
+          strength: this.calculatePasswordStrength(validatedPassword, [params.platform, params.accountIdentifier]),
         },
         success: true,
       };
@@ -172,6 +1271,9 @@ class PasswordGeneration {
       return {
         success: false,
         error: "Password generation failed",
+        // Pool backpressure (POOL_BUSY / POOL_TIMEOUT) is passed on so the route can answer 503
+        code: error.code,
+        retryAfter: error.retryAfter,
         metadata: {
           generationTime: Date.now() - startTime,
         },
@@ -180,49 +1282,842 @@ class PasswordGeneration {
   }
 
   /**
-   * Ensure password meets complexity requirements
-   * @param {string} password - Generated password
-   * @param {string} charset - Character set used
-   * @param {Object} rules - Password rules
-   * @returns {string} Validated password
+   * Generate a deterministic Diceware-style passphrase
+   *
+   * A 32-byte derived key seeds an HKDF-Expand stream (info "safepass-passphrase:v1"),
+   * from which, in order: one unbiased index per word, one capitalization bit per word
+   * (random style only), then word index + digit for insertDigit, then word index +
+   * symbol for insertSymbol. Inserted characters are appended to the chosen word.
+   *
+   * @param {string} masterPassword - Master password
+   * @param {string} platform - Platform name
+   * @param {string} accountIdentifier - Account identifier (email, username, etc.)
+   * @param {string} salt - Derivation salt
+   * @param {string} kdf - KDF spec (see CryptoUtils.parseKdfSpec)
+   * @param {Object} rules - Password rules (mode "passphrase")
+   * @param {Object} context - Start time, salt version, counter and scheme id for metadata
+   * @returns {Promise<Object>} Generated passphrase and metadata
    */
-  ensureComplexity(password, charset, rules) {
-    // For deterministic generation, we trust PBKDF2 + charset approach
-    // Additional complexity validation could be added here if needed
-    return password.substring(0, rules.length);
+  async generatePassphrase(masterPassword, platform, accountIdentifier, salt, kdf, rules, context) {
+    const options = { ...this.passphraseDefaults, ...rules };
+    const wordlist = Wordlist.load(options.wordlist);
+
+    const derivedKey = await this.deriveKey(masterPassword, salt, kdf, 32);
+    const stream = CryptoUtils.createByteStream(derivedKey, "safepass-passphrase:v1");
+
+    const words = Array.from({ length: options.words }, () => wordlist[stream.nextInt(wordlist.length)]);
+    let entropyBits = options.words * Math.log2(wordlist.length);
+
+    const capitalized = words.map((word) => {
+      switch (options.capitalization) {
+        case "upper":
+          return word.toUpperCase();
+        case "title":
+          return word.charAt(0).toUpperCase() + word.slice(1);
+        case "random":
+          return stream.nextInt(2) === 1 ? word.toUpperCase() : word;
+        default:
+          return word;
+      }
+    });
+    if (options.capitalization === "random") {
+      entropyBits += options.words;
+    }
+
+    if (options.insertDigit) {
+      const index = stream.nextInt(capitalized.length);
+      capitalized[index] += this.characterSets.numbers[stream.nextInt(this.characterSets.numbers.length)];
+      entropyBits += Math.log2(this.characterSets.numbers.length);
+    }
+
+    if (options.insertSymbol) {
+      const index = stream.nextInt(capitalized.length);
+      capitalized[index] += this.characterSets.safe_symbols[stream.nextInt(this.characterSets.safe_symbols.length)];
+      entropyBits += Math.log2(this.characterSets.safe_symbols.length);
+    }
+
+    const passphrase = capitalized.join(options.separator);
+
+    const generationTime = Date.now() - context.startTime;
+    this.updateStatistics(platform, generationTime);
+
+    return {
+      password: passphrase,
+      metadata: {
+        platform: platform,
+        accountIdentifier: this.normalizeAccountIdentifier(accountIdentifier) || null,
+        saltVersion: context.saltVersion,
+        counter: context.counter,
+        mode: "passphrase",
+        scheme: context.scheme,
+        kdf: kdf,
+        wordlist: options.wordlist,
+        words: options.words,
+        entropyBits: Math.round(entropyBits * 10) / 10,
+        length: passphrase.length,
+        generationTime: generationTime,
+        rules: rules,
+        strength: this.calculatePasswordStrength(passphrase, [platform, accountIdentifier]),
+      },
+      success: true,
+    };
   }
 
   /**
-   * Calculate password strength score
-   * @param {string} password - Password to analyze
-   * @returns {Object} Strength analysis
+   * Generate a Spectre v3 password (see utils/spectre.js)
+   * The template fixes every character class, so there is no complexity enforcement.
+   * @param {string} masterPassword - Master password
+   * @param {Object} params - From getSpectreParams
+   * @param {number} startTime - Generation start time for metadata
+   * @returns {Promise<Object>} Generated password and metadata
    */
-  calculatePasswordStrength(password) {
-    let score = 0;
-    const checks = {
-      length: password.length >= 16,
-      lowercase: /[a-z]/.test(password),
-      uppercase: /[A-Z]/.test(password),
-      numbers: /[0-9]/.test(password),
-      symbols: /[!@#$%^&*()_+\-=\[\]{}|;:,.<>?]/.test(password),
+  async generateSpectrePassword(masterPassword, params, startTime) {
+    const { spectre } = params;
+    const userKey = await this.deriveKey(masterPassword, Buffer.from(params.salt, "hex"), params.kdf, params.keyLength);
+    const password = Spectre.encode(Spectre.siteSeed(userKey, spectre.siteName, spectre.siteCounter), spectre.template);
+
+    const generationTime = Date.now() - startTime;
+    this.updateStatistics(params.platform, generationTime);
+
+    return {
+      password: password,
+      metadata: {
+        platform: params.platform,
+        accountIdentifier: null,
+        saltVersion: params.saltVersion,
+        counter: params.counter,
+        mode: "password",
+        scheme: params.scheme,
+        kdf: params.kdf,
+        template: spectre.template,
+        length: password.length,
+        generationTime: generationTime,
+        rules: params.rules,
+        complexity: { enforced: false, satisfied: true, constraints: [] },
+        strength: this.calculatePasswordStrength(password, [params.platform]),
+      },
+      success: true,
     };
+  }
 
-    // Calculate score based on checks
-    Object.values(checks).forEach((check) => {
-      if (check) score += 20;
+  /**
+   * Generate a LessPass v2 password (see utils/lesspass.js)
+   * @param {string} masterPassword - Master password
+   * @param {Object} params - From getLessPassParams
+   * @param {number} startTime - Generation start time for metadata
+   * @returns {Promise<Object>} Generated password and metadata
+   */
+  async generateLessPassPassword(masterPassword, params, startTime) {
+    const key = await this.deriveKey(masterPassword, params.salt, params.kdf, params.keyLength);
+    const password = LessPass.render(key, params.lesspass.rules, params.length);
+    const constraints = params.requirements.map((requirement) => {
+      const count = password.split("").filter((char) => requirement.characters.includes(char)).length;
+      return { class: requirement.class, minimum: requirement.minimum, count, satisfied: count >= requirement.minimum };
     });
 
-    // Length bonus
-    if (password.length >= 20) score += 10;
-    if (password.length >= 24) score += 10;
+    const generationTime = Date.now() - startTime;
+    this.updateStatistics(params.platform, generationTime);
+
+    return {
+      password: password,
+      metadata: {
+        platform: params.platform,
+        accountIdentifier: params.accountIdentifier,
+        saltVersion: params.saltVersion,
+        counter: params.counter,
+        mode: "password",
+        scheme: params.scheme,
+        kdf: params.kdf,
+        length: password.length,
+        generationTime: generationTime,
+        rules: params.rules,
+        complexity: { enforced: true, satisfied: constraints.every((constraint) => constraint.satisfied), constraints },
+        strength: this.calculatePasswordStrength(password, [params.platform, params.accountIdentifier]),
+      },
+      success: true,
+    };
+  }
+
+  /**
+   * Validate username generation parameters
+   * @param {Object} params - masterPassword, platform, kind, counter and usernameRules
+   * @returns {Object} Validation result
+   */
+  validateUsernameParameters(params) {
+    const errors = this.validateMasterPassword(params.masterPassword, true);
+
+    if (!params.platform || typeof params.platform !== "string") {
+      errors.push("Platform is required and must be a string");
+    } else if (params.platform.length > 50) {
+      errors.push("Platform name must be 50 characters or less");
+    } else if (!Canonical.platform(params.platform)) {
+      errors.push("Platform must contain more than whitespace");
+    }
+
+    if (params.kind !== undefined && !this.usernameKinds.includes(params.kind)) {
+      errors.push(`Kind must be one of: ${this.usernameKinds.join(", ")}`);
+    }
+
+    if (params.counter !== undefined && params.counter !== null && params.counter !== "") {
+      if (!this.isValidCounter(params.counter)) {
+        errors.push("Counter must be an integer between 0 and 9999");
+      }
+    }
+
+    const rules = params.usernameRules;
+    if (rules !== undefined && (!rules || typeof rules !== "object" || Array.isArray(rules))) {
+      errors.push("Username rules must be an object");
+      return { valid: false, errors };
+    }
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const options = { ...this.usernameDefaults, ...rules };
+    const limits = this.getUsernameLimits(params.platform, params.kind);
+
+    if (!this.usernameTemplates.includes(options.template)) {
+      errors.push(`Username template must be one of: ${this.usernameTemplates.join(", ")}`);
+    }
+
+    if (!Number.isInteger(options.digits) || options.digits < 0 || options.digits > 6) {
+      errors.push("Username digits must be an integer between 0 and 6");
+    }
+
+    if (rules && rules.length !== undefined && (!Number.isInteger(rules.length) || rules.length < limits.minLength || rules.length > limits.maxLength)) {
+      errors.push(`Username length must be between ${limits.minLength} and ${limits.maxLength} characters`);
+    }
+
+    if (errors.length === 0 && options.template === "adjective-noun-digits" && this.getUsernameWordPairs(limits, options.digits).length === 0) {
+      errors.push(`No adjective-noun-digits username fits ${limits.minLength}-${limits.maxLength} characters with ${options.digits} digits`);
+    }
 
     return {
-      score: Math.min(score, 100),
-      level: score >= 80 ? "strong" : score >= 60 ? "medium" : "weak",
-      checks: checks,
+      valid: errors.length === 0,
+      errors: errors,
     };
   }
 
+  /**
+   * Username limits for a platform
+   * Platforms are canonical (resolved domains such as "github.com" select their preset).
+   * @param {string} platform - Platform name
+   * @param {string} kind - "username" (default) or "email" for an email local part
+   * @returns {Object} { minLength, maxLength, separators }
+   */
+  getUsernameLimits(platform, kind = "username") {
+    if (kind === "email") {
+      return this.usernameRules.get("email");
+    }
+    const presetKey = this.getPresetKey(Canonical.platform(platform), true);
+    return this.usernameRules.get(presetKey) || this.usernameRules.get("default");
+  }
+
+  /**
+   * Adjective-noun pairs that fit the length limits once the separator and digits are added
+   * @param {Object} limits - From getUsernameLimits
+   * @param {number} digits - Number of trailing digits
+   * @returns {string[][]} [adjective, noun] pairs in word list order
+   */
+  getUsernameWordPairs(limits, digits) {
+    const adjectives = Wordlist.load("username-adjectives");
+    const nouns = Wordlist.load("username-nouns");
+    const extra = limits.separators.charAt(0).length + digits;
+    const pairs = [];
+
+    for (const adjective of adjectives) {
+      for (const noun of nouns) {
+        const length = adjective.length + noun.length + extra;
+        if (length >= limits.minLength && length <= limits.maxLength) {
+          pairs.push([adjective, noun]);
+        }
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Build the salt input for username generation
+   * The uppercase "U1" prefix keeps it apart from every password salt input: v1 inputs start
+   * with a lowercased platform, and v2, v3 and v4 inputs with their own lowercase prefixes.
+   * @param {string} kind - "username" or "email"
+   * @param {string} platform - Canonical platform key
+   * @param {number} counter - Rotation counter
+   * @param {string} secret - The user's pepper (default: SERVER_SECRET)
+   * @returns {string} Salt input
+   */
+  buildUsernameSaltInput(kind, platform, counter = 0, secret = process.env.SERVER_SECRET) {
+    const fields = ["U1", kind, platform, String(counter)];
+    return `${fields.map((field) => encodeURIComponent(field)).join(":")}:${secret}`;
+  }
+
+  /**
+   * Generate a deterministic username or email local part
+   *
+   * Inputs are always canonical (section 2a of docs/generation-scheme.md). A 32-byte PBKDF2 key
+   * over the username salt seeds an HKDF-Expand stream (info "safepass-username:v1"), read as:
+   *   adjective-noun-digits - one index into the pairs that fit the limits, then one draw per digit
+   *   alnum                 - a lowercase letter, then length - 1 draws from a-z0-9
+   *   syllables             - consonant + vowel pairs until length is reached, cut to length
+   *
+   * @param {string} masterPassword - Master password
+   * @param {string} platform - Platform name
+   * @param {Object} options - kind ("username" or "email"), counter, usernameRules { template, length, digits }, pepper
+   * @returns {Promise<Object>} Generated username and metadata
+   */
+  async generateUsername(masterPassword, platform, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const kind = options.kind || "username";
+      const counter = options.counter || 0;
+      const platformKey = Canonical.platform(platform);
+      const limits = this.getUsernameLimits(platformKey, kind);
+      const rules = { ...this.usernameDefaults, ...options.usernameRules };
+      const length = Math.min(Math.max(rules.length, limits.minLength), limits.maxLength);
+
+      const salt = CryptoUtils.sha256(this.buildUsernameSaltInput(kind, platformKey, counter, options.pepper));
+      const derivedKey = await this.deriveKey(Canonical.password(masterPassword), salt, this.usernameKdf, 32);
+      const stream = CryptoUtils.createByteStream(derivedKey, "safepass-username:v1");
+
+      let username = "";
+      let entropyBits = 0;
+      if (rules.template === "adjective-noun-digits") {
+        const pairs = this.getUsernameWordPairs(limits, rules.digits);
+        const [adjective, noun] = pairs[stream.nextInt(pairs.length)];
+        username = adjective + limits.separators.charAt(0) + noun + CryptoUtils.bytesToCharsetUnbiased(stream, this.characterSets.numbers, rules.digits);
+        entropyBits = Math.log2(pairs.length) + rules.digits * Math.log2(10);
+      } else if (rules.template === "alnum") {
+        const alphabet = this.characterSets.lowercase + this.characterSets.numbers;
+        username = this.characterSets.lowercase[stream.nextInt(26)] + CryptoUtils.bytesToCharsetUnbiased(stream, alphabet, length - 1);
+        entropyBits = Math.log2(26) + (length - 1) * Math.log2(alphabet.length);
+      } else {
+        while (username.length < length) {
+          username += this.syllableConsonants[stream.nextInt(this.syllableConsonants.length)];
+          username += this.syllableVowels[stream.nextInt(this.syllableVowels.length)];
+        }
+        username = username.slice(0, length);
+        entropyBits = Math.ceil(length / 2) * Math.log2(this.syllableConsonants.length) + Math.floor(length / 2) * Math.log2(this.syllableVowels.length);
+      }
+
+      return {
+        username: username,
+        metadata: {
+          platform: platformKey,
+          kind: kind,
+          counter: counter,
+          scheme: this.usernameScheme,
+          template: rules.template,
+          length: username.length,
+          limits: limits,
+          entropyBits: Math.round(entropyBits * 10) / 10,
+          generationTime: Date.now() - startTime,
+        },
+        success: true,
+      };
+    } catch (error) {
+      console.error("Username generation error:", error.message);
+      return {
+        success: false,
+        error: "Username generation failed",
+        code: error.code,
+        retryAfter: error.retryAfter,
+        metadata: {
+          generationTime: Date.now() - startTime,
+        },
+      };
+    }
+  }
+
+  /**
+   * Validate security answer parameters (everything except the master password)
+   * @param {Object} params - platform, questions, style and counter
+   * @returns {Object} Validation result
+   */
+  validateAnswerParameters(params) {
+    const errors = [];
+
+    if (!params.platform || typeof params.platform !== "string") {
+      errors.push("Platform is required and must be a string");
+    } else if (params.platform.length > 50) {
+      errors.push("Platform name must be 50 characters or less");
+    } else if (!Canonical.platform(params.platform)) {
+      errors.push("Platform must contain more than whitespace");
+    }
+
+    if (!Array.isArray(params.questions) || params.questions.length === 0 || params.questions.length > this.maxAnswerQuestions) {
+      errors.push(`Questions must be an array of 1 to ${this.maxAnswerQuestions} strings`);
+    } else if (params.questions.some((question) => typeof question !== "string" || question.length > 200 || !Canonical.question(question))) {
+      errors.push("Each question must be a string of at most 200 characters containing letters or digits");
+    }
+
+    if (params.style !== undefined && !Object.prototype.hasOwnProperty.call(this.answerStyles, params.style)) {
+      errors.push(`Answer style must be one of: ${Object.keys(this.answerStyles).join(", ")}`);
+    }
+
+    if (params.counter !== undefined && params.counter !== null && params.counter !== "") {
+      if (!this.isValidCounter(params.counter)) {
+        errors.push("Counter must be an integer between 0 and 9999");
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Everything needed to generate security answers besides the master password
+   * Like getDerivationParams, the same object lets a client generate the answers locally
+   * (generateAnswersFromParams in frontend/src/lib/safepass.js).
+   *
+   * Salt input: `A1:platform:counter:SERVER_SECRET` (fields URI-encoded). The uppercase prefix
+   * keeps it apart from every password salt input and from usernames ("U1").
+   *
+   * @param {string} platform - Platform name (canonicalized)
+   * @param {string[]} questions - Questions as shown by the site
+   * @param {Object} options - style ("pronounceable" or "passphrase"), counter and pepper (default: SERVER_SECRET)
+   * @returns {Object} Answer parameters
+   */
+  getAnswerParams(platform, questions, options = {}) {
+    const platformKey = Canonical.platform(platform);
+    const counter = options.counter || 0;
+    const style = options.style || "pronounceable";
+    const fields = ["A1", platformKey, String(counter)];
+
+    return {
+      platform: platformKey,
+      counter: counter,
+      salt: CryptoUtils.sha256(`${fields.map((field) => encodeURIComponent(field)).join(":")}:${options.pepper || process.env.SERVER_SECRET}`),
+      kdf: this.answerKdf,
+      keyLength: 32,
+      canonicalization: Canonical.version,
+      scheme: this.answerScheme,
+      style: style,
+      ...this.answerStyles[style],
+      ...(style === "passphrase" && { wordlistSha256: Wordlist.checksum(this.answerStyles.passphrase.wordlist) }),
+      consonants: this.syllableConsonants,
+      vowels: this.syllableVowels,
+      questions: questions.map((question) => ({ question, canonical: Canonical.question(question) })),
+    };
+  }
+
+  /**
+   * Generate reproducible answers to security questions
+   *
+   * One key is derived per platform. Each question then gets its own HKDF stream
+   * (info "safepass-answer:v1:" + canonical question), so rewording a question only
+   * changes its answer when its canonical form changes, and answers are unrelated
+   * to each other and to the platform's passwords.
+   *   pronounceable - 3 words of 3 consonant + vowel syllables, joined by spaces
+   *   passphrase    - 4 EFF words, joined by spaces
+   *
+   * @param {string} masterPassword - Master password (canonicalized)
+   * @param {string} platform - Platform name
+   * @param {string[]} questions - Questions as shown by the site
+   * @param {Object} options - style, counter and pepper
+   * @returns {Promise<Object>} Answers in question order and metadata
+   */
+  async generateSecurityAnswers(masterPassword, platform, questions, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const params = this.getAnswerParams(platform, questions, options);
+      const key = await this.deriveKey(Canonical.password(masterPassword), params.salt, params.kdf, params.keyLength);
+      const wordlist = params.style === "passphrase" ? Wordlist.load(params.wordlist) : null;
+
+      const answers = params.questions.map(({ question, canonical }) => {
+        const stream = CryptoUtils.createByteStream(key, `safepass-answer:v1:${canonical}`);
+        const words = [];
+        for (let i = 0; i < params.words; i++) {
+          if (wordlist) {
+            words.push(wordlist[stream.nextInt(wordlist.length)]);
+          } else {
+            let word = "";
+            for (let j = 0; j < params.syllables; j++) {
+              word += params.consonants[stream.nextInt(params.consonants.length)] + params.vowels[stream.nextInt(params.vowels.length)];
+            }
+            words.push(word);
+          }
+        }
+        return { question, answer: words.join(" ") };
+      });
+
+      const entropyBits = wordlist ? params.words * Math.log2(wordlist.length) : params.words * params.syllables * Math.log2(params.consonants.length * params.vowels.length);
+
+      return {
+        answers: answers,
+        metadata: {
+          platform: params.platform,
+          counter: params.counter,
+          scheme: params.scheme,
+          style: params.style,
+          entropyBits: Math.round(entropyBits * 10) / 10,
+          generationTime: Date.now() - startTime,
+        },
+        success: true,
+      };
+    } catch (error) {
+      console.error("Security answer generation error:", error.message);
+      return {
+        success: false,
+        error: "Security answer generation failed",
+        code: error.code,
+        retryAfter: error.retryAfter,
+        metadata: {
+          generationTime: Date.now() - startTime,
+        },
+      };
+    }
+  }
+
+  /**
+   * Validate key pair parameters (everything except the master password)
+   * @param {Object} params - label, type, counter and comment
+   * @returns {Object} Validation result
+   */
+  validateKeyParameters(params) {
+    const errors = [];
+
+    if (!params.label || typeof params.label !== "string") {
+      errors.push("Label is required and must be a string");
+    } else if (params.label.length > 100) {
+      errors.push("Label must be 100 characters or less");
+    } else if (!Canonical.account(params.label)) {
+      errors.push("Label must contain more than whitespace");
+    }
+
+    if (params.type !== undefined && !this.keyTypes.includes(params.type)) {
+      errors.push(`Key type must be one of: ${this.keyTypes.join(", ")}`);
+    }
+
+    if (params.counter !== undefined && params.counter !== null && params.counter !== "") {
+      if (!this.isValidCounter(params.counter)) {
+        errors.push("Counter must be an integer between 0 and 9999");
+      }
+    }
+
+    // The comment ends up on the single line of an OpenSSH public key
+    if (params.comment !== undefined && (typeof params.comment !== "string" || params.comment.length > 100 || /[\x00-\x1f\x7f]/.test(params.comment))) {
+      errors.push("Comment must be a string of at most 100 characters without control characters");
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Build the salt input for key pair generation
+   * The uppercase "K1" prefix keeps it apart from every password salt input, from
+   * usernames ("U1") and from security answers ("A1").
+   * @param {string} type - Key type ("ssh-ed25519" or "age-x25519")
+   * @param {string} label - Canonical label
+   * @param {number} counter - Rotation counter
+   * @param {string} secret - The user's pepper (default: SERVER_SECRET)
+   * @returns {string} Salt input
+   */
+  buildKeySaltInput(type, label, counter = 0, secret = process.env.SERVER_SECRET) {
+    const fields = ["K1", type, label, String(counter)];
+    return `${fields.map((field) => encodeURIComponent(field)).join(":")}:${secret}`;
+  }
+
+  /**
+   * Generate a deterministic SSH or age key pair
+   *
+   * A 32-byte PBKDF2 key over the key salt seeds an HKDF-Expand stream (info
+   * "safepass-key:v1:" + type). Its first 32 bytes are the private key:
+   *   ssh-ed25519 - Ed25519 seed, then 4 bytes for the OpenSSH check integer, so the
+   *                 private key file is byte-for-byte reproducible
+   *   age-x25519  - X25519 scalar of the age identity
+   * The label is canonicalized like an account identifier, so "Work Laptop" and
+   * "work laptop" give the same key.
+   *
+   * @param {string} masterPassword - Master password (canonicalized)
+   * @param {string} label - What the key is for, e.g. "github" or "backup disk"
+   * @param {Object} options - type (default "ssh-ed25519"), counter, comment (ssh only, defaults to the label), pepper
+   * @returns {Promise<Object>} publicKey, privateKey and metadata
+   */
+  async generateKeyPair(masterPassword, label, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const type = options.type || "ssh-ed25519";
+      const counter = options.counter || 0;
+      const labelKey = Canonical.account(label);
+
+      const salt = CryptoUtils.sha256(this.buildKeySaltInput(type, labelKey, counter, options.pepper));
+      const derivedKey = await this.deriveKey(Canonical.password(masterPassword), salt, this.keyKdf, 32);
+      const stream = CryptoUtils.createByteStream(derivedKey, `safepass-key:v1:${type}`);
+      const seed = Buffer.from(Array.from({ length: 32 }, () => stream.nextByte()));
+
+      let keyPair;
+      if (type === "ssh-ed25519") {
+        const checkint = Buffer.from(Array.from({ length: 4 }, () => stream.nextByte())).readUInt32BE();
+        keyPair = KeyPair.openSsh(seed, options.comment !== undefined ? options.comment : labelKey, checkint);
+      } else {
+        keyPair = KeyPair.age(seed);
+      }
+      seed.fill(0);
+
+      return {
+        publicKey: keyPair.publicKey,
+        privateKey: keyPair.privateKey,
+        metadata: {
+          type: type,
+          label: labelKey,
+          counter: counter,
+          scheme: this.keyScheme,
+          fingerprint: keyPair.fingerprint,
+          generationTime: Date.now() - startTime,
+        },
+        success: true,
+      };
+    } catch (error) {
+      console.error("Key pair generation error:", error.message);
+      return {
+        success: false,
+        error: "Key pair generation failed",
+        code: error.code,
+        retryAfter: error.retryAfter,
+        metadata: {
+          generationTime: Date.now() - startTime,
+        },
+      };
+    }
+  }
+
+  /**
+   * Run a KDF spec on the crypto worker pool
+   * @param {string} masterPassword - Master password
+   * @param {string|Buffer} salt - Derivation salt (text, or bytes for spectre-3)
+   * @param {string} kdf - KDF spec (see CryptoUtils.parseKdfSpec)
+   * @param {number} keyLength - Derived key length in bytes
+   * @returns {Promise<Buffer>} Derived key
+   */
+  async deriveKey(masterPassword, salt, kdf, keyLength) {
+    const key = await cryptoPool.run("kdf", { password: masterPassword, salt, spec: kdf, keyLength });
+    return Buffer.from(key);
+  }
+
+  /**
+   * Derive password characters for a generation scheme
+   * The key comes from the KDF spec (PBKDF2-SHA256 unless rules.kdf selects scrypt or argon2id).
+   *
+   * safepass-1: KDF output of `length` bytes, each byte mapped with `byte % charset.length`.
+   * safepass-2: 32-byte KDF key used as the HKDF-Expand PRK (info "safepass-2:password"),
+   *             characters drawn by rejection sampling so every character is equally likely.
+   *             A second stream (info "safepass-2:complexity") drives class enforcement.
+   *
+   * safepass-1 returns no complexity stream: its output is left exactly as it always was.
+   * For the "pin" profile, weak PINs are skipped by drawing the next candidate from the
+   * same safepass-2 stream until a PIN passes isWeakPin. passwordrules max-consecutive
+   * limits runs of one character while drawing (see CryptoUtils.bytesToCharsetUnbiased).
+   *
+   * @param {string} scheme - Generation scheme id
+   * @param {string} masterPassword - Master password
+   * @param {string} salt - Derivation salt
+   * @param {string} kdf - KDF spec (see CryptoUtils.parseKdfSpec)
+   * @param {string} charset - Character set for password generation
+   * @param {number} length - Password length
+   * @param {Object} rules - Password rules
+   * @returns {Promise<Object>} Password characters and the stream used for complexity enforcement
+   */
+  async deriveCharacters(scheme, masterPassword, salt, kdf, charset, length, rules = {}) {
+    if (scheme === "safepass-2") {
+      const derivedKey = await this.deriveKey(masterPassword, salt, kdf, 32);
+      const stream = CryptoUtils.createByteStream(derivedKey, "safepass-2:password");
+      const siteRules = this.parsePasswordrules(rules);
+      const maxConsecutive = siteRules ? siteRules.maxConsecutive : null;
+
+      let characters = CryptoUtils.bytesToCharsetUnbiased(stream, charset, length, maxConsecutive);
+      while (rules.profile === "pin" && this.isWeakPin(characters)) {
+        characters = CryptoUtils.bytesToCharsetUnbiased(stream, charset, length);
+      }
+
+      return {
+        characters,
+        complexityStream: CryptoUtils.createByteStream(derivedKey, "safepass-2:complexity"),
+      };
+    }
+
+    const derivedKey = await this.deriveKey(masterPassword, salt, kdf, length);
+    return {
+      characters: CryptoUtils.bytesToCharset(derivedKey, charset),
+      complexityStream: null,
+    };
+  }
+
+  /**
+   * Classify a single character
+   * @param {string} char - Character to classify
+   * @returns {string} Character class name
+   */
+  getCharacterClass(char) {
+    if (this.characterSets.lowercase.includes(char)) return "lowercase";
+    if (this.characterSets.uppercase.includes(char)) return "uppercase";
+    if (this.characterSets.numbers.includes(char)) return "numbers";
+    return "symbols";
+  }
+
+  /**
+   * Work out the minimum count for every character class
+   * Each class present in the charset defaults to a minimum of 1 (symbols only when
+   * requireSymbols is set); passwordRules.minCounts overrides the default per class.
+   * With passwordrules, every "required" rule is a requirement of its own
+   * ("required-1", "required-2", ...) with a minimum of 1.
+   * @param {string} charset - Character set used
+   * @param {Object} rules - Password rules
+   * @returns {Object[]} Requirements in enforcement order
+   */
+  getClassRequirements(charset, rules) {
+    const siteRules = this.parsePasswordrules(rules);
+    if (siteRules) {
+      return siteRules.required.map((characters, index) => ({
+        class: `required-${index + 1}`,
+        characters: characters
+          .split("")
+          .filter((char) => charset.includes(char))
+          .join(""),
+        minimum: 1,
+      }));
+    }
+
+    const minCounts = rules.minCounts || {};
+
+    const profile = this.outputProfiles[rules.profile || "standard"] || this.outputProfiles.standard;
+
+    return this.characterClasses.map((characterClass) => {
+      const characters = charset
+        .split("")
+        .filter((char) => this.getCharacterClass(char) === characterClass)
+        .join("");
+      const required = profile.enforceClasses && (characterClass === "symbols" ? rules.requireSymbols : true);
+      const defaultMinimum = required && characters.length > 0 ? 1 : 0;
+
+      return {
+        class: characterClass,
+        characters,
+        minimum: minCounts[characterClass] !== undefined ? minCounts[characterClass] : defaultMinimum,
+      };
+    });
+  }
+
+  /**
+   * Report which character class constraints a password satisfies
+   * @param {string} password - Password to check
+   * @param {string} charset - Character set used
+   * @param {Object} rules - Password rules
+   * @returns {Object} Overall result and per-class constraints
+   */
+  checkComplexity(password, charset, rules) {
+    const constraints = this.getClassRequirements(charset, rules).map((requirement) => {
+      const count = password.split("").filter((char) => requirement.characters.includes(char)).length;
+      return {
+        class: requirement.class,
+        minimum: requirement.minimum,
+        count,
+        satisfied: count >= requirement.minimum,
+      };
+    });
+
+    return {
+      satisfied: constraints.every((constraint) => constraint.satisfied),
+      constraints,
+    };
+  }
+
+  /**
+   * Ensure password meets complexity requirements
+   *
+   * With a complexity stream, every class below its minimum gets characters placed
+   * at stream-derived positions. Only positions whose character is not needed for
+   * another minimum are eligible and each position is replaced at most once, so
+   * earlier fixes are never undone. With passwordrules max-consecutive, a position is
+   * only eligible when some character of the class fits there without making the
+   * run too long, and the replacement is drawn from those characters. A password
+   * that already satisfies every minimum is returned unchanged, and the same input
+   * always yields the same output.
+   *
+   * @param {string} password - Generated password
+   * @param {string} charset - Character set used
+   * @param {Object} rules - Password rules
+   * @param {Object|null} stream - Byte stream for enforcement (null leaves the password as-is)
+   * @returns {string} Validated password
+   */
+  ensureComplexity(password, charset, rules, stream = null) {
+    const truncated = password.substring(0, rules.length);
+    if (!stream) {
+      return truncated;
+    }
+
+    const requirements = this.getClassRequirements(charset, rules);
+    const siteRules = this.parsePasswordrules(rules);
+    const maxConsecutive = siteRules ? siteRules.maxConsecutive : null;
+    const chars = truncated.split("");
+    const locked = new Set();
+    const countOf = (requirement) => chars.filter((char) => requirement.characters.includes(char)).length;
+    const fitting = (requirement, index) => requirement.characters.split("").filter((char) => this.fitsRun(chars, index, char, maxConsecutive));
+
+    for (const requirement of requirements) {
+      while (countOf(requirement) < requirement.minimum) {
+        const eligible = chars
+          .map((char, index) => index)
+          .filter((index) => {
+            const char = chars[index];
+            return (
+              !locked.has(index) &&
+              !requirement.characters.includes(char) &&
+              requirements.every((other) => !other.characters.includes(char) || countOf(other) > other.minimum) &&
+              fitting(requirement, index).length > 0
+            );
+          });
+
+        if (eligible.length === 0 || requirement.characters.length === 0) {
+          throw new Error(`Cannot satisfy minimum ${requirement.class} count`);
+        }
+
+        const position = eligible[stream.nextInt(eligible.length)];
+        const candidates = fitting(requirement, position);
+        chars[position] = candidates[stream.nextInt(candidates.length)];
+        locked.add(position);
+      }
+    }
+
+    return chars.join("");
+  }
+
+  /**
+   * Check whether a character can be placed at a position without exceeding max-consecutive
+   * @param {string[]} chars - Password characters
+   * @param {number} position - Position to replace
+   * @param {string} char - Replacement character
+   * @param {number|null} maxConsecutive - Longest allowed run of one character (null: no limit)
+   * @returns {boolean} True if the resulting run is short enough
+   */
+  fitsRun(chars, position, char, maxConsecutive) {
+    if (!maxConsecutive) {
+      return true;
+    }
+
+    let run = 1;
+    for (let i = position - 1; i >= 0 && chars[i] === char; i--) run++;
+    for (let i = position + 1; i < chars.length && chars[i] === char; i++) run++;
+    return run <= maxConsecutive;
+  }
+
+  /**
+   * Estimate password strength from the patterns it contains (see utils/strength.js)
+   * @param {string} password - Password to analyze
+   * @param {string[]} userInputs - Context an attacker would try first, such as platform and account
+   * @returns {Object} Strength analysis
+   */
+  calculatePasswordStrength(password, userInputs = []) {
+    return Strength.estimate(password, userInputs);
+  }
+
   /**
    * Update generation statistics
    * @param {string} platform - Platform name
@@ -1,10 +1,23 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { JsonFileUserRepository } = require('../utils/userStore');
+const { cryptoPool } = require('../utils/workerPool');
+const passwordGeneration = require('./passwordGeneration');
+
+// Compared against for unknown and disabled users, so their response takes as long as a wrong PIN
+const DUMMY_PIN_HASH = '$2b$12$GZHqHNNDJQkp0NpQ4Xd/v.GEqN2WBYs81XBsDehGDKVx21ie5.Rlm';
+
+// Crockford Base32: no I, L, O or U, so codes survive being read aloud or written down
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_CODE_LENGTH = 16; // 80 bits
 
 class PinAuthManager {
     constructor() {
         this.failedAttempts = new Map(); // IP -> { count, lockoutUntil, attempts: [] }
-        this.activeSessions = new Map(); // sessionId -> { ip, createdAt, lastActivity }
+        this.activeSessions = new Map(); // sessionId -> { ip, userId, username, createdAt, lastActivity }
+        this.users = new JsonFileUserRepository(JsonFileUserRepository.defaultFile);
+        this.DEFAULT_USERNAME = 'default';
+        this.defaultUserMigration = null; // in-flight ensureDefaultUser() promise
         
         // Configuration
         this.MAX_ATTEMPTS = parseInt(process.env.MAX_PIN_ATTEMPTS) || 5;
@@ -27,6 +40,11 @@ class PinAuthManager {
         return bcrypt.hashSync(pin.toString(), saltRounds);
     }
 
+    // Same as hashPin, on the worker pool so requests do not block the event loop
+    hashPinInPool(pin) {
+        return cryptoPool.run('bcrypt-hash', { value: pin.toString(), rounds: 12 });
+    }
+
     // Verify hashed PIN (HMAC-SHA256)
     verifyHashedPin(hashedPinFromClient) {
         const expectedHash = crypto
@@ -37,6 +55,127 @@ class PinAuthManager {
         return expectedHash === hashedPinFromClient;
     }
 
+    // New PINs: exactly 6 digits (the PinPad's length), refusing repeats and straight runs
+    validateNewPin(pin) {
+        if (typeof pin !== 'string' || !/^\d{6}$/.test(pin)) {
+            return 'PIN must be exactly 6 digits';
+        }
+        if (passwordGeneration.isWeakPin(pin)) {
+            return 'PIN is too easy to guess (all the same digit or a straight run)';
+        }
+        return null;
+    }
+
+    // Single-user deployments: while the store is empty, MASTER_PIN_HASH becomes the "default"
+    // user. It keeps SERVER_SECRET as its pepper, so its passwords do not change. It starts without
+    // recovery codes: those are only handed out by the users CLI, never written to the server log.
+    // Concurrent calls share one migration, and a user created meanwhile by another process (the
+    // CLI) counts as migrated, so calling this any number of times creates the user once.
+    ensureDefaultUser() {
+        if (!this.defaultUserMigration) {
+            this.defaultUserMigration = this.migrateDefaultUser().finally(() => {
+                this.defaultUserMigration = null;
+            });
+        }
+        return this.defaultUserMigration;
+    }
+
+    async migrateDefaultUser() {
+        if ((await this.users.list()).length > 0) {
+            return;
+        }
+        if (!process.env.MASTER_PIN_HASH) {
+            throw new Error('No users configured: set MASTER_PIN_HASH or run npm run users -- create <username>');
+        }
+        try {
+            await this.users.create({ username: this.DEFAULT_USERNAME, pinHash: process.env.MASTER_PIN_HASH, legacyPepper: true });
+        } catch (error) {
+            if (error.code === 'USER_EXISTS') {
+                return;
+            }
+            throw error;
+        }
+        console.log(`👤 Created user "${this.DEFAULT_USERNAME}" from MASTER_PIN_HASH; give it PIN recovery codes with: npm run users -- recovery-codes ${this.DEFAULT_USERNAME}`);
+    }
+
+    // Verify a user's PIN (bcrypt on the worker pool); resolves to the user, or null for an
+    // unknown or disabled user or a wrong PIN. Pool errors (POOL_BUSY, POOL_TIMEOUT) are thrown.
+    async authenticate(username, pin) {
+        await this.ensureDefaultUser();
+        const user = await this.users.findByUsername(username || this.DEFAULT_USERNAME);
+        const active = Boolean(user && !user.disabled);
+
+        const pinMatches = await cryptoPool.run('bcrypt-compare', { value: pin.toString(), hash: active ? user.pinHash : DUMMY_PIN_HASH });
+        return active && pinMatches ? user : null;
+    }
+
+    // Replace a user's PIN and end their other sessions
+    async setPin(user, newPin, { keepSessionId = null } = {}) {
+        const pinHash = await this.hashPinInPool(newPin);
+        await this.users.update(user.id, { pinHash });
+        return this.invalidateUserSessions(user.id, keepSessionId);
+    }
+
+    // Replace a forgotten PIN with a recovery code and end all the user's sessions. The code is
+    // checked again and used up together with the PIN change, after the slow hash, so a code
+    // used by a concurrent request (or replaced by new codes meanwhile) fails: resolves to null.
+    async resetPin(user, recoveryCode, newPin) {
+        const pinHash = await this.hashPinInPool(newPin);
+        const updated = await this.users.useRecoveryCode(user.id, this.hashRecoveryCode(recoveryCode), { pinHash });
+        if (!updated) {
+            return null;
+        }
+        return {
+            recoveryCodesLeft: updated.recoveryCodes.length,
+            sessionsRevoked: this.invalidateUserSessions(user.id)
+        };
+    }
+
+    // New one-time recovery codes, shown once as XXXX-XXXX-XXXX-XXXX; only the hashes are stored
+    createRecoveryCodes(count = 10) {
+        const codes = Array.from({ length: count }, () => {
+            const characters = Array.from(crypto.randomBytes(RECOVERY_CODE_LENGTH), (byte) => RECOVERY_CODE_ALPHABET[byte & 31]).join('');
+            return characters.match(/.{4}/g).join('-');
+        });
+        return { codes, hashes: codes.map((code) => this.hashRecoveryCode(code)) };
+    }
+
+    // SHA-256 of a recovery code as typed (case, spaces and dashes ignored; O, I and L read
+    // as 0, 1 and 1), or null if it cannot be a code. 80 random bits need no slow hash.
+    hashRecoveryCode(code) {
+        if (typeof code !== 'string') {
+            return null;
+        }
+        const normalized = code.toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+        if (normalized.length !== RECOVERY_CODE_LENGTH || [...normalized].some((char) => !RECOVERY_CODE_ALPHABET.includes(char))) {
+            return null;
+        }
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    // Whether code is one of the user's unused recovery codes (resetPin checks again atomically)
+    hasRecoveryCode(user, code) {
+        const hash = this.hashRecoveryCode(code);
+        if (!hash) {
+            return false;
+        }
+        // Compare with every stored hash so the position of a match does not show in the timing
+        const matches = (user.recoveryCodes || []).map((entry) => crypto.timingSafeEqual(Buffer.from(entry, 'hex'), Buffer.from(hash, 'hex')));
+        return matches.includes(true);
+    }
+
+    // Secret that takes SERVER_SECRET's place in a user's salts, so users never derive each
+    // other's passwords. Derived rather than stored: rotating SERVER_SECRET still rotates every pepper.
+    getPepper(user) {
+        if (user.legacyPepper) {
+            return process.env.SERVER_SECRET;
+        }
+        return crypto
+            .createHmac('sha256', process.env.SERVER_SECRET)
+            .update(`safepass-user-pepper:v1:${user.id}`)
+            .digest('hex');
+    }
+
     // Check if IP is locked out
     getLockoutStatus(ip) {
         const attempts = this.failedAttempts.get(ip);
@@ -101,13 +240,15 @@ class PinAuthManager {
         return crypto.randomBytes(32).toString('hex');
     }
 
-    // Create new authenticated session
-    createSession(ip) {
+    // Create new authenticated session for a user
+    createSession(ip, user) {
         const sessionId = this.generateSessionId();
         const now = Date.now();
         
         this.activeSessions.set(sessionId, {
             ip,
+            userId: user.id,
+            username: user.username,
             createdAt: now,
             lastActivity: now
         });
@@ -115,7 +256,7 @@ class PinAuthManager {
         // Clear failed attempts on successful auth
         this.failedAttempts.delete(ip);
         
-        console.log(`✅ New session created for ${ip}: ${sessionId.substring(0, 8)}...`);
+        console.log(`✅ New session created for ${user.username} from ${ip}: ${sessionId.substring(0, 8)}...`);
         return sessionId;
     }
 
@@ -144,6 +285,26 @@ class PinAuthManager {
         return true;
     }
 
+    // Session record, or null (does not check expiry; use validateSession first)
+    getSession(sessionId) {
+        return this.activeSessions.get(sessionId) || null;
+    }
+
+    // Invalidate every session of a user, except keepSessionId when given
+    invalidateUserSessions(userId, keepSessionId = null) {
+        let count = 0;
+        for (const [sessionId, session] of this.activeSessions.entries()) {
+            if (session.userId === userId && sessionId !== keepSessionId) {
+                this.activeSessions.delete(sessionId);
+                count++;
+            }
+        }
+        if (count > 0) {
+            console.log(`🗑️ ${count} session(s) invalidated for user ${userId.substring(0, 8)}...`);
+        }
+        return count;
+    }
+
     // Invalidate session
     invalidateSession(sessionId) {
         const deleted = this.activeSessions.delete(sessionId);
@@ -212,11 +373,11 @@ class PinAuthManager {
         }
     }
 
-    // Start periodic cleanup
+    // Start periodic cleanup (unref'd: the HTTP server is what keeps the process alive)
     startCleanupScheduler() {
         setInterval(() => {
             this.cleanup();
-        }, 60 * 1000); // Every minute
+        }, 60 * 1000).unref(); // Every minute
     }
 }
 
@@ -244,8 +405,8 @@ const checkLockout = (req, res, next) => {
 };
 
 
-// Middleware to validate existing session
-const validateSession = (req, res, next) => {
+// Middleware to validate existing session; sets req.sessionId, req.userId and req.pepper
+const validateSession = async (req, res, next) => {
     const sessionId = req.headers['x-session-id'];
     const ip = req.ip || req.connection.remoteAddress;
     
@@ -265,7 +426,28 @@ const validateSession = (req, res, next) => {
         });
     }
     
+    // Accounts can be disabled or deleted (scripts/users.js) while their sessions are open
+    const session = pinAuthManager.getSession(sessionId);
+    let user;
+    let pepper;
+    try {
+        user = await pinAuthManager.users.findById(session.userId);
+        pepper = user && !user.disabled ? pinAuthManager.getPepper(user) : null;
+    } catch (error) {
+        return next(error);
+    }
+    if (!user || user.disabled) {
+        pinAuthManager.invalidateUserSessions(session.userId);
+        return res.status(401).json({
+            success: false,
+            error: 'USER_DISABLED',
+            message: 'Account is disabled or no longer exists'
+        });
+    }
+    
     req.sessionId = sessionId;
+    req.userId = user.id;
+    req.pepper = pepper;
     next();
 };
 
@@ -16,6 +16,8 @@ const challengeTokens = storage.challengeTokens;
 
 /**
  * Advanced Rate Limiting with IP Tracking
+ * Requests passing the limiter get req.chargeRateLimit(hits), which counts extra
+ * hits against the same key for requests that do the work of several (batches).
  */
 const createAdvancedRateLimiter = (options = {}) => {
   const {
@@ -27,9 +29,11 @@ const createAdvancedRateLimiter = (options = {}) => {
     keyGenerator = (req) => req.ip,
   } = options;
 
-  return rateLimit({
+  const store = new rateLimit.MemoryStore();
+  const limiter = rateLimit({
     windowMs,
     max,
+    store,
     message: {
       error: message,
       retryAfter: Math.ceil(windowMs / 1000 / 60),
@@ -52,6 +56,31 @@ const createAdvancedRateLimiter = (options = {}) => {
       });
     },
   });
+
+  return (req, res, next) =>
+    limiter(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+
+      req.chargeRateLimit = async (hits) => {
+        const key = keyGenerator(req);
+        let totalHits = 0;
+        let resetTime;
+        for (let i = 0; i < hits; i++) {
+          ({ totalHits, resetTime } = await store.increment(key));
+        }
+        if (hits > 0) {
+          res.set("RateLimit-Remaining", String(Math.max(0, max - totalHits)));
+        }
+        return {
+          allowed: totalHits <= max,
+          remaining: Math.max(0, max - totalHits),
+          retryAfter: resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : 0,
+        };
+      };
+      next();
+    });
 };
 
 /**
@@ -371,7 +400,7 @@ class ChallengeTokenManager {
       if (cleanedCount > 0) {
         console.log(`🧹 Cleaned up ${cleanedCount} expired challenge tokens`);
       }
-    }, 60 * 1000); // Clean every minute
+    }, 60 * 1000).unref(); // Clean every minute; never keeps the process alive on its own
   }
 
   /**
@@ -1,10 +1,75 @@
 const express = require("express");
 const router = express.Router();
 const passwordGeneration = require("../middleware/passwordGeneration");
+const CryptoUtils = require("../utils/crypto");
+const Wordlist = require("../utils/wordlist");
 
 // Import existing middleware
 const { validateSession } = require("../middleware/pinAuth");
 const { verifyHMAC } = require("../middleware/hmacAuth");
+const { kdfCostPolicy } = require("../middleware/kdfPolicy");
+const { cryptoPool, mapWithConcurrency } = require("../utils/workerPool");
+const Oprf = require("../utils/oprf");
+const PlatformResolver = require("../utils/platformResolver");
+const PasswordRules = require("../utils/passwordRules");
+const BreachCheck = require("../utils/breachCheck");
+
+/**
+ * Answer 503 when the crypto worker pool cannot take more work
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Suggested wait in seconds
+ * @param {string} code - POOL_BUSY or POOL_TIMEOUT
+ */
+const sendPoolBusy = (res, retryAfter, code = "POOL_BUSY") => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(503).json({
+    success: false,
+    error: code === "POOL_TIMEOUT" ? "Password derivation timed out, please retry" : "Server is busy deriving passwords, please retry",
+    code,
+    retryAfter,
+  });
+};
+
+// Batch size stays well inside the 10kb JSON body limit
+const BATCH_MAX_ITEMS = 20;
+const BATCH_CONCURRENCY = parseInt(process.env.GENERATE_BATCH_CONCURRENCY) || 2;
+
+/**
+ * Generation options from request fields
+ * @param {Object} fields - counter, passwordLength, passwordRules, iterations, canonical
+ * @param {string} pepper - The session user's pepper (req.pepper, set by validateSession)
+ * @returns {Object} Options for passwordGeneration.generatePassword()
+ */
+const toGenerationOptions = ({ counter, passwordLength, passwordRules, iterations, canonical }, pepper) => ({
+  passwordLength: passwordLength ? parseInt(passwordLength) : undefined,
+  counter: counter ? parseInt(counter) : 0,
+  passwordRules,
+  iterations: iterations ? parseInt(iterations) : undefined,
+  canonical: canonical === true,
+  pepper,
+});
+
+/**
+ * Metadata returned to clients (excludes salts and other sensitive data)
+ * @param {Object} metadata - Metadata from passwordGeneration.generatePassword()
+ * @returns {Object} Public metadata
+ */
+const publicMetadata = (metadata) => ({
+  platform: metadata.platform,
+  accountIdentifier: metadata.accountIdentifier,
+  saltVersion: metadata.saltVersion,
+  counter: metadata.counter,
+  mode: metadata.mode,
+  profile: metadata.profile,
+  scheme: metadata.scheme,
+  kdf: metadata.kdf,
+  template: metadata.template,
+  entropyBits: metadata.entropyBits,
+  length: metadata.length,
+  generationTime: metadata.generationTime,
+  complexity: metadata.complexity,
+  strength: metadata.strength,
+});
 
 /**
  * POST /api/generate-password
@@ -16,7 +81,7 @@ router.post("/generate-password", validateSession, verifyHMAC, async (req, res)
     console.log(`[${new Date().toISOString()}] Password generation request from IP: ${req.ip}`);
 
     // Extract and validate parameters
-    const { masterPassword, platform, passwordLength, passwordRules, iterations } = req.body;
+    const { masterPassword, platform, accountIdentifier, counter, passwordLength, passwordRules, iterations, canonical } = req.body;
 
     // Validate input parameters
     if (!masterPassword || !platform) {
@@ -30,8 +95,12 @@ router.post("/generate-password", validateSession, verifyHMAC, async (req, res)
     const validation = passwordGeneration.validateParameters({
       masterPassword,
       platform,
+      accountIdentifier,
+      counter,
       passwordLength,
       passwordRules,
+      iterations,
+      canonical,
     });
 
     if (!validation.valid) {
@@ -43,20 +112,54 @@ router.post("/generate-password", validateSession, verifyHMAC, async (req, res)
       });
     }
 
-    const result = await passwordGeneration
-      .generatePassword(masterPassword, platform, {
-        passwordLength: passwordLength ? parseInt(passwordLength) : undefined,
-        passwordRules,
-        iterations: iterations ? parseInt(iterations) : undefined,
-      })
-      .catch((error) => {
-        console.error(`[${new Date().toISOString()}] Password generation error:`, error);
-        return {
-          success: false,
-          error: "Password generation failed",
-          details: error.message,
-        };
+    const options = toGenerationOptions({ counter, passwordLength, passwordRules, iterations, canonical }, req.pepper);
+
+    // Enforce the KDF cost policy and charge the session's budget before deriving
+    const { kdf, keyLength } = passwordGeneration.describeKeyDerivation(platform, options);
+    const policy = kdfCostPolicy.evaluate(kdf, keyLength);
+
+    if (!policy.allowed) {
+      console.log(`[${new Date().toISOString()}] KDF policy violation:`, policy.violations);
+      return res.status(400).json({
+        success: false,
+        error: "Key derivation parameters violate server policy",
+        code: "KDF_POLICY_VIOLATION",
+        details: policy.violations,
       });
+    }
+
+    // Shed load before charging the budget when the derivation queue is already full
+    if (cryptoPool.isSaturated()) {
+      return sendPoolBusy(res, cryptoPool.estimateRetryAfter());
+    }
+
+    const budget = kdfCostPolicy.consume(req.sessionId, policy.costMs);
+
+    if (!budget.allowed) {
+      console.log(`[${new Date().toISOString()}] KDF budget exhausted for session from IP: ${req.ip}`);
+      res.set("Retry-After", String(budget.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Key derivation budget exhausted for this session",
+        code: "KDF_BUDGET_EXCEEDED",
+        retryAfter: budget.retryAfter,
+      });
+    }
+
+    const result = await passwordGeneration.generatePassword(masterPassword, platform, accountIdentifier, options).catch((error) => {
+      console.error(`[${new Date().toISOString()}] Password generation error:`, error);
+      return {
+        success: false,
+        error: "Password generation failed",
+        details: error.message,
+      };
+    });
+
+    if (result && (result.code === "POOL_BUSY" || result.code === "POOL_TIMEOUT")) {
+      // The derivation never ran to completion, so it should not count against the session
+      kdfCostPolicy.refund(req.sessionId, policy.costMs);
+      return sendPoolBusy(res, result.retryAfter, result.code);
+    }
 
     if (!result || !result.success) {
       const error = result ? result.error : "Unknown error";
@@ -74,12 +177,7 @@ router.post("/generate-password", validateSession, verifyHMAC, async (req, res)
     res.json({
       success: true,
       password: result.password,
-      metadata: {
-        platform: result.metadata.platform,
-        length: result.metadata.length,
-        generationTime: result.metadata.generationTime,
-        strength: result.metadata.strength,
-      },
+      metadata: publicMetadata(result.metadata),
     });
   } catch (error) {
     console.error("Password generation endpoint error:", error);
@@ -90,6 +188,626 @@ router.post("/generate-password", validateSession, verifyHMAC, async (req, res)
   }
 });
 
+/**
+ * POST /api/password/generate-batch
+ * Generate passwords for several platforms with one master password
+ * Each item counts as one request against the IP rate limit, the summed KDF cost is
+ * charged to the session up front, and derivations run at most GENERATE_BATCH_CONCURRENCY
+ * at a time. Invalid or failed items are reported per item without failing the batch.
+ * Requires: Valid session, HMAC verification
+ */
+router.post("/generate-batch", validateSession, verifyHMAC, async (req, res) => {
+  try {
+    const { masterPassword, items } = req.body;
+
+    if (!masterPassword || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required parameters",
+        details: "masterPassword and a non-empty items array are required",
+      });
+    }
+
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: [`items may contain at most ${BATCH_MAX_ITEMS} entries`],
+      });
+    }
+
+    console.log(`[${new Date().toISOString()}] Batch generation request for ${items.length} platforms from IP: ${req.ip}`);
+
+    // The request itself was counted by the global limiter; count the remaining items
+    const rateLimit = req.chargeRateLimit ? await req.chargeRateLimit(items.length - 1) : { allowed: true };
+    if (!rateLimit.allowed) {
+      console.log(`⚠️  Rate limit exceeded by batch for IP: ${req.ip} at ${new Date().toISOString()}`);
+      res.set("Retry-After", String(rateLimit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Too many requests from this IP, please try again later",
+        code: "RATE_LIMIT_EXCEEDED",
+        retryAfter: rateLimit.retryAfter,
+      });
+    }
+
+    // Validate and price every item before anything is derived
+    const results = new Array(items.length);
+    const jobs = [];
+    items.forEach((item, index) => {
+      if (!item || typeof item !== "object" || Array.isArray(item) || !item.platform) {
+        results[index] = { index, success: false, error: "Missing required parameters", details: "platform is required" };
+        return;
+      }
+
+      const { platform, accountIdentifier, counter, passwordLength, passwordRules, iterations, canonical } = item;
+      const validation = passwordGeneration.validateParameters({
+        masterPassword,
+        platform,
+        accountIdentifier,
+        counter,
+        passwordLength,
+        passwordRules,
+        iterations,
+        canonical,
+      });
+      if (!validation.valid) {
+        results[index] = { index, success: false, error: "Invalid parameters", details: validation.errors };
+        return;
+      }
+
+      const options = toGenerationOptions(item, req.pepper);
+      const { kdf, keyLength } = passwordGeneration.describeKeyDerivation(platform, options);
+      const policy = kdfCostPolicy.evaluate(kdf, keyLength);
+      if (!policy.allowed) {
+        results[index] = {
+          index,
+          success: false,
+          error: "Key derivation parameters violate server policy",
+          code: "KDF_POLICY_VIOLATION",
+          details: policy.violations,
+        };
+        return;
+      }
+
+      jobs.push({ index, platform, accountIdentifier, options, costMs: policy.costMs });
+    });
+
+    if (jobs.length > 0) {
+      if (cryptoPool.isSaturated()) {
+        return sendPoolBusy(res, cryptoPool.estimateRetryAfter());
+      }
+
+      // All or nothing: a batch the session cannot afford is rejected before any derivation
+      const totalCostMs = jobs.reduce((total, job) => total + job.costMs, 0);
+      const budget = kdfCostPolicy.consume(req.sessionId, totalCostMs);
+      if (!budget.allowed) {
+        console.log(`[${new Date().toISOString()}] KDF budget exhausted by batch for session from IP: ${req.ip}`);
+        res.set("Retry-After", String(budget.retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: "Key derivation budget exhausted for this session",
+          code: "KDF_BUDGET_EXCEEDED",
+          retryAfter: budget.retryAfter,
+          details: { requiredMs: totalCostMs, remainingMs: budget.remainingMs },
+        });
+      }
+    }
+
+    await mapWithConcurrency(jobs, BATCH_CONCURRENCY, async (job) => {
+      const result = await passwordGeneration.generatePassword(masterPassword, job.platform, job.accountIdentifier, job.options).catch((error) => {
+        console.error(`[${new Date().toISOString()}] Batch password generation error:`, error);
+        return { success: false, error: error.message };
+      });
+
+      if (result && (result.code === "POOL_BUSY" || result.code === "POOL_TIMEOUT")) {
+        // The derivation never ran to completion, so it should not count against the session
+        kdfCostPolicy.refund(req.sessionId, job.costMs);
+        results[job.index] = {
+          index: job.index,
+          success: false,
+          error: result.code === "POOL_TIMEOUT" ? "Password derivation timed out, please retry" : "Server is busy deriving passwords, please retry",
+          code: result.code,
+          retryAfter: result.retryAfter,
+        };
+      } else if (!result || !result.success) {
+        results[job.index] = { index: job.index, success: false, error: "Password generation failed", details: result ? result.error : "Unknown error" };
+      } else {
+        results[job.index] = { index: job.index, success: true, password: result.password, metadata: publicMetadata(result.metadata) };
+      }
+    });
+
+    const succeeded = results.filter((result) => result.success).length;
+    console.log(`[${new Date().toISOString()}] Batch generation finished: ${succeeded}/${items.length} succeeded`);
+
+    res.json({
+      success: true,
+      results,
+      summary: { total: items.length, succeeded, failed: items.length - succeeded },
+    });
+  } catch (error) {
+    console.error("Batch generation endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * POST /api/password/generate-username
+ * Deterministic username or email local part for a platform
+ * Derived from the master password with its own salt, so it reveals nothing about the passwords.
+ * Requires: Valid session, HMAC verification
+ */
+router.post("/generate-username", validateSession, verifyHMAC, async (req, res) => {
+  try {
+    const { masterPassword, platform, kind, counter, usernameRules } = req.body;
+
+    if (!masterPassword || !platform) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required parameters",
+        details: "masterPassword and platform are required",
+      });
+    }
+
+    const validation = passwordGeneration.validateUsernameParameters({ masterPassword, platform, kind, counter, usernameRules });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: validation.errors,
+      });
+    }
+
+    // Same KDF cost accounting as password generation
+    const policy = kdfCostPolicy.evaluate(passwordGeneration.usernameKdf, 32);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: "Key derivation parameters violate server policy",
+        code: "KDF_POLICY_VIOLATION",
+        details: policy.violations,
+      });
+    }
+
+    if (cryptoPool.isSaturated()) {
+      return sendPoolBusy(res, cryptoPool.estimateRetryAfter());
+    }
+
+    const budget = kdfCostPolicy.consume(req.sessionId, policy.costMs);
+    if (!budget.allowed) {
+      res.set("Retry-After", String(budget.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Key derivation budget exhausted for this session",
+        code: "KDF_BUDGET_EXCEEDED",
+        retryAfter: budget.retryAfter,
+      });
+    }
+
+    const result = await passwordGeneration.generateUsername(masterPassword, platform, {
+      kind,
+      counter: counter ? parseInt(counter) : 0,
+      usernameRules,
+      pepper: req.pepper,
+    });
+
+    if (result.code === "POOL_BUSY" || result.code === "POOL_TIMEOUT") {
+      kdfCostPolicy.refund(req.sessionId, policy.costMs);
+      return sendPoolBusy(res, result.retryAfter, result.code);
+    }
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: "Username generation failed",
+        details: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      username: result.username,
+      metadata: result.metadata,
+    });
+  } catch (error) {
+    console.error("Username generation endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * POST /api/password/security-answers
+ * Reproducible answers to a platform's security questions
+ * Requires: Valid session, HMAC verification
+ */
+router.post("/security-answers", validateSession, verifyHMAC, async (req, res) => {
+  try {
+    const { masterPassword, platform, questions, style, counter } = req.body;
+
+    const validation = passwordGeneration.validateAnswerParameters({ platform, questions, style, counter });
+    const errors = [...passwordGeneration.validateMasterPassword(masterPassword, true), ...validation.errors];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: errors,
+      });
+    }
+
+    // One derivation per request, however many questions it answers
+    const policy = kdfCostPolicy.evaluate(passwordGeneration.answerKdf, 32);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: "Key derivation parameters violate server policy",
+        code: "KDF_POLICY_VIOLATION",
+        details: policy.violations,
+      });
+    }
+
+    if (cryptoPool.isSaturated()) {
+      return sendPoolBusy(res, cryptoPool.estimateRetryAfter());
+    }
+
+    const budget = kdfCostPolicy.consume(req.sessionId, policy.costMs);
+    if (!budget.allowed) {
+      res.set("Retry-After", String(budget.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Key derivation budget exhausted for this session",
+        code: "KDF_BUDGET_EXCEEDED",
+        retryAfter: budget.retryAfter,
+      });
+    }
+
+    const result = await passwordGeneration.generateSecurityAnswers(masterPassword, platform, questions, {
+      style,
+      counter: counter ? parseInt(counter) : 0,
+      pepper: req.pepper,
+    });
+
+    if (result.code === "POOL_BUSY" || result.code === "POOL_TIMEOUT") {
+      kdfCostPolicy.refund(req.sessionId, policy.costMs);
+      return sendPoolBusy(res, result.retryAfter, result.code);
+    }
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: "Security answer generation failed",
+        details: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      answers: result.answers,
+      metadata: result.metadata,
+    });
+  } catch (error) {
+    console.error("Security answers endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * POST /api/password/generate-keys
+ * Deterministic SSH (Ed25519) or age (X25519) key pair for a label
+ * The private key is in the response once; clients should show it once and not keep it.
+ * Requires: Valid session, HMAC verification
+ */
+router.post("/generate-keys", validateSession, verifyHMAC, async (req, res) => {
+  try {
+    const { masterPassword, label, type, counter, comment } = req.body;
+
+    const validation = passwordGeneration.validateKeyParameters({ label, type, counter, comment });
+    const errors = [...passwordGeneration.validateMasterPassword(masterPassword, true), ...validation.errors];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: errors,
+      });
+    }
+
+    // Same KDF cost accounting as password generation
+    const policy = kdfCostPolicy.evaluate(passwordGeneration.keyKdf, 32);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: "Key derivation parameters violate server policy",
+        code: "KDF_POLICY_VIOLATION",
+        details: policy.violations,
+      });
+    }
+
+    if (cryptoPool.isSaturated()) {
+      return sendPoolBusy(res, cryptoPool.estimateRetryAfter());
+    }
+
+    const budget = kdfCostPolicy.consume(req.sessionId, policy.costMs);
+    if (!budget.allowed) {
+      res.set("Retry-After", String(budget.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Key derivation budget exhausted for this session",
+        code: "KDF_BUDGET_EXCEEDED",
+        retryAfter: budget.retryAfter,
+      });
+    }
+
+    const result = await passwordGeneration.generateKeyPair(masterPassword, label, {
+      type,
+      counter: counter ? parseInt(counter) : 0,
+      comment,
+      pepper: req.pepper,
+    });
+
+    if (result.code === "POOL_BUSY" || result.code === "POOL_TIMEOUT") {
+      kdfCostPolicy.refund(req.sessionId, policy.costMs);
+      return sendPoolBusy(res, result.retryAfter, result.code);
+    }
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: "Key pair generation failed",
+        details: result.error,
+      });
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.json({
+      success: true,
+      publicKey: result.publicKey,
+      privateKey: result.privateKey,
+      metadata: result.metadata,
+    });
+  } catch (error) {
+    console.error("Key pair endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * POST /api/password/security-answer-params
+ * Salt and style for generating security answers on the client
+ * The master password is never sent; see generateAnswersFromParams in frontend/src/lib/safepass.js.
+ * Requires: Valid session, HMAC verification
+ */
+router.post("/security-answer-params", validateSession, verifyHMAC, (req, res) => {
+  try {
+    const { platform, questions, style, counter } = req.body;
+
+    const validation = passwordGeneration.validateAnswerParameters({ platform, questions, style, counter });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: validation.errors,
+      });
+    }
+
+    res.json({
+      success: true,
+      params: passwordGeneration.getAnswerParams(platform, questions, { style, counter: counter ? parseInt(counter) : 0, pepper: req.pepper }),
+    });
+  } catch (error) {
+    console.error("Security answer params endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build security answer parameters",
+    });
+  }
+});
+
+/**
+ * POST /api/password/derivation-params
+ * Salt, KDF and rules for generating a password on the client
+ * The master password is never sent; the client runs the scheme itself (frontend/src/lib/safepass.js).
+ * Requires: Valid session, HMAC verification
+ */
+router.post("/derivation-params", validateSession, verifyHMAC, (req, res) => {
+  try {
+    const { platform, accountIdentifier, counter, passwordLength, passwordRules, iterations, oprf, canonical } = req.body;
+
+    if (!platform) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required parameters",
+        details: "platform is required",
+      });
+    }
+
+    const validation = passwordGeneration.validateDerivationParameters({
+      platform,
+      accountIdentifier,
+      counter,
+      passwordLength,
+      passwordRules,
+      iterations,
+      oprf,
+      canonical,
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: validation.errors,
+      });
+    }
+
+    const options = {
+      passwordLength: passwordLength ? parseInt(passwordLength) : undefined,
+      counter: counter ? parseInt(counter) : 0,
+      passwordRules,
+      iterations: iterations ? parseInt(iterations) : undefined,
+      oprf: oprf === true,
+      canonical: canonical === true,
+      pepper: req.pepper,
+    };
+    const params = passwordGeneration.getDerivationParams(platform, accountIdentifier, options);
+
+    // The client pays for the derivation, but the parameter bounds still apply
+    const policy = kdfCostPolicy.evaluate(params.kdf, params.keyLength);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: "Key derivation parameters violate server policy",
+        code: "KDF_POLICY_VIOLATION",
+        details: policy.violations,
+      });
+    }
+
+    res.json({
+      success: true,
+      params,
+    });
+  } catch (error) {
+    console.error("Derivation params endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build derivation parameters",
+    });
+  }
+});
+
+/**
+ * POST /api/password/oprf-evaluate
+ * OPRF BlindEvaluate with the server key for server-bound client-side generation
+ * The blinded element reveals nothing about the master password (frontend/src/lib/oprf.js).
+ * Requires: Valid session, HMAC verification
+ */
+router.post("/oprf-evaluate", validateSession, verifyHMAC, (req, res) => {
+  try {
+    const { blindedElement } = req.body;
+
+    if (typeof blindedElement !== "string" || !/^[0-9a-f]{64}$/i.test(blindedElement)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        code: "OPRF_INVALID_ELEMENT",
+        details: "blindedElement must be a 32-byte hex string",
+      });
+    }
+
+    let evaluatedElement;
+    try {
+      evaluatedElement = Oprf.blindEvaluate(passwordGeneration.getOprfKey(req.pepper).secretKey, Buffer.from(blindedElement, "hex"));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        code: "OPRF_INVALID_ELEMENT",
+        details: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      suite: Oprf.suite,
+      evaluatedElement: evaluatedElement.toString("hex"),
+    });
+  } catch (error) {
+    console.error("OPRF evaluate endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to evaluate OPRF",
+    });
+  }
+});
+
+/**
+ * GET /api/password/wordlists/:name
+ * Raw word list file for client-side passphrases (clients verify it against params.passphrase.wordlistSha256)
+ */
+router.get("/wordlists/:name", (req, res) => {
+  try {
+    if (!Wordlist.checksum(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        error: "Unknown word list",
+      });
+    }
+
+    res.type("text/plain").send(Wordlist.loadRaw(req.params.name));
+  } catch (error) {
+    console.error("Word list endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load word list",
+    });
+  }
+});
+
+/**
+ * GET /api/password/resolve?input=<name, domain or URL>
+ * Resolve what the user typed to a platform key ("accounts.google.com" -> "google.com")
+ * Resolved keys are canonical, so clients send them with "canonical": true.
+ */
+router.get("/resolve", (req, res) => {
+  try {
+    const { input } = req.query;
+
+    if (typeof input !== "string" || !input.trim() || input.length > 2048) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: "input must be a platform name, domain or URL of at most 2048 characters",
+      });
+    }
+
+    const resolution = PlatformResolver.resolve(input);
+    const preset = passwordGeneration.getPresetKey(resolution.platform, true);
+
+    res.json({
+      success: true,
+      ...resolution,
+      preset,
+      // Site rules from the bundled quirks snapshot, applied when there is no preset
+      passwordrules: preset ? null : PasswordRules.forDomain(resolution.platform),
+    });
+  } catch (error) {
+    console.error("Platform resolve endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to resolve platform",
+    });
+  }
+});
+
+/**
+ * GET /api/password/schemes
+ * Published generation spec: scheme registry, salt formats and supported KDFs
+ */
+router.get("/schemes", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...passwordGeneration.getSchemeSpec(),
+    });
+  } catch (error) {
+    console.error("Scheme list endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load generation schemes",
+    });
+  }
+});
+
 /**
  * GET /api/password/platforms
  * Get available platform presets
@@ -107,6 +825,9 @@ router.get("/platforms", (req, res) => {
       { name: "Netflix", key: "netflix", icon: "🎬" },
       { name: "Spotify", key: "spotify", icon: "🎵" },
       { name: "Amazon", key: "amazon", icon: "🛒" },
+      { name: "Wi-Fi", key: "wifi", icon: "📶" },
+      { name: "SSH Key", key: "ssh", icon: "🔑" },
+      { name: "Disk Encryption", key: "diskencryption", icon: "💽" },
     ];
 
     res.json({
@@ -130,11 +851,15 @@ router.get("/rules/:platform", (req, res) => {
   try {
     const { platform } = req.params;
     const rules = passwordGeneration.getPasswordRules(platform);
+    const isPassphrase = rules.mode === "passphrase";
 
     res.json({
       success: true,
       platform,
       rules,
+      profile: isPassphrase ? null : rules.profile || "standard",
+      charset: isPassphrase ? null : passwordGeneration.buildCharacterSet(rules),
+      scheme: isPassphrase ? null : passwordGeneration.resolveScheme(rules),
     });
   } catch (error) {
     console.error("Password rules endpoint error:", error);
@@ -145,13 +870,84 @@ router.get("/rules/:platform", (req, res) => {
   }
 });
 
+/**
+ * GET /api/password/profiles
+ * Get available output profiles and their length limits
+ */
+router.get("/profiles", (req, res) => {
+  try {
+    const profiles = Object.entries(passwordGeneration.outputProfiles).map(([name, profile]) => ({
+      name,
+      charset: profile.charset || null,
+      minLength: profile.minLength,
+      maxLength: profile.maxLength,
+    }));
+
+    res.json({
+      success: true,
+      profiles,
+    });
+  } catch (error) {
+    console.error("Output profiles endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load output profiles",
+    });
+  }
+});
+
+/**
+ * GET /api/password/kdfs
+ * Get available key derivation functions with their default spec
+ */
+router.get("/kdfs", (req, res) => {
+  try {
+    const kdfs = CryptoUtils.listKdfs().map((name) => ({
+      name,
+      defaultSpec: CryptoUtils.formatKdfSpec(name),
+    }));
+
+    res.json({
+      success: true,
+      kdfs,
+    });
+  } catch (error) {
+    console.error("KDF list endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load key derivation functions",
+    });
+  }
+});
+
+/**
+ * GET /api/password/kdf-policy
+ * Get KDF parameter bounds, session budget and recommended specs for this host
+ */
+router.get("/kdf-policy", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: kdfCostPolicy.getPolicy(),
+    });
+  } catch (error) {
+    console.error("KDF policy endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load KDF policy",
+    });
+  }
+});
+
 /**
  * POST /api/password/validate-strength
- * Validate password strength
+ * Estimate password strength (guesses, entropy, crack times, feedback) and check the
+ * offline breach corpus (BREACH_DATA_FILE), if one is configured
+ * Optional userInputs (platform, account, names) are treated as words an attacker tries first.
  */
-router.post("/validate-strength", (req, res) => {
+router.post("/validate-strength", async (req, res) => {
   try {
-    const { password } = req.body;
+    const { password, userInputs = [] } = req.body;
 
     if (!password || typeof password !== "string") {
       return res.status(400).json({
@@ -160,11 +956,21 @@ router.post("/validate-strength", (req, res) => {
       });
     }
 
-    const strength = passwordGeneration.calculatePasswordStrength(password);
+    if (password.length > 1024 || !Array.isArray(userInputs) || userInputs.length > 20 || userInputs.some((input) => typeof input !== "string" || input.length > 254)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: "password must be at most 1024 characters and userInputs at most 20 strings of up to 254 characters",
+      });
+    }
+
+    const strength = passwordGeneration.calculatePasswordStrength(password, userInputs);
+    const breach = await BreachCheck.check(password);
 
     res.json({
       success: true,
       strength,
+      breach,
     });
   } catch (error) {
     console.error("Password strength validation error:", error);
@@ -175,6 +981,47 @@ router.post("/validate-strength", (req, res) => {
   }
 });
 
+/**
+ * GET /api/password/breach-range/:prefix
+ * k-anonymity breach lookup: every hash suffix in the corpus for a 5-character SHA-1
+ * prefix, so clients can check a password without sending its hash.
+ * Needs the HIBP file; a Bloom filter cannot list hashes.
+ */
+router.get("/breach-range/:prefix", async (req, res) => {
+  try {
+    const { prefix } = req.params;
+
+    if (!/^[0-9a-fA-F]{5}$/.test(prefix)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: "prefix must be 5 hexadecimal characters",
+      });
+    }
+
+    const suffixes = await BreachCheck.range(prefix.toUpperCase());
+    if (!suffixes) {
+      return res.status(404).json({
+        success: false,
+        error: "Breach range lookups are not available",
+        code: "BREACH_RANGE_UNAVAILABLE",
+      });
+    }
+
+    res.json({
+      success: true,
+      prefix: prefix.toUpperCase(),
+      suffixes,
+    });
+  } catch (error) {
+    console.error("Breach range endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Breach range lookup failed",
+    });
+  }
+});
+
 /**
  * GET /api/password/stats
  * Get password generation statistics (development only)
@@ -189,6 +1036,8 @@ router.get("/stats", (req, res) => {
     res.json({
       success: true,
       statistics: stats,
+      kdfPolicy: kdfCostPolicy.getStats(),
+      workerPool: cryptoPool.getStats(),
     });
   } catch (error) {
     console.error("Password statistics endpoint error:", error);
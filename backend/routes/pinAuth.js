@@ -1,22 +1,11 @@
 const express = require('express');
 const crypto = require('crypto');
-const { pinAuthManager, checkLockout } = require('../middleware/pinAuth');
+const { pinAuthManager, checkLockout, validateSession } = require('../middleware/pinAuth');
 const { challengeTokenManager } = require('../middleware/security');
 const { verifyHMAC } = require('../middleware/hmacAuth');
+const { cryptoPool } = require('../utils/workerPool');
 const router = express.Router();
 
-// Get master PIN hash from environment (in production, this would be in database)
-const getMasterPinHash = () => {
-    const masterPin = process.env.MASTER_PIN;
-    if (!masterPin) {
-        throw new Error('MASTER_PIN not configured in environment');
-    }
-    
-    // In production, store the hash, not the plain PIN
-    // For development, we hash it on the fly
-    return pinAuthManager.hashPin(masterPin);
-};
-
 // Hash PIN with HMAC
 const hashPinWithHMAC = (pin) => {
   const secret = process.env.SERVER_SECRET; // SAMA dgn client
@@ -24,24 +13,46 @@ const hashPinWithHMAC = (pin) => {
   return crypto.createHmac('sha256', secret).update(pin).digest('hex');
 };
 
+// 503 with Retry-After when bcrypt could not run on the worker pool; false for other errors
+const sendPoolError = (res, error) => {
+    if (error.code !== 'POOL_BUSY' && error.code !== 'POOL_TIMEOUT') {
+        return false;
+    }
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(503).json({
+        error: 'Server is busy, please retry',
+        code: error.code,
+        retryAfter: error.retryAfter
+    });
+    return true;
+};
+
+// 400 unless the HMAC-verified request carries a valid challenge token; true when it was sent
+const sendChallengeError = (req, res) => {
+    const validation = challengeTokenManager.validateToken(req.challengeToken, req);
+    if (validation.valid) {
+        return false;
+    }
+    res.status(400).json({
+        error: 'Invalid or expired challenge token',
+        code: 'CHALLENGE_INVALID',
+        reason: validation.reason
+    });
+    return true;
+};
+
 /**
- * POST /api/auth/verify-pin - Verify PIN with HMAC and challenge token
- * Requires: HMAC verification, valid challenge token, PIN
+ * POST /api/auth/verify-pin - Verify a user's PIN with HMAC and challenge token
+ * Requires: HMAC verification, valid challenge token, PIN; username defaults to "default"
  */
 router.post('/verify-pin', verifyHMAC, checkLockout, async (req, res) => {
     try {
-        const { pin } = req.body;
+        const { username, pin } = req.body;
         const clientIP = req.ip || req.connection.remoteAddress;
-        const challengeToken = req.challengeToken; // From HMAC middleware
 
         // Validate challenge token (from HMAC-verified request)
-        const validation = challengeTokenManager.validateToken(challengeToken, req);
-        if (!validation.valid) {
-            return res.status(400).json({
-                error: 'Invalid or expired challenge token',
-                code: 'CHALLENGE_INVALID',
-                reason: validation.reason
-            });
+        if (sendChallengeError(req, res)) {
+            return;
         }
 
         // Input validation
@@ -52,21 +63,32 @@ router.post('/verify-pin', verifyHMAC, checkLockout, async (req, res) => {
             });
         }
 
-        // Ambil hash master PIN dari env
-        const masterHash = process.env.MASTER_PIN_HASH;
-        if (!masterHash) {
-            throw new Error("MASTER_PIN_HASH not set in .env");
+        if (username !== undefined && typeof username !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid username',
+                code: 'USERNAME_INVALID'
+            });
+        }
+
+        // Unknown and disabled users fail like a wrong PIN (bcrypt runs on the worker pool)
+        let user;
+        try {
+            user = await pinAuthManager.authenticate(username, pin);
+        } catch (error) {
+            if (sendPoolError(res, error)) {
+                return;
+            }
+            throw error;
         }
 
-        // Verifikasi dengan bcrypt
-        const bcrypt = require('bcryptjs');
-        if (bcrypt.compareSync(pin.toString(), masterHash)) {
-            const sessionId = pinAuthManager.createSession(clientIP);
+        if (user) {
+            const sessionId = pinAuthManager.createSession(clientIP, user);
             return res.json({
                 success: true,
                 message: 'PIN verified successfully',
                 data: {
                     sessionId,
+                    username: user.username,
                     expiresAt: Date.now() + pinAuthManager.SESSION_TIMEOUT
                 }
             });
@@ -92,6 +114,161 @@ router.post('/verify-pin', verifyHMAC, checkLockout, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/change-pin - Change the signed-in user's PIN
+ * Requires: session, HMAC verification, valid challenge token, current PIN and new PIN.
+ * Every other session of the user ends; this one stays signed in.
+ */
+router.post('/change-pin', validateSession, verifyHMAC, checkLockout, async (req, res) => {
+    try {
+        const { currentPin, newPin } = req.body;
+        const clientIP = req.ip || req.connection.remoteAddress;
+
+        if (sendChallengeError(req, res)) {
+            return;
+        }
+
+        if (!currentPin || typeof currentPin !== 'string') {
+            return res.status(400).json({
+                error: 'Missing or invalid PIN',
+                code: 'PIN_INVALID'
+            });
+        }
+
+        const newPinError = currentPin === newPin ? 'New PIN must differ from the current PIN' : pinAuthManager.validateNewPin(newPin);
+        if (newPinError) {
+            return res.status(400).json({
+                error: newPinError,
+                code: 'NEW_PIN_INVALID'
+            });
+        }
+
+        let user;
+        let sessionsRevoked;
+        try {
+            user = await pinAuthManager.authenticate(pinAuthManager.getSession(req.sessionId).username, currentPin);
+            if (user) {
+                sessionsRevoked = await pinAuthManager.setPin(user, newPin, { keepSessionId: req.sessionId });
+            }
+        } catch (error) {
+            if (sendPoolError(res, error)) {
+                return;
+            }
+            throw error;
+        }
+
+        if (!user) {
+            pinAuthManager.recordFailedAttempt(clientIP, null, req.get('User-Agent'));
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid PIN',
+                code: 'PIN_INVALID',
+                data: {
+                    lockoutTime: pinAuthManager.getLockoutTimeRemaining(clientIP)
+                }
+            });
+        }
+
+        console.log(`🔑 PIN changed for ${user.username}`);
+        res.json({
+            success: true,
+            message: 'PIN changed successfully',
+            data: {
+                sessionsRevoked
+            }
+        });
+
+    } catch (error) {
+        console.error('PIN change error:', error);
+        res.status(500).json({
+            error: 'PIN change failed',
+            code: 'CHANGE_PIN_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/reset-pin - Set a new PIN with a one-time recovery code (forgotten PIN)
+ * Requires: HMAC verification, valid challenge token, username, recovery code and new PIN.
+ * The code is used up and every session of the user ends.
+ */
+router.post('/reset-pin', verifyHMAC, checkLockout, async (req, res) => {
+    try {
+        const { username, recoveryCode, newPin } = req.body;
+        const clientIP = req.ip || req.connection.remoteAddress;
+
+        if (sendChallengeError(req, res)) {
+            return;
+        }
+
+        if (username !== undefined && typeof username !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid username',
+                code: 'USERNAME_INVALID'
+            });
+        }
+
+        const newPinError = pinAuthManager.validateNewPin(newPin);
+        if (newPinError) {
+            return res.status(400).json({
+                error: newPinError,
+                code: 'NEW_PIN_INVALID'
+            });
+        }
+
+        const rejectCode = () => {
+            pinAuthManager.recordFailedAttempt(clientIP, null, req.get('User-Agent'));
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid recovery code',
+                code: 'RECOVERY_CODE_INVALID',
+                data: {
+                    lockoutTime: pinAuthManager.getLockoutTimeRemaining(clientIP)
+                }
+            });
+        };
+
+        // Unknown and disabled users fail like a wrong code; checking first spares bcrypt for wrong codes
+        await pinAuthManager.ensureDefaultUser();
+        const user = await pinAuthManager.users.findByUsername(username || pinAuthManager.DEFAULT_USERNAME);
+        if (!user || user.disabled || !pinAuthManager.hasRecoveryCode(user, recoveryCode)) {
+            return rejectCode();
+        }
+
+        let result;
+        try {
+            result = await pinAuthManager.resetPin(user, recoveryCode, newPin);
+        } catch (error) {
+            if (sendPoolError(res, error)) {
+                return;
+            }
+            throw error;
+        }
+
+        // Used up by a concurrent request while the new PIN was being hashed
+        if (!result) {
+            return rejectCode();
+        }
+
+        console.log(`🔑 PIN reset with a recovery code for ${user.username} (${result.recoveryCodesLeft} codes left)`);
+        res.json({
+            success: true,
+            message: 'PIN reset successfully',
+            data: {
+                username: user.username,
+                ...result
+            }
+        });
+
+    } catch (error) {
+        console.error('PIN reset error:', error);
+        res.status(500).json({
+            error: 'PIN reset failed',
+            code: 'RESET_PIN_ERROR'
+        });
+    }
+});
+
 /**
  * POST /api/auth/logout - Logout with HMAC verification
  */
@@ -148,6 +325,7 @@ router.get('/session-status', (req, res) => {
             data: {
                 authenticated: isValid,
                 sessionId: isValid ? sessionId : null,
+                username: isValid ? pinAuthManager.getSession(sessionId).username : null,
                 serverTime: Date.now()
             }
         });
@@ -192,7 +370,10 @@ router.get('/stats', (req, res) => {
     const stats = pinAuthManager.getSessionStats();
     res.json({
         success: true,
-        data: stats
+        data: {
+            ...stats,
+            workerPool: cryptoPool.getStats()
+        }
     });
 });
 
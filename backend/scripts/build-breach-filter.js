@@ -0,0 +1,25 @@
+const BreachCheck = require('../utils/breachCheck');
+
+/**
+ * Build a breach Bloom filter
+ * Compacts the HIBP SHA-1 file (ordered by hash, "HASH:COUNT" per line) into a Bloom
+ * filter that BREACH_DATA_FILE can point to instead of the full file.
+ *
+ * Usage: npm run build:breach-filter -- <pwned-passwords-sha1.txt> <output.bloom> [falsePositiveRate]
+ */
+const [input, output, rate] = process.argv.slice(2);
+const falsePositiveRate = rate === undefined ? 0.001 : Number(rate);
+
+if (!input || !output || !(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+    console.error('Usage: npm run build:breach-filter -- <pwned-passwords-sha1.txt> <output.bloom> [falsePositiveRate, default 0.001]');
+    process.exit(1);
+}
+
+BreachCheck.buildBloomFilter(input, output, falsePositiveRate)
+    .then(({ entries, k, bytes }) => {
+        console.log(`Wrote ${output}: ${entries} hashes, k = ${k}, ${(bytes / 1024 / 1024).toFixed(1)} MB`);
+    })
+    .catch((error) => {
+        console.error(`Failed to build breach filter: ${error.message}`);
+        process.exit(1);
+    });
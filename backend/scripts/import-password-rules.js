@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PasswordRules = require('../utils/passwordRules');
+
+/**
+ * Import site password rules
+ * Converts quirks/password-rules.json from apple/password-manager-resources into
+ * data/password-rules.json, dropping entries that PasswordRules.parse rejects. The snapshot
+ * records where the file came from and its SHA-256, so it can be traced to the exact upstream
+ * file and a later import can be diffed against it.
+ *
+ * Usage: npm run import:password-rules -- [path or https URL of password-rules.json]
+ *   Without an argument the file is downloaded from UPSTREAM_URL (the main branch). A raw URL
+ *   with a commit in place of "main" pins the import to that commit.
+ */
+const UPSTREAM_URL = 'https://raw.githubusercontent.com/apple/password-manager-resources/main/quirks/password-rules.json';
+const OUTPUT_FILE = path.join(__dirname, '..', 'data', 'password-rules.json');
+const DESCRIPTION =
+    "Offline snapshot of site password rules in passwordrules syntax, keyed by domain, imported from quirks/password-rules.json of https://github.com/apple/password-manager-resources (MIT License) with `npm run import:password-rules`; source records the imported file. Rules decide the character set, so changing a domain's entry changes the passwords generated for it.";
+
+const readSource = async (source) => {
+    if (!source.startsWith('https://')) {
+        return fs.readFileSync(source, 'utf8');
+    }
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Downloading ${source} failed: HTTP ${response.status}`);
+    }
+    return response.text();
+};
+
+const importRules = async (source) => {
+    const text = await readSource(source);
+    const upstream = JSON.parse(text);
+    const existing = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf8'));
+    const rules = {};
+    let skipped = 0;
+
+    for (const domain of Object.keys(upstream).sort()) {
+        const rule = upstream[domain]['password-rules'];
+        try {
+            PasswordRules.parse(rule);
+            rules[domain] = { 'password-rules': rule };
+        } catch (error) {
+            skipped++;
+            console.warn(`Skipping ${domain}: ${error.message}`);
+        }
+    }
+
+    // Canonical requests for these domains derive different passwords after the import
+    const changed = Object.keys(existing.rules).filter((domain) => !rules[domain] || rules[domain]['password-rules'] !== existing.rules[domain]['password-rules']);
+    if (changed.length > 0) {
+        console.warn(`Rules changed or removed for ${changed.length} domain(s), which changes their passwords: ${changed.join(', ')}`);
+    }
+
+    const snapshot = {
+        description: DESCRIPTION,
+        source: {
+            // Local paths are reduced to the file name; they mean nothing on another machine
+            location: source.startsWith('https://') ? source : path.basename(source),
+            sha256: crypto.createHash('sha256').update(text).digest('hex'),
+            importedAt: new Date().toISOString()
+        },
+        rules
+    };
+    fs.writeFileSync(OUTPUT_FILE, `${JSON.stringify(snapshot, null, 2)}\n`);
+    console.log(`Imported ${Object.keys(rules).length} domains (${skipped} skipped) into ${OUTPUT_FILE}`);
+};
+
+importRules(process.argv[2] || UPSTREAM_URL).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,115 @@
+require('dotenv').config();
+const readline = require('readline');
+const { pinAuthManager } = require('../middleware/pinAuth');
+
+/**
+ * Manage SafePass users
+ * Works on the user store of the server (USER_STORE_FILE, default data/users.json); a running
+ * server picks up changes on its next request, and sessions of disabled or deleted users end.
+ *
+ * Usage: npm run users -- <command>
+ *   list               - Usernames, state and creation date
+ *   create <username>  - Add a user; the PIN is read from standard input, e.g.
+ *                        read -s PIN && echo "$PIN" | npm run users -- create alice
+ *                        and the user's one-time PIN recovery codes are printed
+ *   recovery-codes <username> - Replace the user's recovery codes with new ones
+ *   disable <username> - Refuse the user's PIN and end their sessions
+ *   enable <username>  - Undo disable
+ *   delete <username>  - Remove the user for good
+ */
+const USAGE = 'Usage: npm run users -- list | create <username> | recovery-codes <username> | disable <username> | enable <username> | delete <username>';
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+// First line of standard input
+const readPin = () =>
+    new Promise((resolve) => {
+        if (process.stdin.isTTY) {
+            process.stdout.write('PIN (6 digits): ');
+        }
+        const input = readline.createInterface({ input: process.stdin });
+        input.once('line', (line) => {
+            resolve(line.trim());
+            input.close();
+        });
+        input.once('close', () => resolve(''));
+    });
+
+// Codes are only ever shown here; the store keeps their hashes
+const printRecoveryCodes = (username, codes) => {
+    console.log(`Recovery codes for ${username} (each resets the PIN once, keep them offline):`);
+    for (const code of codes) {
+        console.log(`  ${code}`);
+    }
+};
+
+const findUser = async (username) => {
+    const user = await pinAuthManager.users.findByUsername(username);
+    if (!user) {
+        fail(`No user named ${username}`);
+    }
+    return user;
+};
+
+const commands = {
+    async list() {
+        const users = await pinAuthManager.users.list();
+        if (users.length === 0) {
+            console.log('No users');
+        }
+        for (const user of users) {
+            console.log(`${user.username}\t${user.disabled ? 'disabled' : 'active'}\t${user.createdAt}${user.legacyPepper ? '\t(migrated from MASTER_PIN_HASH)' : ''}`);
+        }
+    },
+
+    async create(username) {
+        const pin = await readPin();
+        const pinError = pinAuthManager.validateNewPin(pin);
+        if (pinError) {
+            fail(pinError);
+        }
+        // Creating the first user should not hide the MASTER_PIN_HASH account from being migrated
+        if (process.env.MASTER_PIN_HASH) {
+            await pinAuthManager.ensureDefaultUser();
+        }
+        const { codes, hashes } = pinAuthManager.createRecoveryCodes();
+        const user = await pinAuthManager.users.create({ username, pinHash: pinAuthManager.hashPin(pin), recoveryCodes: hashes });
+        console.log(`Created user ${user.username}`);
+        printRecoveryCodes(user.username, codes);
+    },
+
+    async 'recovery-codes'(username) {
+        const user = await findUser(username);
+        const { codes, hashes } = pinAuthManager.createRecoveryCodes();
+        await pinAuthManager.users.update(user.id, { recoveryCodes: hashes });
+        printRecoveryCodes(user.username, codes);
+    },
+
+    async disable(username) {
+        const user = await findUser(username);
+        await pinAuthManager.users.update(user.id, { disabled: true });
+        console.log(`Disabled user ${user.username}`);
+    },
+
+    async enable(username) {
+        const user = await findUser(username);
+        await pinAuthManager.users.update(user.id, { disabled: false });
+        console.log(`Enabled user ${user.username}`);
+    },
+
+    async delete(username) {
+        const user = await findUser(username);
+        await pinAuthManager.users.delete(user.id);
+        console.log(`Deleted user ${user.username}`);
+    }
+};
+
+const [command, username] = process.argv.slice(2);
+if (!Object.prototype.hasOwnProperty.call(commands, command) || (command !== 'list' && !username)) {
+    fail(USAGE);
+}
+
+commands[command](username).catch((error) => fail(error.message));
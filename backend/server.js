@@ -5,7 +5,10 @@ require("dotenv").config();
 
 // Import middlewares
 const { createAdvancedRateLimiter, trackFailedAttempts, enhancedSecurityHeaders, securityLogger } = require("./middleware/security");
-const { validateSession } = require("./middleware/pinAuth");
+const { validateSession, pinAuthManager } = require("./middleware/pinAuth");
+const { kdfCostPolicy } = require("./middleware/kdfPolicy");
+const { cryptoPool } = require("./utils/workerPool");
+const PasswordRules = require("./utils/passwordRules");
 const hmacAuthRoutes = require("./routes/hmacAuth");
 
 // Import routes
@@ -190,7 +193,7 @@ process.on("SIGINT", () => {
 });
 
 // Start server
-app.listen(PORT, "0.0.0.0", () => {
+const onListening = () => {
   console.log("🚀 SafePass backend server started successfully!");
   console.log(`📡 Port: ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
@@ -201,8 +204,31 @@ app.listen(PORT, "0.0.0.0", () => {
   console.log(`   • Failed attempt tracking: ${process.env.MAX_FAILED_ATTEMPTS || 5} attempts`);
   console.log(`   • Challenge token expiry: ${(process.env.CHALLENGE_TOKEN_EXPIRY || 300000) / 1000}s`);
   console.log(`   • Request size limit: 10kb`);
+  console.log(`   • Crypto worker pool: ${cryptoPool.size} threads, queue ${cryptoPool.maxQueue}`);
   console.log(`   • Enhanced security headers active`);
+  const partialRules = PasswordRules.getQuirksSource() ? "" : " (partial hand-made snapshot: run npm run import:password-rules)";
+  console.log(`   • Site password rules: ${PasswordRules.getQuirks().size} domains${partialRules}`);
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-});
+
+  // Benchmark the KDFs so cost estimates and recommendations match this host
+  if (process.env.KDF_CALIBRATE !== "false") {
+    kdfCostPolicy
+      .calibrate()
+      .then((report) => {
+        console.log(`⏱️  KDF calibration (target ${report.targetLatencyMs}ms):`, report.recommended);
+      })
+      .catch((error) => {
+        console.error("KDF calibration failed, using default cost estimates:", error.message);
+      });
+  }
+};
+
+// Migrate MASTER_PIN_HASH to the "default" user before taking requests, so no sign-in races the migration
+pinAuthManager
+  .ensureDefaultUser()
+  .catch((error) => {
+    console.error("User store:", error.message);
+  })
+  .then(() => app.listen(PORT, "0.0.0.0", onListening));
 
 module.exports = app;
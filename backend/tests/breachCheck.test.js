@@ -0,0 +1,103 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BreachCheck = require("../utils/breachCheck");
+
+describe("BreachCheck", () => {
+  const originalFile = process.env.BREACH_DATA_FILE;
+  let directory;
+  let rangeFile;
+  let filterFile;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "safepass-breach-"));
+    rangeFile = path.join(directory, "pwned-passwords-sha1.txt");
+    filterFile = path.join(directory, "pwned.bloom");
+
+    // HIBP layout: uppercase SHA-1 ordered by hash, ":COUNT", CRLF line endings
+    const entries = [
+      ["password", 9545824],
+      ["Password1!Password1!", 42],
+    ];
+    for (let i = 0; i < 500; i++) {
+      entries.push([`filler-${i}`, i + 1]);
+    }
+    const lines = entries.map(([password, count]) => `${BreachCheck.sha1(password)}:${count}`).sort();
+    fs.writeFileSync(rangeFile, `${lines.join("\r\n")}\r\n`);
+
+    await BreachCheck.buildBloomFilter(rangeFile, filterFile, 0.001);
+  });
+
+  afterAll(async () => {
+    process.env.BREACH_DATA_FILE = originalFile || "";
+    await BreachCheck.getCorpus();
+    if (originalFile === undefined) {
+      delete process.env.BREACH_DATA_FILE;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("reports nothing without breach data", async () => {
+    delete process.env.BREACH_DATA_FILE;
+    expect(await BreachCheck.check("password")).toEqual({ checked: false });
+    expect(await BreachCheck.range("5BAA6")).toBeNull();
+  });
+
+  describe("HIBP range file", () => {
+    beforeAll(() => {
+      process.env.BREACH_DATA_FILE = rangeFile;
+    });
+
+    test("returns exact breach counts", async () => {
+      expect(await BreachCheck.check("password")).toEqual({ checked: true, source: "range-file", breached: true, count: 9545824, probable: false });
+      expect(await BreachCheck.check("Password1!Password1!")).toMatchObject({ breached: true, count: 42 });
+      expect(await BreachCheck.check("filler-0")).toMatchObject({ breached: true, count: 1 });
+      expect(await BreachCheck.check("filler-499")).toMatchObject({ breached: true, count: 500 });
+    });
+
+    test("does not flag passwords that are not in the corpus", async () => {
+      expect(await BreachCheck.check("ctPoC9m0E$0:=x+WLi[A")).toMatchObject({ checked: true, breached: false, count: 0 });
+    });
+
+    test("lists the suffixes for a prefix", async () => {
+      const hash = BreachCheck.sha1("password");
+      const suffixes = await BreachCheck.range(hash.slice(0, 5));
+
+      expect(suffixes).toContainEqual({ suffix: hash.slice(5), count: 9545824 });
+      expect(await BreachCheck.range("FFFFF")).toEqual([]);
+    });
+  });
+
+  describe("Bloom filter", () => {
+    beforeAll(() => {
+      process.env.BREACH_DATA_FILE = filterFile;
+    });
+
+    test("reports every corpus password as probably breached", async () => {
+      for (const password of ["password", "Password1!Password1!", "filler-250"]) {
+        expect(await BreachCheck.check(password)).toEqual({ checked: true, source: "bloom-filter", breached: true, count: null, probable: true });
+      }
+    });
+
+    test("is much smaller than the range file and cannot list ranges", async () => {
+      expect(fs.statSync(filterFile).size).toBeLessThan(fs.statSync(rangeFile).size / 10);
+      expect(await BreachCheck.range("5BAA6")).toBeNull();
+    });
+
+    test("keeps false positives rare", async () => {
+      let hits = 0;
+      for (let i = 0; i < 1000; i++) {
+        if ((await BreachCheck.check(`not-in-corpus-${i}`)).breached) hits++;
+      }
+      expect(hits).toBeLessThan(20);
+    });
+  });
+
+  test("falls back to no check when the file is missing", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    process.env.BREACH_DATA_FILE = path.join(directory, "missing.txt");
+
+    expect(await BreachCheck.check("password")).toEqual({ checked: false });
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,74 @@
+const Canonical = require("../utils/canonical");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+describe("Canonical", () => {
+  test("master passwords are NFKC with ASCII spaces", () => {
+    expect(Canonical.password("cafe\u0301")).toBe("caf\u00e9");
+    expect(Canonical.password("ｐａｓｓ")).toBe("pass");
+    expect(Canonical.password(" two words\t")).toBe(" two words ");
+  });
+
+  test("platform keys are folded, unspaced and Punycode", () => {
+    expect(Canonical.platform("Git Hub")).toBe("github");
+    expect(Canonical.platform("ＧｉｔＨｕｂ")).toBe("github");
+    expect(Canonical.platform("Bücher.de.")).toBe("xn--bcher-kva.de");
+    expect(Canonical.platform("Bücher.DE")).toBe("xn--bcher-kva.de");
+  });
+
+  test("account identifiers keep the local part and Punycode the email domain", () => {
+    expect(Canonical.account("  Alice@Bücher.DE ")).toBe("alice@xn--bcher-kva.de");
+    expect(Canonical.account("Jane   Doe")).toBe("jane doe");
+    expect(Canonical.account(undefined)).toBe("");
+  });
+
+  test("security questions ignore case, punctuation and spacing", () => {
+    expect(Canonical.question("What is your mother’s maiden name?")).toBe("what is your mothers maiden name");
+    expect(Canonical.question("  WHAT IS YOUR MOTHER'S   MAIDEN NAME ？")).toBe("what is your mothers maiden name");
+    expect(Canonical.question("Première voiture ?")).toBe("première voiture");
+  });
+});
+
+describe("canonical generation", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = "s";
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+  });
+
+  const generate = (masterPassword, platform, accountIdentifier, options = { canonical: true }) =>
+    passwordGeneration.generatePassword(masterPassword, platform, accountIdentifier, options).then((result) => result.password);
+
+  test("equivalent inputs give the same password", async () => {
+    const expected = await generate("caf\u00e9 pass word", "github", "alice@example.com");
+
+    expect(await generate("cafe\u0301 pass word", "Git Hub", " Alice@Example.com ")).toBe(expected);
+    expect(await generate("caf\u00e9 pass word", "ＧｉｔＨｕｂ", "alice@example.com")).toBe(expected);
+  });
+
+  test("legacy requests keep the exact input bytes", async () => {
+    const nfc = await generate("caf\u00e9 pass word", "github", undefined, {});
+    const nfd = await generate("cafe\u0301 pass word", "github", undefined, {});
+
+    expect(nfd).not.toBe(nfc);
+    expect(await generate("masterpass1", "github", undefined, {})).toBe("Vac+do7%xL]1w#]fE6=s");
+    expect(await generate("masterpass1", "github")).not.toBe("Vac+do7%xL]1w#]fE6=s");
+  });
+
+  test("canonical platforms select the platform preset", () => {
+    const params = passwordGeneration.getDerivationParams("Ｇｍａｉｌ", undefined, { canonical: true });
+
+    expect(params).toMatchObject({ platform: "gmail", saltVersion: 4, canonicalization: "nfkc-1", length: 16 });
+  });
+
+  test("validation measures the canonical master password", () => {
+    const base = { masterPassword: "①②③④⑤⑥⑦", platform: "github" };
+
+    expect(passwordGeneration.validateParameters({ ...base, canonical: true }).errors).toContain("Master password must be at least 8 characters long");
+    expect(passwordGeneration.validateParameters({ ...base, masterPassword: "ﬃabcdef", canonical: true }).valid).toBe(true);
+    expect(passwordGeneration.validateParameters({ ...base, masterPassword: "masterpass1", platform: "   ", canonical: true }).errors).toContain("Platform must contain more than whitespace");
+  });
+});
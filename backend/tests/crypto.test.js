@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const CryptoUtils = require("../utils/crypto");
+
+/**
+ * Chi-squared critical value for the given degrees of freedom (Wilson-Hilferty approximation)
+ * z = 3.719 corresponds to p = 0.0001, so a fair mapping fails roughly once in 10,000 runs
+ * (the inputs below are fixed, so in practice the result is stable)
+ */
+const chiSquaredCritical = (degreesOfFreedom, z = 3.719) => {
+  const k = degreesOfFreedom;
+  return k * Math.pow(1 - 2 / (9 * k) + z * Math.sqrt(2 / (9 * k)), 3);
+};
+
+const chiSquared = (counts, expected) => counts.reduce((sum, observed) => sum + Math.pow(observed - expected, 2) / expected, 0);
+
+const keyFor = (index) => crypto.createHash("sha256").update(`uniformity-test-key-${index}`).digest();
+
+/**
+ * Draw `total` unbiased indexes in [0, max) from fixed, independent HKDF streams
+ */
+const sampleUnbiased = (max, total, perStream = 2000) => {
+  const counts = new Array(max).fill(0);
+  let drawn = 0;
+  for (let streamIndex = 0; drawn < total; streamIndex++) {
+    const stream = CryptoUtils.createByteStream(keyFor(streamIndex), "uniformity-test");
+    for (let i = 0; i < perStream && drawn < total; i++, drawn++) {
+      counts[stream.nextInt(max)]++;
+    }
+  }
+  return counts;
+};
+
+describe("CryptoUtils.createByteStream", () => {
+  test("matches RFC 5869 test case 1 (HKDF-Expand)", () => {
+    const prk = Buffer.from("077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5", "hex");
+    const info = Buffer.from("f0f1f2f3f4f5f6f7f8f9", "hex");
+    const stream = CryptoUtils.createByteStream(prk, info);
+    const okm = Buffer.from(Array.from({ length: 42 }, () => stream.nextByte()));
+
+    expect(okm.toString("hex")).toBe("3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865");
+  });
+
+  test("is deterministic and domain-separated by info", () => {
+    const read = (info) => {
+      const stream = CryptoUtils.createByteStream(keyFor(0), info);
+      return Array.from({ length: 64 }, () => stream.nextByte());
+    };
+
+    expect(read("a")).toEqual(read("a"));
+    expect(read("a")).not.toEqual(read("b"));
+  });
+
+  test("stops after 255 HKDF blocks", () => {
+    const stream = CryptoUtils.createByteStream(keyFor(0), "limit");
+    for (let i = 0; i < 255 * 32; i++) stream.nextByte();
+    expect(() => stream.nextByte()).toThrow("HKDF stream exhausted");
+  });
+
+  test("rejects out-of-range bounds", () => {
+    const stream = CryptoUtils.createByteStream(keyFor(0), "bounds");
+    expect(() => stream.nextInt(0)).toThrow();
+    expect(() => stream.nextInt(65537)).toThrow();
+    expect(() => stream.nextInt(2.5)).toThrow();
+  });
+});
+
+describe("unbiased charset mapping", () => {
+  // Sizes produced by buildCharacterSet: with/without symbols, with/without excludeAmbiguous
+  const charsetSizes = [57, 62, 83, 88];
+
+  test.each(charsetSizes)("nextInt(%i) is uniform", (size) => {
+    const total = size * 2000;
+    const counts = sampleUnbiased(size, total);
+    const statistic = chiSquared(counts, total / size);
+
+    expect(statistic).toBeLessThan(chiSquaredCritical(size - 1));
+  });
+
+  test("two-byte bounds are uniform (7776 word list)", () => {
+    const size = 7776;
+    const total = size * 40;
+    const counts = sampleUnbiased(size, total, 1500);
+    const statistic = chiSquared(counts, total / size);
+
+    expect(statistic).toBeLessThan(chiSquaredCritical(size - 1));
+  });
+
+  test("legacy modulo mapping is measurably biased for the same charset sizes", () => {
+    const size = 88;
+    const bytes = Buffer.concat(Array.from({ length: 1000 }, (_, i) => keyFor(i)));
+    const counts = new Array(size).fill(0);
+    for (const byte of bytes) counts[byte % size]++;
+
+    const statistic = chiSquared(counts, bytes.length / size);
+    expect(statistic).toBeGreaterThan(chiSquaredCritical(size - 1));
+  });
+
+  test("bytesToCharsetUnbiased only uses charset characters and respects length", () => {
+    const charset = "abcdefghijkmnpqrstuvwxyz23456789";
+    const stream = CryptoUtils.createByteStream(keyFor(1), "charset");
+    const result = CryptoUtils.bytesToCharsetUnbiased(stream, charset, 40);
+
+    expect(result).toHaveLength(40);
+    expect([...result].every((char) => charset.includes(char))).toBe(true);
+  });
+});
+
+describe("KDF registry", () => {
+  test("formats and parses versioned KDF specs", () => {
+    expect(CryptoUtils.formatKdfSpec("argon2id")).toBe("$argon2id$v=19$m=19456,t=2,p=1");
+    expect(CryptoUtils.formatKdfSpec("scrypt", { ln: 16 })).toBe("$scrypt$ln=16,r=8,p=1");
+    expect(CryptoUtils.parseKdfSpec("$pbkdf2-sha256$i=100000")).toEqual({ name: "pbkdf2-sha256", params: { i: 100000 } });
+  });
+
+  test.each(["argon2id", "$argon2id$m=19456,t=2,p=1", "$scrypt$ln=15,r=8", "$scrypt$ln=15,r=8,p=1,p=1", "$bcrypt$r=12", "$pbkdf2-sha256$i=0"])("rejects malformed spec %s", (spec) => {
+    expect(() => CryptoUtils.parseKdfSpec(spec)).toThrow();
+  });
+
+  test("PBKDF2 spec matches the legacy deriveKey", async () => {
+    const legacy = await CryptoUtils.deriveKey("password", "salt", 1000, 32);
+    const viaSpec = await CryptoUtils.deriveKeyWithSpec("password", "salt", "$pbkdf2-sha256$i=1000", 32);
+
+    expect(viaSpec.equals(legacy)).toBe(true);
+  });
+
+  test.each(["$pbkdf2-sha256$i=1000", "$scrypt$ln=10,r=8,p=1"])("blocking derivation of %s matches the async one", async (spec) => {
+    const blocking = await CryptoUtils.deriveKeyWithSpecBlocking("password", "salt", spec, 40);
+
+    expect(blocking.equals(await CryptoUtils.deriveKeyWithSpec("password", "salt", spec, 40))).toBe(true);
+  });
+
+  test("scrypt matches RFC 7914 test vector", async () => {
+    const key = await CryptoUtils.deriveKeyWithSpec("password", "NaCl", "$scrypt$ln=10,r=8,p=16", 64);
+
+    expect(key.toString("hex")).toBe("fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640");
+  });
+
+  test("argon2id matches the reference implementation", async () => {
+    const key = await CryptoUtils.deriveKeyWithSpec("password", "somesalt", "$argon2id$v=19$m=65536,t=2,p=1", 32);
+
+    expect(key.toString("hex")).toBe("09316115d5cf24ed5a15a31a3ba326e5cf32edc24702987c02b6566f61913cf7");
+  });
+});
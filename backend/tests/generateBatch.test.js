@@ -0,0 +1,121 @@
+const express = require("express");
+const request = require("supertest");
+
+jest.mock("../middleware/pinAuth", () => ({
+  validateSession: (req, res, next) => {
+    req.sessionId = req.get("X-Session-ID");
+    next();
+  },
+}));
+jest.mock("../middleware/hmacAuth", () => ({
+  verifyHMAC: (req, res, next) => next(),
+}));
+
+const { createAdvancedRateLimiter } = require("../middleware/security");
+const { kdfCostPolicy } = require("../middleware/kdfPolicy");
+const passwordGeneration = require("../middleware/passwordGeneration");
+const passwordRoutes = require("../routes/passwordGeneration");
+
+const createApp = (max) => {
+  const app = express();
+  app.use(createAdvancedRateLimiter({ windowMs: 60 * 1000, max }));
+  app.use(express.json({ limit: "10kb" }));
+  app.use("/api/password", passwordRoutes);
+  return app;
+};
+
+describe("POST /api/password/generate-batch", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+  let sessions = 0;
+  const newSession = () => `batch-session-${++sessions}`;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = "s";
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test("returns the same passwords as single generation, in item order", async () => {
+    const items = [{ platform: "github" }, { platform: "gmail", accountIdentifier: "me@example.com", counter: 2 }, { platform: "wifi" }];
+
+    const response = await request(createApp(100)).post("/api/password/generate-batch").set("X-Session-ID", newSession()).send({ masterPassword: "masterpass1", items });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ total: 3, succeeded: 3, failed: 0 });
+    for (const [index, item] of items.entries()) {
+      const single = await passwordGeneration.generatePassword("masterpass1", item.platform, item.accountIdentifier, { counter: item.counter || 0 });
+      expect(response.body.results[index]).toMatchObject({ index, success: true, password: single.password });
+    }
+    expect(response.body.results[0].password).toBe("Vac+do7%xL]1w#]fE6=s");
+    expect(response.body.results[0].metadata).not.toHaveProperty("salt");
+  });
+
+  test("reports invalid items without failing the rest of the batch", async () => {
+    const items = [{ platform: "github" }, { accountIdentifier: "no platform" }, { platform: "github", counter: -1 }, { platform: "github", iterations: 1000 }];
+
+    const response = await request(createApp(100)).post("/api/password/generate-batch").set("X-Session-ID", newSession()).send({ masterPassword: "masterpass1", items });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ total: 4, succeeded: 1, failed: 3 });
+    expect(response.body.results[0].success).toBe(true);
+    expect(response.body.results[1]).toMatchObject({ index: 1, success: false, error: "Missing required parameters" });
+    expect(response.body.results[2]).toMatchObject({ index: 2, success: false, error: "Invalid parameters" });
+    expect(response.body.results[3]).toMatchObject({ index: 3, success: false, code: "KDF_POLICY_VIOLATION" });
+  });
+
+  test("rejects empty and oversized batches", async () => {
+    const app = createApp(100);
+    const session = newSession();
+
+    expect((await request(app).post("/api/password/generate-batch").set("X-Session-ID", session).send({ masterPassword: "masterpass1", items: [] })).status).toBe(400);
+    const oversized = await request(app)
+      .post("/api/password/generate-batch")
+      .set("X-Session-ID", session)
+      .send({ masterPassword: "masterpass1", items: Array.from({ length: 21 }, () => ({ platform: "github" })) });
+    expect(oversized.status).toBe(400);
+  });
+
+  test("counts every item against the IP rate limit", async () => {
+    const app = createApp(5);
+    const items = Array.from({ length: 4 }, (_, counter) => ({ platform: "github", counter }));
+
+    const first = await request(app).post("/api/password/generate-batch").set("X-Session-ID", newSession()).send({ masterPassword: "masterpass1", items });
+    expect(first.status).toBe(200);
+    expect(first.headers["ratelimit-remaining"]).toBe("1");
+
+    const second = await request(app)
+      .post("/api/password/generate-batch")
+      .set("X-Session-ID", newSession())
+      .send({ masterPassword: "masterpass1", items: items.slice(0, 2) });
+    expect(second.status).toBe(429);
+    expect(second.body.code).toBe("RATE_LIMIT_EXCEEDED");
+    expect(Number(second.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  test("charges the summed KDF cost to the session, all or nothing", async () => {
+    const app = createApp(100);
+    const session = newSession();
+    const items = [{ platform: "github" }, { platform: "gmail" }];
+    const { costMs } = kdfCostPolicy.evaluate("$pbkdf2-sha256$i=100000", 20);
+
+    // Leave room for one derivation but not two
+    kdfCostPolicy.consume(session, kdfCostPolicy.sessionBudgetMs - costMs * 1.5);
+    const rejected = await request(app).post("/api/password/generate-batch").set("X-Session-ID", session).send({ masterPassword: "masterpass1", items });
+
+    expect(rejected.status).toBe(429);
+    expect(rejected.body.code).toBe("KDF_BUDGET_EXCEEDED");
+
+    const accepted = await request(app)
+      .post("/api/password/generate-batch")
+      .set("X-Session-ID", session)
+      .send({ masterPassword: "masterpass1", items: items.slice(0, 1) });
+    expect(accepted.status).toBe(200);
+    expect(kdfCostPolicy.consume(session, costMs).allowed).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+const { KdfCostPolicy } = require("../middleware/kdfPolicy");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+describe("KdfCostPolicy", () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new KdfCostPolicy();
+  });
+
+  test("accepts the default specs of every KDF", () => {
+    for (const spec of ["$pbkdf2-sha256$i=100000", "$scrypt$ln=15,r=8,p=1", "$argon2id$v=19$m=19456,t=2,p=1"]) {
+      const result = policy.evaluate(spec);
+      expect(result.violations).toEqual([]);
+      expect(result.costMs).toBeGreaterThan(0);
+    }
+  });
+
+  test("rejects weak and excessive parameters", () => {
+    expect(policy.evaluate("$pbkdf2-sha256$i=1").allowed).toBe(false);
+    expect(policy.evaluate("$pbkdf2-sha256$i=50000000").allowed).toBe(false);
+    expect(policy.evaluate("$argon2id$v=19$m=19456,t=1,p=1").allowed).toBe(false);
+    expect(policy.evaluate("$scrypt$ln=10,r=8,p=1").allowed).toBe(false);
+  });
+
+  test("rejects parameters above the memory cap", () => {
+    const result = policy.evaluate("$scrypt$ln=20,r=8,p=1");
+
+    expect(result.allowed).toBe(false);
+    expect(result.violations.some((violation) => violation.includes("MB"))).toBe(true);
+  });
+
+  test("reports malformed specs as violations", () => {
+    const result = policy.evaluate("$md5$i=1");
+
+    expect(result.allowed).toBe(false);
+    expect(result.violations).toHaveLength(1);
+  });
+
+  test("prices PBKDF2 per 32-byte output block", () => {
+    const single = policy.evaluate("$pbkdf2-sha256$i=100000", 32).costMs;
+    const double = policy.evaluate("$pbkdf2-sha256$i=100000", 64).costMs;
+
+    expect(double).toBe(single * 2);
+  });
+
+  test("rejects a session once its budget is spent and resets after the window", () => {
+    policy.sessionBudgetMs = 100;
+    policy.budgetWindowMs = 60000;
+
+    expect(policy.consume("session", 60).allowed).toBe(true);
+    const rejected = policy.consume("session", 60);
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.retryAfter).toBeGreaterThan(0);
+    expect(policy.consume("other", 60).allowed).toBe(true);
+
+    policy.budgets.get("session").windowStart -= 60000;
+    expect(policy.consume("session", 60).allowed).toBe(true);
+  });
+
+  test("drops ended budgets on its own", () => {
+    jest.useFakeTimers();
+    try {
+      const scheduled = new KdfCostPolicy();
+      scheduled.budgetWindowMs = 60000;
+      scheduled.consume("one-off", 10);
+      jest.advanceTimersByTime(30 * 1000);
+      scheduled.consume("active", 10);
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect([...scheduled.budgets.keys()]).toEqual(["active"]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("recommendations follow the calibrated rate and stay inside the bounds", () => {
+    policy.msPerUnit["pbkdf2-sha256"] = 0.001;
+    expect(policy.getRecommendations()["pbkdf2-sha256"]).toBe("$pbkdf2-sha256$i=250000");
+
+    policy.msPerUnit["pbkdf2-sha256"] = 1;
+    expect(policy.getRecommendations()["pbkdf2-sha256"]).toBe("$pbkdf2-sha256$i=100000");
+
+    policy.msPerUnit["pbkdf2-sha256"] = 0.0005;
+    for (const spec of Object.values(policy.getRecommendations())) {
+      expect(policy.evaluate(spec).violations).toEqual([]);
+    }
+  });
+
+  test("calibrate measures every KDF", async () => {
+    const report = await policy.calibrate();
+
+    expect(Object.keys(report.measurements).sort()).toEqual(["argon2id", "pbkdf2-sha256", "scrypt"]);
+    expect(policy.getPolicy().calibrated).toBe(true);
+  });
+});
+
+describe("PasswordGeneration.describeKeyDerivation", () => {
+  test("safepass-1 derives one byte per character", () => {
+    expect(passwordGeneration.describeKeyDerivation("github", { iterations: 200000 })).toEqual({
+      kdf: "$pbkdf2-sha256$i=200000",
+      keyLength: 20,
+    });
+  });
+
+  test("other schemes and passphrases derive a 32-byte key", () => {
+    expect(passwordGeneration.describeKeyDerivation("github", { passwordRules: { scheme: "safepass-2" } }).keyLength).toBe(32);
+    expect(passwordGeneration.describeKeyDerivation("wifi").keyLength).toBe(32);
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require("fs");
+const path = require("path");
+const CryptoUtils = require("../utils/crypto");
+const KeyPair = require("../utils/keyPair");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+const { serverSecret, vectors } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "test-vectors", "keys.json"), "utf8"));
+
+describe("Key pair encoding", () => {
+  test("derives the RFC 8032 and RFC 7748 public keys", () => {
+    const ed25519 = KeyPair.publicKey("ed25519", Buffer.from("9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60", "hex"));
+    const x25519 = KeyPair.publicKey("x25519", Buffer.from("77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a", "hex"));
+
+    expect(ed25519.toString("hex")).toBe("d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a");
+    expect(x25519.toString("hex")).toBe("8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a");
+  });
+
+  test("encodes BIP 173 Bech32 vectors", () => {
+    expect(KeyPair.bech32("a", Buffer.alloc(0))).toBe("a12uel5l");
+    expect(KeyPair.bech32("abcdef", Buffer.from("00443214c74254b635cf84653a56d7c675be77df", "hex"))).toBe("abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw");
+  });
+
+  test("writes an openssh-key-v1 file around the seed", () => {
+    const seed = Buffer.alloc(32, 7);
+    const { publicKey, privateKey, fingerprint } = KeyPair.openSsh(seed, "test@safepass", 0x12345678);
+    const file = Buffer.from(privateKey.split("\n").slice(1, -2).join(""), "base64");
+
+    expect(publicKey).toBe("ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIOpKbGPinFIKvvVQexMuxfmVR3auvr57kkIe6mkURtIs test@safepass");
+    expect(fingerprint).toBe("SHA256:z/fSv0Z0RZS+Lccbc6ZoOWwt/fbj1VFJGSBKQbo4icE");
+    expect(privateKey.split("\n").every((line) => line.length <= 70)).toBe(true);
+    expect(file.subarray(0, 15).toString("latin1")).toBe("openssh-key-v1\0");
+    expect(file.includes(seed)).toBe(true);
+    // 4 + 4 + 15 + 36 + 68 + 17 bytes: already a multiple of 8, so no padding
+    expect(file.subarray(-13).toString("utf8")).toBe("test@safepass");
+  });
+});
+
+describe("Key pair generation", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = serverSecret;
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+  });
+
+  test.each(vectors.map((vector) => [vector.name, vector]))("vector: %s", async (name, vector) => {
+    const type = vector.options.type || "ssh-ed25519";
+    const result = await passwordGeneration.generateKeyPair(vector.masterPassword, vector.label, vector.options);
+
+    expect(CryptoUtils.sha256(passwordGeneration.buildKeySaltInput(type, result.metadata.label, vector.options.counter || 0))).toBe(vector.salt);
+    expect(result.publicKey).toBe(vector.publicKey);
+    expect(result.privateKey).toBe(vector.privateKey);
+    expect(result.metadata.fingerprint).toBe(vector.fingerprint);
+  });
+
+  test("gives the same key for the same label however it is typed, and a new one per counter", async () => {
+    const results = await Promise.all([
+      passwordGeneration.generateKeyPair("masterpass1", "Work Laptop"),
+      passwordGeneration.generateKeyPair("masterpass1", "  work   laptop "),
+      passwordGeneration.generateKeyPair("masterpass1", "work laptop", { counter: 1 }),
+      passwordGeneration.generateKeyPair("masterpass1", "work laptop", { comment: "" }),
+    ]);
+
+    expect(results[1].privateKey).toBe(results[0].privateKey);
+    expect(results[2].metadata.fingerprint).not.toBe(results[0].metadata.fingerprint);
+    expect(results[3].metadata.fingerprint).toBe(results[0].metadata.fingerprint);
+    expect(results[3].publicKey).toBe(results[0].publicKey.replace(/ work laptop$/, ""));
+  });
+
+  test("keeps ssh and age keys for one label unrelated", async () => {
+    const ssh = await passwordGeneration.generateKeyPair("masterpass1", "backup", { type: "ssh-ed25519" });
+    const age = await passwordGeneration.generateKeyPair("masterpass1", "backup", { type: "age-x25519" });
+
+    expect(age.publicKey).toMatch(/^age1[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{58}$/);
+    expect(age.privateKey).toMatch(/^AGE-SECRET-KEY-1[QPZRY9X8GF2TVDW0S3JN54KHCE6MUA7L]{58}$/);
+    expect(age.metadata.fingerprint).toBeUndefined();
+    expect(passwordGeneration.buildKeySaltInput("ssh-ed25519", "backup")).not.toBe(passwordGeneration.buildKeySaltInput("age-x25519", "backup"));
+    expect(ssh.metadata).toMatchObject({ type: "ssh-ed25519", label: "backup", counter: 0, scheme: "safepass-key-1" });
+  });
+
+  test("rejects invalid parameters", () => {
+    const validate = (params) => passwordGeneration.validateKeyParameters({ label: "github", ...params }).errors;
+
+    expect(validate({})).toEqual([]);
+    expect(validate({ label: " " })).toEqual(["Label must contain more than whitespace"]);
+    expect(validate({ label: "x".repeat(101) })).toEqual(["Label must be 100 characters or less"]);
+    expect(validate({ type: "ssh-rsa" })).toEqual(["Key type must be one of: ssh-ed25519, age-x25519"]);
+    expect(validate({ counter: -1 })).toEqual(["Counter must be an integer between 0 and 9999"]);
+    expect(validate({ comment: "me\nevil" })).toEqual(["Comment must be a string of at most 100 characters without control characters"]);
+  });
+});
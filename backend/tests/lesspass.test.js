@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const LessPass = require("../utils/lesspass");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+// Reference vectors of the LessPass core library (algorithm version 2)
+const SITE = "example.org";
+const LOGIN = "contact@example.org";
+const MASTER_PASSWORD = "password";
+
+const entropy = (counter) => crypto.pbkdf2Sync(MASTER_PASSWORD, LessPass.salt(SITE, LOGIN, counter), 100000, 32, "sha256");
+
+describe("LessPass v2", () => {
+  test("derives the reference entropy", () => {
+    expect(LessPass.salt(SITE, LOGIN, 1)).toBe("example.orgcontact@example.org1");
+    expect(LessPass.salt(SITE, LOGIN, 26)).toBe("example.orgcontact@example.org1a");
+    expect(entropy(1).toString("hex")).toBe("dc33d431bce2b01182c613382483ccdb0e2f66482cbba5e9d07dab34acc7eb1e");
+  });
+
+  test.each([
+    ["all character sets, length 16", ["lowercase", "uppercase", "digits", "symbols"], 16, 1, "WHLpUL)e00[iHR+w"],
+    ["no symbols, length 14, counter 2", ["lowercase", "uppercase", "digits"], 14, 2, "MBAsB7b1Prt8Sl"],
+    ["digits only, length 16", ["digits"], 16, 1, "8742368585200667"],
+  ])("reference vector: %s", (name, rules, length, counter, password) => {
+    expect(LessPass.render(entropy(counter), rules, length)).toBe(password);
+  });
+
+  test("is selectable per platform and takes the LessPass options from passwordRules", async () => {
+    const options = { passwordRules: { scheme: "lesspass-2", lesspass: { symbols: false, length: 14, counter: 2 } } };
+    const params = passwordGeneration.getDerivationParams(SITE, LOGIN, options);
+    const result = await passwordGeneration.generatePassword(MASTER_PASSWORD, SITE, LOGIN, options);
+
+    expect(params).toMatchObject({ saltVersion: 6, salt: "example.orgcontact@example.org2", kdf: "$pbkdf2-sha256$i=100000", keyLength: 32, length: 14 });
+    expect(result.password).toBe("MBAsB7b1Prt8Sl");
+    expect(result.metadata.complexity).toMatchObject({ enforced: true, satisfied: true });
+    expect(result.metadata.complexity.constraints.map((constraint) => constraint.class)).toEqual(["lowercase", "uppercase", "digits"]);
+  });
+
+  test("maps SafePass counter 0 to LessPass counter 1", () => {
+    const salt = (counter) => passwordGeneration.getDerivationParams(SITE, LOGIN, { counter, passwordRules: { scheme: "lesspass-2" } }).salt;
+
+    expect(salt(0)).toBe("example.orgcontact@example.org1");
+    expect(salt(9)).toBe("example.orgcontact@example.orga");
+  });
+
+  test("rejects invalid options", () => {
+    const validate = (lesspass, params = {}) =>
+      passwordGeneration.validateDerivationParameters({ platform: SITE, ...params, passwordRules: { scheme: "lesspass-2", lesspass, ...params.passwordRules } }).errors;
+
+    expect(validate(undefined)).toEqual([]);
+    expect(validate({ lowercase: false, uppercase: false, digits: false, symbols: false })).toEqual(["LessPass needs at least one of: lowercase, uppercase, digits, symbols"]);
+    expect(validate({ digits: "yes" })).toEqual(["LessPass digits must be a boolean"]);
+    expect(validate({ length: 36 })).toEqual(["LessPass length must be an integer between 5 and 35"]);
+    expect(validate({ counter: 0 })).toEqual(["LessPass counter must be an integer between 1 and 10000"]);
+    expect(validate({ counter: 2 }, { counter: 1 })).toEqual(["Use either counter or lesspass.counter, not both"]);
+    expect(validate({}, { passwordRules: { length: 16, profile: "pin" } })).toEqual(expect.arrayContaining(["length cannot be used with the lesspass-2 scheme"]));
+    expect(passwordGeneration.validateDerivationParameters({ platform: SITE, passwordRules: { lesspass: {} } }).errors).toEqual(["LessPass options require the lesspass-2 scheme"]);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+const Oprf = require("../utils/oprf");
+const Canonical = require("../utils/canonical");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+// Shared with the client (frontend/src/lib/oprf.test.js)
+const { serverSecret, rfc9497, vectors } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "test-vectors", "oprf.json"), "utf8"));
+const hex = (value) => Buffer.from(value, "hex");
+
+describe("Oprf", () => {
+  const { secretKey } = Oprf.deriveKeyPair(hex(rfc9497.seed), hex(rfc9497.keyInfo));
+
+  test("derives the RFC 9497 key pair", () => {
+    expect(secretKey.toString("hex")).toBe(rfc9497.skSm);
+  });
+
+  test.each(rfc9497.vectors.map((vector) => [vector.input, vector]))("evaluates RFC 9497 input %s", (input, vector) => {
+    expect(Oprf.evaluate(secretKey, hex(vector.input)).toString("hex")).toBe(vector.output);
+  });
+
+  test("blinded round trip matches direct evaluation", () => {
+    const input = Buffer.from("round trip");
+    const { blind, blindedElement } = Oprf.blind(input);
+
+    expect(Oprf.finalize(input, blind, Oprf.blindEvaluate(secretKey, blindedElement)).equals(Oprf.evaluate(secretKey, input))).toBe(true);
+  });
+
+  test("rejects malformed and identity elements", () => {
+    expect(() => Oprf.blindEvaluate(secretKey, Buffer.alloc(31))).toThrow("Invalid element length");
+    expect(() => Oprf.blindEvaluate(secretKey, Buffer.alloc(32))).toThrow("identity");
+    expect(() => Oprf.blindEvaluate(secretKey, Buffer.alloc(32, 0xff))).toThrow();
+  });
+});
+
+describe("server-bound generation vectors", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = serverSecret;
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+  });
+
+  test.each(vectors.map((vector) => [vector.name, vector]))("%s", async (name, vector) => {
+    const params = passwordGeneration.getDerivationParams(vector.platform, vector.accountIdentifier, vector.options);
+    const masterPassword = params.canonicalization ? Canonical.password(vector.masterPassword) : vector.masterPassword;
+    const input = Oprf.safepassInput(masterPassword, params.oprf.context);
+    const { blindedElement } = Oprf.blind(input, hex(vector.blind));
+    const evaluatedElement = Oprf.blindEvaluate(passwordGeneration.getOprfKey().secretKey, blindedElement);
+    const output = Oprf.finalize(input, hex(vector.blind), evaluatedElement);
+    const result = await passwordGeneration.generatePassword(output.toString("hex"), vector.platform, vector.accountIdentifier, vector.options);
+
+    expect(params).toEqual(vector.params);
+    expect(blindedElement.toString("hex")).toBe(vector.blindedElement);
+    expect(evaluatedElement.toString("hex")).toBe(vector.evaluatedElement);
+    expect(output.toString("hex")).toBe(vector.output);
+    expect(result.password).toBe(vector.password);
+  });
+
+  test("binds SERVER_SECRET through the OPRF key rather than the salt", () => {
+    const params = passwordGeneration.getDerivationParams("github", "alice@example.com", { oprf: true });
+    const { secretKey } = passwordGeneration.getOprfKey();
+    process.env.SERVER_SECRET = "another secret";
+
+    expect(passwordGeneration.getDerivationParams("github", "alice@example.com", { oprf: true }).salt).toBe(params.salt);
+    expect(passwordGeneration.getOprfKey().secretKey.equals(secretKey)).toBe(false);
+    process.env.SERVER_SECRET = serverSecret;
+  });
+});
@@ -0,0 +1,339 @@
+const express = require("express");
+const request = require("supertest");
+
+jest.mock("../middleware/pinAuth", () => ({
+  validateSession: (req, res, next) => {
+    req.sessionId = "password-generation-test";
+    next();
+  },
+}));
+jest.mock("../middleware/hmacAuth", () => ({
+  verifyHMAC: (req, res, next) => next(),
+}));
+
+const passwordGeneration = require("../middleware/passwordGeneration");
+const passwordRoutes = require("../routes/passwordGeneration");
+
+const app = express();
+app.use(express.json());
+app.use("/api/password", passwordRoutes);
+
+// ("masterpass1", "github") with SERVER_SECRET "s", as generated before accounts, counters or schemes existed
+const LEGACY_PASSWORD = "Vac+do7%xL]1w#]fE6=s";
+
+describe("PasswordGeneration schemes", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = "s";
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test("safepass-1 stays the default so existing passwords are unchanged", async () => {
+    const result = await passwordGeneration.generatePassword("masterpass1", "github");
+    const explicit = await passwordGeneration.generatePassword("masterpass1", "github", undefined, { passwordRules: { scheme: "safepass-1" } });
+
+    expect(result.metadata.scheme).toBe("safepass-1");
+    expect(result.password).toBe(LEGACY_PASSWORD);
+    expect(explicit.password).toBe(LEGACY_PASSWORD);
+  });
+
+  test("an account identifier selects the v2 salt and gives each account its own password", async () => {
+    const alice = await passwordGeneration.generatePassword("masterpass1", "github", "alice@example.com");
+    const bob = await passwordGeneration.generatePassword("masterpass1", "github", "bob@example.com");
+    const aliceTyped = await passwordGeneration.generatePassword("masterpass1", "github", "  Alice@Example.com ");
+
+    expect(alice.metadata.saltVersion).toBe(2);
+    expect(alice.metadata.accountIdentifier).toBe("alice@example.com");
+    expect(alice.password).not.toBe(bob.password);
+    expect(alice.password).not.toBe(LEGACY_PASSWORD);
+    expect(aliceTyped.password).toBe(alice.password);
+    expect(passwordGeneration.buildSaltInput("GitHub", "a:b@example.com")).toEqual({ saltInput: "v2:github:a%3Ab%40example.com:s", saltVersion: 2 });
+  });
+
+  test.each([undefined, null, ""])("account %p keeps the v1 salt and the password byte-for-byte", async (accountIdentifier) => {
+    const result = await passwordGeneration.generatePassword("masterpass1", "github", accountIdentifier);
+
+    expect(result.metadata.saltVersion).toBe(1);
+    expect(result.password).toBe(LEGACY_PASSWORD);
+    expect(passwordGeneration.buildSaltInput("GitHub", accountIdentifier)).toEqual({ saltInput: "github:s", saltVersion: 1 });
+  });
+
+  test("POST /generate-password without an account returns the password from before accounts existed", async () => {
+    const response = await request(app).post("/api/password/generate-password").send({ masterPassword: "masterpass1", platform: "github" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.password).toBe(LEGACY_PASSWORD);
+    expect(response.body.metadata).toMatchObject({ saltVersion: 1, accountIdentifier: null });
+  });
+
+  test.each([
+    ["a number", 42, "Account identifier must be a string"],
+    ["an object", { email: "alice@example.com" }, "Account identifier must be a string"],
+    ["whitespace", "   ", "Account identifier must not be blank"],
+    ["255 characters", "a".repeat(255), "Account identifier must be 254 characters or less"],
+  ])("POST /generate-password rejects an account identifier of %s with 400", async (label, accountIdentifier, message) => {
+    const response = await request(app).post("/api/password/generate-password").send({ masterPassword: "masterpass1", platform: "github", accountIdentifier });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toContain(message);
+  });
+
+  test("POST /generate-password accepts a 254-character account identifier", async () => {
+    const response = await request(app)
+      .post("/api/password/generate-password")
+      .send({ masterPassword: "masterpass1", platform: "github", accountIdentifier: "a".repeat(254) });
+
+    expect(response.status).toBe(200);
+    expect(response.body.metadata.saltVersion).toBe(2);
+  });
+
+  test("counter 0 or no counter reproduces the password from before counters existed", async () => {
+    const absent = await passwordGeneration.generatePassword("masterpass1", "github");
+    const zero = await passwordGeneration.generatePassword("masterpass1", "github", undefined, { counter: 0 });
+    const account = await passwordGeneration.generatePassword("masterpass1", "github", "alice@example.com");
+    const accountZero = await passwordGeneration.generatePassword("masterpass1", "github", "alice@example.com", { counter: 0 });
+
+    expect(absent.password).toBe(LEGACY_PASSWORD);
+    expect(zero.password).toBe(LEGACY_PASSWORD);
+    expect(zero.metadata).toMatchObject({ saltVersion: 1, counter: 0 });
+    // The alice@example.com password from before counters existed
+    expect(account.password).toBe("GA9C5NZN^BCuX4fliaf1");
+    expect(accountZero.password).toBe("GA9C5NZN^BCuX4fliaf1");
+    expect(passwordGeneration.buildSaltInput("github", "alice@example.com", 0).saltInput).toBe("v2:github:alice%40example.com:s");
+  });
+
+  test("POST /generate-password with counter 0 returns the password from before counters existed", async () => {
+    const response = await request(app).post("/api/password/generate-password").send({ masterPassword: "masterpass1", platform: "github", counter: 0 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.password).toBe(LEGACY_PASSWORD);
+  });
+
+  test("each counter rotates to a different password", async () => {
+    const passwords = [];
+    for (const counter of [0, 1, 2, 3, 9999]) {
+      const result = await passwordGeneration.generatePassword("masterpass1", "github", undefined, { counter });
+      expect(result.metadata.counter).toBe(counter);
+      passwords.push(result.password);
+    }
+
+    expect(new Set(passwords).size).toBe(passwords.length);
+    expect(passwordGeneration.buildSaltInput("github", undefined, 1)).toEqual({ saltInput: "v2:github::1:s", saltVersion: 2 });
+  });
+
+  test.each([-1, 10000, 1.5, "-1", "1e3", "0x10", "2.0", "one", true, [1], { value: 1 }])("counter %p is rejected", async (counter) => {
+    const validation = passwordGeneration.validateParameters({ masterPassword: "masterpass1", platform: "github", counter });
+    expect(validation.errors).toContain("Counter must be an integer between 0 and 9999");
+
+    const response = await request(app).post("/api/password/generate-password").send({ masterPassword: "masterpass1", platform: "github", counter });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toContain("Counter must be an integer between 0 and 9999");
+  });
+
+  test("counters sent as digit strings derive the same password as numbers", async () => {
+    const body = { masterPassword: "masterpass1", platform: "github" };
+    const number = await request(app)
+      .post("/api/password/generate-password")
+      .send({ ...body, counter: 42 });
+    const string = await request(app)
+      .post("/api/password/generate-password")
+      .send({ ...body, counter: "42" });
+
+    expect(number.status).toBe(200);
+    expect(string.body.password).toBe(number.body.password);
+    expect(string.body.metadata.counter).toBe(42);
+  });
+
+  test("safepass-2 guarantees every required class on presets when requested", async () => {
+    for (let i = 0; i < 40; i++) {
+      const result = await passwordGeneration.generatePassword(`pw${i}`, "gmail", undefined, { passwordRules: { scheme: "safepass-2" } });
+      const { complexity, rules, scheme } = result.metadata;
+
+      expect(scheme).toBe("safepass-2");
+      expect(rules.requireSymbols).toBe(true);
+      expect(complexity).toMatchObject({ enforced: true, satisfied: true });
+      expect(result.password).toMatch(/[a-z]/);
+      expect(result.password).toMatch(/[A-Z]/);
+      expect(result.password).toMatch(/[0-9]/);
+      expect(result.password).toMatch(/[^a-zA-Z0-9]/);
+    }
+  });
+
+  test("safepass-2 is deterministic and differs from safepass-1", async () => {
+    const options = { passwordRules: { scheme: "safepass-2" } };
+    const first = await passwordGeneration.generatePassword("masterpass1", "github", undefined, options);
+    const second = await passwordGeneration.generatePassword("masterpass1", "github", undefined, options);
+
+    expect(first.metadata.scheme).toBe("safepass-2");
+    expect(first.password).toBe(second.password);
+    expect(first.password).toHaveLength(20);
+    expect(first.password).not.toBe("Vac+do7%xL]1w#]fE6=s");
+    expect([...first.password].every((char) => first.metadata.charset.includes(char))).toBe(true);
+  });
+
+  test("unknown schemes are rejected by validateParameters", () => {
+    const validation = passwordGeneration.validateParameters({
+      masterPassword: "masterpass1",
+      platform: "github",
+      passwordRules: { scheme: "safepass-99" },
+    });
+
+    expect(validation.valid).toBe(false);
+  });
+
+  test("schemes are rejected outside their mode", () => {
+    const passphraseScheme = passwordGeneration.validateParameters({
+      masterPassword: "masterpass1",
+      platform: "github",
+      passwordRules: { scheme: "safepass-passphrase-1" },
+    });
+    const passwordScheme = passwordGeneration.validateParameters({
+      masterPassword: "masterpass1",
+      platform: "github",
+      passwordRules: { mode: "passphrase", scheme: "safepass-2" },
+    });
+
+    expect(passphraseScheme.errors).toContain("Scheme safepass-passphrase-1 only supports passphrase mode");
+    expect(passwordScheme.errors).toContain("Scheme safepass-2 only supports password mode");
+  });
+
+  test("safepass-2 places every required class at derived positions", async () => {
+    const options = { passwordRules: { scheme: "safepass-2", minCounts: { numbers: 5, symbols: 6 } } };
+    const first = await passwordGeneration.generatePassword("masterpass1", "github", undefined, options);
+    const second = await passwordGeneration.generatePassword("masterpass1", "github", undefined, options);
+
+    expect(first.password).toBe(second.password);
+    expect(first.metadata.complexity.enforced).toBe(true);
+    expect(first.metadata.complexity.satisfied).toBe(true);
+    expect(first.password.replace(/[^0-9]/g, "").length).toBeGreaterThanOrEqual(5);
+  });
+
+  test("safepass-2 leaves passwords that already meet the minimums unchanged", () => {
+    const charset = passwordGeneration.buildCharacterSet({ requireSymbols: true });
+    const rules = { length: 8, requireSymbols: true };
+    const stream = { nextInt: () => 0 };
+
+    expect(passwordGeneration.ensureComplexity("aB3$aB3$", charset, rules, stream)).toBe("aB3$aB3$");
+    expect(passwordGeneration.ensureComplexity("aaaaaaaa", charset, rules, stream)).not.toBe("aaaaaaaa");
+  });
+
+  test("safepass-1 reports unmet constraints without changing the password", () => {
+    const charset = passwordGeneration.buildCharacterSet({ requireSymbols: true });
+    const rules = { length: 8, requireSymbols: true };
+
+    expect(passwordGeneration.ensureComplexity("aaaaaaaa", charset, rules)).toBe("aaaaaaaa");
+    expect(passwordGeneration.checkComplexity("aaaaaaaa", charset, rules).satisfied).toBe(false);
+  });
+
+  test("minimum counts that cannot fit the password length are rejected", () => {
+    const validation = passwordGeneration.validateParameters({
+      masterPassword: "masterpass1",
+      platform: "gmail",
+      passwordRules: { minCounts: { numbers: 10, symbols: 10 } },
+    });
+
+    expect(validation.valid).toBe(false);
+  });
+
+  test("minimum counts are checked against a shortened passwordLength", async () => {
+    const body = { masterPassword: "masterpass1", platform: "gmail", passwordLength: 8, passwordRules: { scheme: "safepass-2", minCounts: { numbers: 4, symbols: 4 } } };
+    const validation = passwordGeneration.validateParameters(body);
+
+    expect(validation.errors).toContain("Minimum counts add up to 10, which exceeds the password length of 8");
+
+    const response = await request(app).post("/api/password/generate-password").send(body);
+    expect(response.status).toBe(400);
+    expect(response.body.details).toContain("Minimum counts add up to 10, which exceeds the password length of 8");
+
+    const fits = await request(app)
+      .post("/api/password/generate-password")
+      .send({ ...body, passwordLength: 10 });
+    expect(fits.status).toBe(200);
+    expect(fits.body.password).toHaveLength(10);
+  });
+
+  test("passphrase mode derives words from the EFF large word list", async () => {
+    const options = { passwordRules: { mode: "passphrase", words: 5, separator: " ", capitalization: "title", insertDigit: true } };
+    const first = await passwordGeneration.generatePassword("masterpass1", "github", undefined, options);
+    const second = await passwordGeneration.generatePassword("masterpass1", "github", undefined, options);
+    const words = first.password.split(" ");
+
+    expect(first.password).toBe(second.password);
+    expect(first.metadata.mode).toBe("passphrase");
+    expect(words).toHaveLength(5);
+    expect(words.every((word) => /^[A-Z][a-z-]+[0-9]?$/.test(word))).toBe(true);
+    expect(first.metadata.entropyBits).toBeCloseTo(5 * Math.log2(7776) + Math.log2(10), 1);
+  });
+
+  test("platform presets can select passphrase mode", async () => {
+    const result = await passwordGeneration.generatePassword("masterpass1", "wifi");
+
+    expect(result.metadata.mode).toBe("passphrase");
+    expect(result.password.split("-").length).toBeGreaterThanOrEqual(6);
+  });
+
+  test("pin profile produces digits only and skips weak PINs", async () => {
+    const result = await passwordGeneration.generatePassword("masterpass1", "bankpin");
+
+    expect(result.metadata.profile).toBe("pin");
+    expect(result.metadata.scheme).toBe("safepass-2");
+    expect(result.password).toMatch(/^[0-9]{6}$/);
+    expect(passwordGeneration.isWeakPin(result.password)).toBe(false);
+  });
+
+  test("isWeakPin flags repeated digits and straight sequences", () => {
+    expect(passwordGeneration.isWeakPin("0000")).toBe(true);
+    expect(passwordGeneration.isWeakPin("3456")).toBe(true);
+    expect(passwordGeneration.isWeakPin("8765")).toBe(true);
+    expect(passwordGeneration.isWeakPin("1357")).toBe(false);
+  });
+
+  test.each([
+    ["hex", /^[0-9a-f]+$/],
+    ["base32", /^[A-Z2-7]+$/],
+    ["letters", /^[A-Za-z]+$/],
+    ["alphanumeric", /^[A-Za-z0-9]+$/],
+  ])("%s profile only uses its own alphabet", async (profile, pattern) => {
+    const result = await passwordGeneration.generatePassword("masterpass1", "github", undefined, { passwordRules: { profile } });
+
+    expect(result.password).toMatch(pattern);
+  });
+
+  test("custom profile requires a valid alphabet", () => {
+    const validate = (passwordRules) => passwordGeneration.validateParameters({ masterPassword: "masterpass1", platform: "github", passwordRules }).valid;
+
+    expect(validate({ profile: "custom", alphabet: "ABCDEF123" })).toBe(true);
+    expect(validate({ profile: "custom", alphabet: "AAB" })).toBe(false);
+    expect(validate({ profile: "custom" })).toBe(false);
+    expect(validate({ profile: "pin", length: 3 })).toBe(false);
+  });
+
+  test("rules.kdf selects a memory-hard KDF and is reported in metadata", async () => {
+    const kdf = "$scrypt$ln=10,r=8,p=1";
+    const options = { passwordRules: { scheme: "safepass-2", kdf } };
+    const scrypt = await passwordGeneration.generatePassword("masterpass1", "github", undefined, options);
+    const pbkdf2 = await passwordGeneration.generatePassword("masterpass1", "github", undefined, { passwordRules: { scheme: "safepass-2" } });
+
+    expect(scrypt.metadata.kdf).toBe(kdf);
+    expect(pbkdf2.metadata.kdf).toBe("$pbkdf2-sha256$i=100000");
+    expect(scrypt.password).not.toBe(pbkdf2.password);
+  });
+
+  test("invalid KDF specs are rejected by validateParameters", () => {
+    const validation = passwordGeneration.validateParameters({
+      masterPassword: "masterpass1",
+      platform: "github",
+      passwordRules: { kdf: "$argon2id$v=19$m=4,t=1,p=1" },
+    });
+
+    expect(validation.valid).toBe(false);
+  });
+});
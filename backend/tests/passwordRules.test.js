@@ -0,0 +1,103 @@
+const PasswordRules = require("../utils/passwordRules");
+const CryptoUtils = require("../utils/crypto");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+describe("PasswordRules.parse", () => {
+  test("parses lengths, required groups and allowed characters", () => {
+    expect(PasswordRules.parse("minlength: 8; maxlength: 16; required: lower, upper; required: digit; allowed: [-_.]")).toEqual({
+      required: ["abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ", "0123456789"],
+      allowed: "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-._",
+      minLength: 8,
+      maxLength: 16,
+      maxConsecutive: null,
+    });
+  });
+
+  test("reads ]] as a literal ] and ignores ; inside a custom class", () => {
+    expect(PasswordRules.parse("required: [;-]]").required).toEqual([";-]".split("").sort().join("")]);
+  });
+
+  test("keeps the strictest of repeated limits", () => {
+    expect(PasswordRules.parse("minlength: 6; minlength: 10; maxlength: 20; maxlength: 16; max-consecutive: 3; max-consecutive: 2")).toMatchObject({
+      minLength: 10,
+      maxLength: 16,
+      maxConsecutive: 2,
+    });
+  });
+
+  test("allows ASCII printable characters when no class is listed", () => {
+    expect(PasswordRules.parse("minlength: 8").allowed).toHaveLength(94);
+  });
+
+  test.each([
+    ["required: emoji", 'Unknown character class "emoji"'],
+    ["minchars: 4", 'Unknown password rule "minchars"'],
+    ["minlength: eight", "minlength must be a positive integer"],
+    ["minlength: 12; maxlength: 8", "minlength must not be greater than maxlength"],
+    ["allowed: [abc", "Unterminated character class"],
+  ])("rejects %s", (text, message) => {
+    expect(() => PasswordRules.parse(text)).toThrow(message);
+  });
+
+  test("every entry of the bundled snapshot parses", () => {
+    for (const [domain, text] of PasswordRules.getQuirks()) {
+      expect(() => PasswordRules.parse(text)).not.toThrow();
+      expect(PasswordRules.forDomain(domain)).toBe(text);
+    }
+  });
+});
+
+describe("passwordrules in generation", () => {
+  const rules = (passwordrules, extra = {}) => passwordGeneration.getPasswordRules("example", { passwordrules, ...extra });
+
+  test("clamp the length and select safepass-2", () => {
+    const siteRules = rules("maxlength: 12; required: digit");
+    expect(siteRules.length).toBe(12);
+    expect(passwordGeneration.resolveScheme(siteRules)).toBe("safepass-2");
+    expect(passwordGeneration.buildCharacterSet(siteRules)).toBe(PasswordRules.parse("maxlength: 12; required: digit").allowed);
+  });
+
+  test("seed canonical requests for domains without a preset", () => {
+    expect(passwordGeneration.getPasswordRules("Chase.com", {}, true).passwordrules).toBe(PasswordRules.forDomain("chase.com"));
+    expect(passwordGeneration.getPasswordRules("chase.com").passwordrules).toBeUndefined();
+    expect(passwordGeneration.getPasswordRules("github.com", {}, true).passwordrules).toBeUndefined();
+  });
+
+  test("give way to a different profile or passphrase mode", () => {
+    expect(passwordGeneration.buildCharacterSet(passwordGeneration.getPasswordRules("chase.com", { profile: "pin" }, true))).toBe("0123456789");
+    expect(passwordGeneration.resolveScheme(passwordGeneration.getPasswordRules("chase.com", { mode: "passphrase" }, true))).toBe("safepass-passphrase-1");
+  });
+
+  test("place every required group without exceeding max-consecutive", () => {
+    const siteRules = rules("required: lower; required: [!]; required: digit; max-consecutive: 2; maxlength: 8");
+    const charset = passwordGeneration.buildCharacterSet(siteRules);
+    const stream = CryptoUtils.createByteStream(Buffer.alloc(32, 7), "test");
+    const password = passwordGeneration.ensureComplexity("aaxxaaxx", charset, siteRules, stream);
+
+    expect(passwordGeneration.checkComplexity(password, charset, siteRules).satisfied).toBe(true);
+    expect(password).not.toMatch(/(.)\1\1/);
+  });
+
+  test("limit runs while drawing", () => {
+    const stream = CryptoUtils.createByteStream(Buffer.alloc(32, 1), "test");
+    expect(CryptoUtils.bytesToCharsetUnbiased(stream, "ab", 64, 1)).toMatch(/^(ab)+$|^(ba)+$/);
+  });
+
+  test.each([
+    [{ passwordrules: "required: emoji" }, 'Invalid passwordrules: Unknown character class "emoji"'],
+    [{ passwordrules: "minlength: 8", profile: "pin" }, 'passwordrules can only be used with the "standard" profile'],
+    [{ passwordrules: "minlength: 8", scheme: "safepass-1" }, "passwordrules require the safepass-2 scheme"],
+    [{ passwordrules: "minlength: 8", minCounts: { numbers: 2 } }, "minCounts cannot be combined with passwordrules"],
+    [{ passwordrules: "maxlength: 3" }, "passwordrules maxlength must be at least 4"],
+    [{ passwordrules: "allowed: [a]; max-consecutive: 2" }, "max-consecutive needs at least two allowed characters"],
+  ])("reject invalid rules %#", (passwordRules, message) => {
+    const { errors } = passwordGeneration.validateDerivationParameters({ platform: "example", passwordRules });
+    expect(errors.join("\n")).toContain(message);
+  });
+
+  test("bound passwordLength by minlength and maxlength", () => {
+    const passwordRules = { passwordrules: "minlength: 10; maxlength: 12" };
+    expect(passwordGeneration.validateDerivationParameters({ platform: "example", passwordRules, passwordLength: 12 }).valid).toBe(true);
+    expect(passwordGeneration.validateDerivationParameters({ platform: "example", passwordRules, passwordLength: 8 }).errors).toContain("Password length must be between 10 and 12 characters");
+  });
+});
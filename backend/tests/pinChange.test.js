@@ -0,0 +1,141 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const express = require("express");
+const request = require("supertest");
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "safepass-pin-change-"));
+process.env.USER_STORE_FILE = path.join(storeDir, "users.json");
+
+jest.mock("../middleware/hmacAuth", () => ({
+  verifyHMAC: (req, res, next) => next(),
+}));
+
+const { pinAuthManager } = require("../middleware/pinAuth");
+const { challengeTokenManager } = require("../middleware/security");
+const pinAuthRoutes = require("../routes/pinAuth");
+
+const CLIENT_IP = "::ffff:127.0.0.1";
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", pinAuthRoutes);
+
+describe("PIN change and reset", () => {
+  let alice;
+  let codes;
+
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(async () => {
+    process.env.SERVER_SECRET = "s";
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(challengeTokenManager, "validateToken").mockReturnValue({ valid: true });
+
+    const recovery = pinAuthManager.createRecoveryCodes();
+    codes = recovery.codes;
+    alice = await pinAuthManager.users.create({ username: "alice", pinHash: bcrypt.hashSync("472913", 4), recoveryCodes: recovery.hashes });
+  });
+
+  beforeEach(() => {
+    pinAuthManager.failedAttempts.clear();
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+    console.log.mockRestore();
+    challengeTokenManager.validateToken.mockRestore();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  test("recovery codes are random, one-time and forgiving about how they are typed", () => {
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/));
+
+    expect(pinAuthManager.hashRecoveryCode("0i1l-abcd-efgh-jkmn")).toBe(pinAuthManager.hashRecoveryCode("O111ABCDEFGHJKMN"));
+    expect(pinAuthManager.hashRecoveryCode("ABCD-EFGH-JKMN-PQRU")).toBeNull();
+    expect(pinAuthManager.hashRecoveryCode("ABCD-EFGH")).toBeNull();
+
+    const typed = codes[3].toLowerCase().replace(/-/g, " ");
+    expect(pinAuthManager.hasRecoveryCode(alice, typed)).toBe(true);
+    expect(pinAuthManager.hasRecoveryCode({ ...alice, recoveryCodes: [] }, codes[3])).toBe(false);
+    expect(pinAuthManager.hasRecoveryCode(alice, "not a code")).toBe(false);
+  });
+
+  test("POST /api/auth/change-pin needs the current PIN and a good new PIN", async () => {
+    const sessionId = pinAuthManager.createSession(CLIENT_IP, alice);
+
+    const wrongPin = await request(app).post("/api/auth/change-pin").set("X-Session-Id", sessionId).send({ currentPin: "000000", newPin: "604817" });
+    expect(wrongPin.status).toBe(401);
+    expect(wrongPin.body.code).toBe("PIN_INVALID");
+    expect(pinAuthManager.failedAttempts.get(CLIENT_IP).count).toBe(1);
+
+    const weakPin = await request(app).post("/api/auth/change-pin").set("X-Session-Id", sessionId).send({ currentPin: "472913", newPin: "123456" });
+    expect(weakPin.status).toBe(400);
+    expect(weakPin.body.code).toBe("NEW_PIN_INVALID");
+
+    const samePin = await request(app).post("/api/auth/change-pin").set("X-Session-Id", sessionId).send({ currentPin: "472913", newPin: "472913" });
+    expect(samePin.status).toBe(400);
+
+    const noSession = await request(app).post("/api/auth/change-pin").send({ currentPin: "472913", newPin: "604817" });
+    expect(noSession.status).toBe(401);
+  });
+
+  test("changing the PIN persists it and ends the user's other sessions", async () => {
+    const sessionId = pinAuthManager.createSession(CLIENT_IP, alice);
+    const otherSessionId = pinAuthManager.createSession(CLIENT_IP, alice);
+
+    const response = await request(app).post("/api/auth/change-pin").set("X-Session-Id", sessionId).send({ currentPin: "472913", newPin: "604817" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.sessionsRevoked).toBeGreaterThanOrEqual(1);
+    expect(pinAuthManager.getSession(sessionId)).not.toBeNull();
+    expect(pinAuthManager.getSession(otherSessionId)).toBeNull();
+
+    const stored = JSON.parse(fs.readFileSync(process.env.USER_STORE_FILE, "utf8")).users.find((user) => user.id === alice.id);
+    expect(bcrypt.compareSync("604817", stored.pinHash)).toBe(true);
+    expect(await pinAuthManager.authenticate("alice", "472913")).toBeNull();
+  });
+
+  test("POST /api/auth/reset-pin uses up a recovery code and ends every session", async () => {
+    const sessionId = pinAuthManager.createSession(CLIENT_IP, alice);
+    const body = { username: "alice", recoveryCode: codes[0], newPin: "935172" };
+
+    const wrongUser = await request(app)
+      .post("/api/auth/reset-pin")
+      .send({ ...body, username: "bob" });
+    expect(wrongUser.status).toBe(401);
+    expect(wrongUser.body.code).toBe("RECOVERY_CODE_INVALID");
+
+    const response = await request(app).post("/api/auth/reset-pin").send(body);
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ username: "alice", recoveryCodesLeft: 9 });
+    expect(pinAuthManager.getSession(sessionId)).toBeNull();
+    expect(await pinAuthManager.authenticate("alice", "935172")).toMatchObject({ id: alice.id });
+
+    const reused = await request(app).post("/api/auth/reset-pin").send(body);
+    expect(reused.status).toBe(401);
+    expect(reused.body.code).toBe("RECOVERY_CODE_INVALID");
+  });
+
+  test("concurrent resets with the same code succeed once", async () => {
+    const body = { username: "alice", recoveryCode: codes[1], newPin: "281604" };
+
+    const responses = await Promise.all([request(app).post("/api/auth/reset-pin").send(body), request(app).post("/api/auth/reset-pin").send(body)]);
+
+    expect(responses.map((response) => response.status).sort()).toEqual([200, 401]);
+    expect((await pinAuthManager.users.findById(alice.id)).recoveryCodes).toHaveLength(8);
+  });
+
+  test("concurrent resets with different codes use up both", async () => {
+    const responses = await Promise.all([codes[2], codes[4]].map((recoveryCode) => request(app).post("/api/auth/reset-pin").send({ username: "alice", recoveryCode, newPin: "281604" })));
+
+    expect(responses.map((response) => response.status)).toEqual([200, 200]);
+    const stored = (await pinAuthManager.users.findById(alice.id)).recoveryCodes;
+    expect(stored).toHaveLength(6);
+    expect(stored).not.toContain(pinAuthManager.hashRecoveryCode(codes[2]));
+    expect(stored).not.toContain(pinAuthManager.hashRecoveryCode(codes[4]));
+  });
+});
@@ -0,0 +1,42 @@
+const PlatformResolver = require("../utils/platformResolver");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+describe("PlatformResolver", () => {
+  test.each([
+    ["Gmail", "google.com", "alias"],
+    ["accounts.google.com", "google.com", "domain"],
+    ["https://accounts.google.com/signin?hl=en", "google.com", "domain"],
+    ["X.com/home", "twitter.com", "alias"],
+    ["https://mobile.twitter.com", "twitter.com", "domain"],
+    ["mail.google.co.uk", "google.co.uk", "domain"],
+    ["Bücher.de", "xn--bcher-kva.de", "domain"],
+    ["project.github.io", "project.github.io", "domain"],
+    ["192.168.1.1:8443", "192.168.1.1", "domain"],
+    ["http://intranet/login", "intranet", "domain"],
+    ["My Bank", "mybank", "name"],
+  ])("%s -> %s", (input, platform, source) => {
+    expect(PlatformResolver.resolve(input)).toMatchObject({ platform, source });
+  });
+
+  test("rejects empty input", () => {
+    expect(() => PlatformResolver.resolve("  ")).toThrow("Platform input is required");
+  });
+});
+
+describe("resolved platform keys", () => {
+  test("select the preset of their registrable domain in canonical requests only", () => {
+    expect(passwordGeneration.getPresetKey("google.com", true)).toBe("gmail");
+    expect(passwordGeneration.getPresetKey("google.com")).toBeNull();
+    expect(passwordGeneration.getPasswordRules("github.com", {}, true)).toMatchObject({ length: 20 });
+    expect(passwordGeneration.getPasswordRules("github.com")).toMatchObject({ length: 16 });
+  });
+
+  test("every spelling of a site derives the same salt", () => {
+    const salts = ["Gmail", "accounts.google.com", "https://mail.google.com/mail/u/0/"].map((input) => {
+      const { platform } = PlatformResolver.resolve(input);
+      return passwordGeneration.getDerivationParams(platform, "alice@example.com", { canonical: true }).salt;
+    });
+
+    expect(new Set(salts).size).toBe(1);
+  });
+});
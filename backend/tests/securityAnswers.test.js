@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+// Shared with the client generator (frontend/src/lib/safepass.test.js)
+const { serverSecret, vectors } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "test-vectors", "security-answers.json"), "utf8"));
+
+describe("Security answers", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = serverSecret;
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+  });
+
+  test.each(vectors.map((vector) => [vector.name, vector]))("vector: %s", async (name, vector) => {
+    const result = await passwordGeneration.generateSecurityAnswers(vector.masterPassword, vector.platform, vector.questions, vector.options);
+
+    expect(passwordGeneration.getAnswerParams(vector.platform, vector.questions, vector.options)).toEqual(vector.params);
+    expect(result.answers.map((entry) => entry.answer)).toEqual(vector.answers);
+  });
+
+  test("answers the same question however it is typed", async () => {
+    const questions = ["What is your mother's maiden name?", "what is your mother’s maiden name", "WHAT IS YOUR MOTHER'S  MAIDEN NAME ?"];
+    const { answers } = await passwordGeneration.generateSecurityAnswers("masterpass1", "github", questions);
+
+    expect(new Set(answers.map((entry) => entry.answer)).size).toBe(1);
+    expect(answers[0].answer).toMatch(/^([bdfghjklmnprstvz][aeiou]){3}( ([bdfghjklmnprstvz][aeiou]){3}){2}$/);
+  });
+
+  test("gives unrelated answers per platform and counter", async () => {
+    const questions = ["What was the name of your first pet?"];
+    const results = await Promise.all([
+      passwordGeneration.generateSecurityAnswers("masterpass1", "github", questions),
+      passwordGeneration.generateSecurityAnswers("masterpass1", "gitlab", questions),
+      passwordGeneration.generateSecurityAnswers("masterpass1", "github", questions, { counter: 1 }),
+    ]);
+
+    expect(new Set(results.map((result) => result.answers[0].answer)).size).toBe(3);
+  });
+
+  test("rejects invalid parameters", () => {
+    const validate = (params) => passwordGeneration.validateAnswerParameters({ platform: "github", questions: ["First pet?"], ...params }).errors;
+
+    expect(validate({})).toEqual([]);
+    expect(validate({ questions: [] })).toEqual(["Questions must be an array of 1 to 10 strings"]);
+    expect(validate({ questions: Array(11).fill("First pet?") })).toEqual(["Questions must be an array of 1 to 10 strings"]);
+    expect(validate({ questions: ["???"] })).toEqual(["Each question must be a string of at most 200 characters containing letters or digits"]);
+    expect(validate({ style: "emoji" })).toEqual(["Answer style must be one of: pronounceable, passphrase"]);
+    expect(validate({ counter: 10000 })).toEqual(["Counter must be an integer between 0 and 9999"]);
+  });
+});
@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+const Spectre = require("../utils/spectre");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+// Reference test suite of the Spectre algorithm (mpw_tests.xml, algorithm version 3)
+const FULL_NAME = "Robert Lee Mitchell";
+const MASTER_PASSWORD = "banana colored duckling";
+const SITE_NAME = "masterpasswordapp.com";
+
+const userKey = (fullName, masterPassword) => crypto.scryptSync(masterPassword, Spectre.userKeySalt(fullName), 64, { N: 32768, r: 8, p: 2, maxmem: 128 * 1024 * 1024 });
+
+describe("Spectre v3", () => {
+  let key;
+
+  beforeAll(() => {
+    key = userKey(FULL_NAME, MASTER_PASSWORD);
+  });
+
+  test.each([
+    ["maximum", "W6@692^B1#&@gVdSdLZ@"],
+    ["long", "Jejr5[RepuSosp"],
+    ["medium", "Jej2$Quv"],
+    ["basic", "WAo2xIg6"],
+    ["short", "Jej2"],
+    ["pin", "7662"],
+    ["name", "jejraquvo"],
+    ["phrase", "jejr quv cabsibu tam"],
+  ])("reference vector: %s template", (template, password) => {
+    expect(Spectre.encode(Spectre.siteSeed(key, SITE_NAME, 1), template)).toBe(password);
+  });
+
+  test("reference vectors: counter ceiling and UTF-8 names", () => {
+    expect(Spectre.encode(Spectre.siteSeed(key, SITE_NAME, 4294967295), "long")).toBe("XambHoqo6[Peni");
+    expect(Spectre.encode(Spectre.siteSeed(key, "⛄", 1), "long")).toBe("LiheCuwhSerz6)");
+    expect(Spectre.encode(Spectre.siteSeed(userKey("⛄", MASTER_PASSWORD), SITE_NAME, 1), "long")).toBe("NopaDajh8=Fene");
+    expect(Spectre.encode(Spectre.siteSeed(userKey(FULL_NAME, "⛄"), SITE_NAME, 1), "long")).toBe("QesuHirv5-Xepl");
+  });
+
+  test("is selectable per platform and maps SafePass counter 0 to Spectre counter 1", async () => {
+    const options = { counter: 3, passwordRules: { scheme: "spectre-3", spectre: { fullName: FULL_NAME, template: "medium" } } };
+    const params = passwordGeneration.getDerivationParams(SITE_NAME, null, options);
+    const result = await passwordGeneration.generatePassword(MASTER_PASSWORD, SITE_NAME, null, options);
+
+    expect(params).toMatchObject({ saltVersion: 5, kdf: "$scrypt$ln=15,r=8,p=2", keyLength: 64, scheme: "spectre-3" });
+    expect(params.spectre).toMatchObject({ siteName: SITE_NAME, siteCounter: 4, template: "medium" });
+    expect(result.password).toBe(Spectre.encode(Spectre.siteSeed(key, SITE_NAME, 4), "medium"));
+    expect(result.metadata).toMatchObject({ scheme: "spectre-3", template: "medium", counter: 3, complexity: { enforced: false } });
+    expect(passwordGeneration.describeKeyDerivation(SITE_NAME, options)).toEqual({ kdf: "$scrypt$ln=15,r=8,p=2", keyLength: 64 });
+  });
+
+  test("rejects options the scheme does not use", () => {
+    const validate = (params, spectre = { fullName: FULL_NAME }) =>
+      passwordGeneration.validateDerivationParameters({ platform: SITE_NAME, ...params, passwordRules: { scheme: "spectre-3", spectre, ...params.passwordRules } }).errors;
+
+    expect(validate({})).toEqual([]);
+    expect(validate({}, null)).toEqual(["The spectre-3 scheme requires spectre options with a full name"]);
+    expect(validate({}, { fullName: " " })).toEqual(["Spectre full name is required and must be a string"]);
+    expect(validate({}, { fullName: FULL_NAME, template: "huge" })).toEqual(["Spectre template must be one of: maximum, long, medium, basic, short, pin, name, phrase"]);
+    expect(validate({ accountIdentifier: "robert" })).toEqual(["Spectre passwords do not use an account identifier"]);
+    expect(validate({ oprf: true, passwordRules: { kdf: "$scrypt$ln=15,r=8,p=1" } })).toEqual(["kdf cannot be used with the spectre-3 scheme", "oprf cannot be used with the spectre-3 scheme"]);
+    expect(validate({ passwordRules: { mode: "passphrase" } })).toContain("Scheme spectre-3 only supports password mode");
+    expect(passwordGeneration.validateDerivationParameters({ platform: SITE_NAME, passwordRules: { spectre: { fullName: FULL_NAME } } }).errors).toEqual([
+      "Spectre options require the spectre-3 scheme",
+    ]);
+  });
+});
@@ -0,0 +1,36 @@
+const Strength = require("../utils/strength");
+
+describe("Strength.estimate", () => {
+  test("sees through repeated dictionary words with every character class", () => {
+    const strength = Strength.estimate("Password1!Password1!");
+
+    expect(strength.score).toBeLessThanOrEqual(1);
+    expect(strength.patterns[0].pattern).toBe("repeat");
+    expect(strength.feedback.warning).toEqual(expect.any(String));
+  });
+
+  test.each([
+    ["zxcvbnm,./", "spatial"],
+    ["abcdefgh", "sequence"],
+    ["1990-05-17", "date"],
+    ["zzzzzzzzzz", "repeat"],
+  ])("matches %s as %s", (password, pattern) => {
+    expect(Strength.estimate(password).patterns.map((match) => match.pattern)).toContain(pattern);
+  });
+
+  test("reports l33t substitutions", () => {
+    expect(Strength.estimate("P@ssw0rd").patterns).toContainEqual(expect.objectContaining({ pattern: "dictionary", l33t: true }));
+  });
+
+  test("penalizes user inputs such as the platform", () => {
+    expect(Strength.estimate("xkqvbzt2024", ["xkqvbzt"]).guesses).toBeLessThan(Strength.estimate("xkqvbzt2024").guesses);
+  });
+
+  test("rates a random 20-character password very strong", () => {
+    const strength = Strength.estimate("ctPoC9m0E$0:=x+WLi[A");
+
+    expect(strength.level).toBe("very-strong");
+    expect(strength.entropyBits).toBeGreaterThan(60);
+    expect(strength.crackTimes.offlineSlowHashingXPerSecond).toEqual({ seconds: expect.any(Number), display: expect.any(String) });
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+const { serverSecret, vectors } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "test-vectors", "usernames.json"), "utf8"));
+
+describe("Username generation", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = serverSecret;
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+  });
+
+  test.each(vectors.map((vector) => [vector.name, vector]))("vector: %s", async (name, vector) => {
+    const result = await passwordGeneration.generateUsername(vector.masterPassword, vector.platform, vector.options);
+
+    expect(result.username).toBe(vector.username);
+    expect(result.metadata.scheme).toBe("safepass-username-1");
+  });
+
+  test("stays inside the platform limits", async () => {
+    for (let counter = 0; counter < 20; counter++) {
+      const { username } = await passwordGeneration.generateUsername("masterpass1", "twitter", { counter });
+      expect(username).toMatch(/^[a-z]{3,8}_[a-z]{3,8}[0-9]{3}$/);
+      expect(username.length).toBeLessThanOrEqual(15);
+    }
+
+    const { username } = await passwordGeneration.generateUsername("masterpass1", "github.com", { usernameRules: { template: "syllables", length: 9 } });
+    expect(username).toMatch(/^([bdfghjklmnprstvz][aeiou]){4}[bdfghjklmnprstvz]$/);
+  });
+
+  test("uses a salt no password salt input can produce", () => {
+    // A v1 password salt input for the platform "U1:username:github:0" is lowercased
+    const usernameSalt = passwordGeneration.buildUsernameSaltInput("username", "github", 0);
+    const passwordSalt = passwordGeneration.buildSaltInput("U1:username:github:0").saltInput;
+
+    expect(usernameSalt).toBe(`U1:username:github:0:${serverSecret}`);
+    expect(passwordSalt).not.toBe(usernameSalt);
+  });
+
+  test("gives unrelated results per platform and kind", async () => {
+    const github = await passwordGeneration.generateUsername("masterpass1", "github", { usernameRules: { template: "alnum" } });
+    const gitlab = await passwordGeneration.generateUsername("masterpass1", "gitlab", { usernameRules: { template: "alnum" } });
+    const email = await passwordGeneration.generateUsername("masterpass1", "github", { kind: "email", usernameRules: { template: "alnum" } });
+
+    expect(new Set([github.username, gitlab.username, email.username]).size).toBe(3);
+  });
+
+  test("rejects invalid parameters", () => {
+    const validate = (params) => passwordGeneration.validateUsernameParameters({ masterPassword: "masterpass1", platform: "twitter", ...params }).errors;
+
+    expect(validate({})).toEqual([]);
+    expect(validate({ kind: "phone" })).toEqual(["Kind must be one of: username, email"]);
+    expect(validate({ usernameRules: { template: "leetspeak" } })).toEqual(["Username template must be one of: adjective-noun-digits, alnum, syllables"]);
+    expect(validate({ usernameRules: { length: 16 } })).toEqual(["Username length must be between 4 and 15 characters"]);
+    expect(validate({ usernameRules: { digits: 7 } })).toEqual(["Username digits must be an integer between 0 and 6"]);
+    expect(validate({ platform: "gmail", usernameRules: { digits: 6 } })).toEqual([]);
+    expect(validate({ masterPassword: "short" })).toEqual(["Master password must be at least 8 characters long"]);
+  });
+});
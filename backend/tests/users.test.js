@@ -0,0 +1,172 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const express = require("express");
+const request = require("supertest");
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "safepass-users-"));
+process.env.USER_STORE_FILE = path.join(storeDir, "users.json");
+
+jest.mock("../middleware/hmacAuth", () => ({
+  verifyHMAC: (req, res, next) => next(),
+}));
+
+const { JsonFileUserRepository } = require("../utils/userStore");
+const { pinAuthManager, validateSession } = require("../middleware/pinAuth");
+const { challengeTokenManager } = require("../middleware/security");
+const passwordGeneration = require("../middleware/passwordGeneration");
+const pinAuthRoutes = require("../routes/pinAuth");
+
+// Low bcrypt cost keeps the tests fast; the server hashes with 12 rounds
+const hashPin = (pin) => bcrypt.hashSync(pin, 4);
+
+describe("JsonFileUserRepository", () => {
+  const file = path.join(storeDir, "repository.json");
+  const repository = new JsonFileUserRepository(file);
+
+  test("creates, finds, updates and deletes users", async () => {
+    const user = await repository.create({ username: " Alice ", pinHash: "hash" });
+
+    expect(user).toMatchObject({ username: "alice", pinHash: "hash", disabled: false, legacyPepper: false });
+    expect(user.id).toMatch(/^[0-9a-f]{32}$/);
+    expect(await repository.findByUsername("ALICE")).toEqual(user);
+    expect(await repository.findById(user.id)).toEqual(user);
+
+    const updated = await repository.update(user.id, { disabled: true, username: "mallory" });
+    expect(updated).toMatchObject({ username: "alice", disabled: true, createdAt: user.createdAt });
+
+    expect(await repository.delete(user.id)).toBe(true);
+    expect(await repository.delete(user.id)).toBe(false);
+    expect(await repository.findById(user.id)).toBeNull();
+  });
+
+  test("rejects duplicate and invalid usernames", async () => {
+    await repository.create({ username: "bob", pinHash: "hash" });
+
+    await expect(repository.create({ username: "BOB", pinHash: "hash" })).rejects.toMatchObject({ code: "USER_EXISTS" });
+    await expect(repository.create({ username: "bob smith", pinHash: "hash" })).rejects.toMatchObject({ code: "USERNAME_INVALID" });
+    await expect(repository.update("missing", {})).rejects.toMatchObject({ code: "USER_NOT_FOUND" });
+  });
+
+  test("sees changes made by another process and keeps the file private", async () => {
+    const other = new JsonFileUserRepository(file);
+    const carol = await other.create({ username: "carol", pinHash: "hash" });
+
+    expect(await repository.findByUsername("carol")).toEqual(carol);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+});
+
+describe("PinAuthManager users", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+  const originalPinHash = process.env.MASTER_PIN_HASH;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = "s";
+    process.env.MASTER_PIN_HASH = hashPin("135790");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+    process.env.MASTER_PIN_HASH = originalPinHash;
+    console.log.mockRestore();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  test("migrates MASTER_PIN_HASH to a default user that keeps SERVER_SECRET as its pepper", async () => {
+    const user = await pinAuthManager.authenticate(undefined, "135790");
+
+    expect(user).toMatchObject({ username: "default", legacyPepper: true });
+    // Recovery codes come from the users CLI only, never from the server log
+    expect(user.recoveryCodes).toEqual([]);
+    expect(console.log).not.toHaveBeenCalledWith(expect.stringMatching(/[0-9A-Z]{4}(-[0-9A-Z]{4}){3}/));
+    expect(pinAuthManager.getPepper(user)).toBe("s");
+    expect(await pinAuthManager.authenticate("default", "000000")).toBeNull();
+  });
+
+  test("migrates once however many requests arrive while it runs", async () => {
+    const users = pinAuthManager.users;
+    pinAuthManager.users = new JsonFileUserRepository(path.join(storeDir, "migration.json"));
+
+    try {
+      const signIns = await Promise.all([pinAuthManager.authenticate(undefined, "135790"), pinAuthManager.authenticate("default", "135790"), pinAuthManager.ensureDefaultUser()]);
+      expect(signIns[0]).toMatchObject({ username: "default" });
+      expect(signIns[1]).toMatchObject({ id: signIns[0].id });
+      expect(await pinAuthManager.users.list()).toHaveLength(1);
+
+      // Another process (the users CLI) created the user between the check and the create
+      jest.spyOn(pinAuthManager.users, "list").mockResolvedValueOnce([]);
+      await expect(pinAuthManager.ensureDefaultUser()).resolves.toBeUndefined();
+      expect(await pinAuthManager.users.list()).toHaveLength(1);
+    } finally {
+      pinAuthManager.users = users;
+    }
+  });
+
+  test("gives each user their own pepper and refuses disabled users", async () => {
+    const alice = await pinAuthManager.users.create({ username: "alice", pinHash: hashPin("472913") });
+    const bob = await pinAuthManager.users.create({ username: "bob", pinHash: hashPin("580316"), disabled: true });
+
+    expect(await pinAuthManager.authenticate("alice", "472913")).toMatchObject({ id: alice.id });
+    expect(await pinAuthManager.authenticate("bob", "580316")).toBeNull();
+    expect(await pinAuthManager.authenticate("nobody", "472913")).toBeNull();
+
+    const pepper = pinAuthManager.getPepper(alice);
+    expect(pepper).toMatch(/^[0-9a-f]{64}$/);
+    expect(pepper).not.toBe(pinAuthManager.getPepper(bob));
+
+    const legacy = await passwordGeneration.generatePassword("masterpass1", "github", null, {});
+    const explicit = await passwordGeneration.generatePassword("masterpass1", "github", null, { pepper: "s" });
+    const own = await passwordGeneration.generatePassword("masterpass1", "github", null, { pepper });
+    expect(explicit.password).toBe(legacy.password);
+    expect(own.password).not.toBe(legacy.password);
+  });
+
+  test("validates new PINs", () => {
+    expect(pinAuthManager.validateNewPin("472913")).toBeNull();
+    expect(pinAuthManager.validateNewPin("12345")).toBe("PIN must be exactly 6 digits");
+    expect(pinAuthManager.validateNewPin("777777")).toBe("PIN is too easy to guess (all the same digit or a straight run)");
+  });
+
+  test("scopes sessions to users and ends them when the user is disabled", async () => {
+    const alice = await pinAuthManager.users.findByUsername("alice");
+    const app = express();
+    app.get("/protected", validateSession, (req, res) => res.json({ userId: req.userId, pepper: req.pepper }));
+
+    const sessionId = pinAuthManager.createSession("::ffff:127.0.0.1", alice);
+    const otherSessionId = pinAuthManager.createSession("::ffff:127.0.0.1", alice);
+
+    const response = await request(app).get("/protected").set("X-Session-Id", sessionId);
+    expect(response.body).toEqual({ userId: alice.id, pepper: pinAuthManager.getPepper(alice) });
+
+    expect(pinAuthManager.invalidateUserSessions(alice.id, sessionId)).toBe(1);
+    expect(pinAuthManager.getSession(otherSessionId)).toBeNull();
+
+    await pinAuthManager.users.update(alice.id, { disabled: true });
+    const disabled = await request(app).get("/protected").set("X-Session-Id", sessionId);
+    expect(disabled.status).toBe(401);
+    expect(disabled.body.error).toBe("USER_DISABLED");
+    expect(pinAuthManager.getSession(sessionId)).toBeNull();
+
+    await pinAuthManager.users.update(alice.id, { disabled: false });
+  });
+
+  test("POST /api/auth/verify-pin signs in the named user", async () => {
+    jest.spyOn(challengeTokenManager, "validateToken").mockReturnValue({ valid: true });
+    const app = express();
+    app.use(express.json());
+    app.use("/api/auth", pinAuthRoutes);
+
+    const success = await request(app).post("/api/auth/verify-pin").send({ username: "alice", pin: "472913" });
+    expect(success.status).toBe(200);
+    expect(success.body.data.username).toBe("alice");
+    expect(pinAuthManager.getSession(success.body.data.sessionId)).toMatchObject({ username: "alice" });
+
+    const wrongUser = await request(app).post("/api/auth/verify-pin").send({ username: "default", pin: "472913" });
+    expect(wrongUser.status).toBe(401);
+
+    challengeTokenManager.validateToken.mockRestore();
+  });
+});
@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+const passwordGeneration = require("../middleware/passwordGeneration");
+
+// Shared with the client generator (frontend/src/lib/safepass.test.js)
+const { serverSecret, vectors } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "test-vectors", "generation.json"), "utf8"));
+const oprfVectors = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "test-vectors", "oprf.json"), "utf8")).vectors;
+
+describe("generation known-answer vectors", () => {
+  const originalSecret = process.env.SERVER_SECRET;
+
+  beforeAll(() => {
+    process.env.SERVER_SECRET = serverSecret;
+  });
+
+  afterAll(() => {
+    process.env.SERVER_SECRET = originalSecret;
+  });
+
+  test.each(vectors.map((vector) => [vector.name, vector]))("%s", async (name, vector) => {
+    const params = passwordGeneration.getDerivationParams(vector.platform, vector.accountIdentifier, vector.options);
+    const result = await passwordGeneration.generatePassword(vector.masterPassword, vector.platform, vector.accountIdentifier, vector.options);
+
+    expect(params).toEqual(vector.params);
+    expect(result.password).toBe(vector.password);
+  });
+
+  // A scheme or salt format without a vector could drift unnoticed
+  test.each(Array.from(passwordGeneration.schemes.keys()))("scheme %s has a vector", (scheme) => {
+    expect(vectors.some((vector) => vector.params.scheme === scheme)).toBe(true);
+  });
+
+  test.each(Array.from(passwordGeneration.saltFormats.keys()))("salt version %s has a vector", (saltVersion) => {
+    expect([...vectors, ...oprfVectors].some((vector) => vector.params.saltVersion === saltVersion)).toBe(true);
+  });
+
+  test("generate-password metadata reports the scheme", async () => {
+    for (const vector of vectors) {
+      const result = await passwordGeneration.generatePassword(vector.masterPassword, vector.platform, vector.accountIdentifier, vector.options);
+      expect(result.metadata.scheme).toBe(vector.params.scheme);
+    }
+  });
+});
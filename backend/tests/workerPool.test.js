@@ -0,0 +1,97 @@
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const CryptoUtils = require("../utils/crypto");
+const { WorkerPool, mapWithConcurrency } = require("../utils/workerPool");
+
+const script = path.join(__dirname, "..", "utils", "cryptoWorker.js");
+const salt = CryptoUtils.sha256("github:s");
+
+describe("WorkerPool", () => {
+  let pool;
+
+  afterEach(async () => {
+    await pool.destroy();
+  });
+
+  test("derives the same key as the main thread", async () => {
+    pool = new WorkerPool({ script, size: 2, maxQueue: 8, taskTimeoutMs: 10000 });
+    const spec = "$pbkdf2-sha256$i=1000";
+
+    const key = await pool.run("kdf", { password: "masterpass1", salt, spec, keyLength: 20 });
+
+    expect(Buffer.from(key).equals(await CryptoUtils.deriveKeyWithSpec("masterpass1", salt, spec, 20))).toBe(true);
+    expect(pool.getStats()).toMatchObject({ completed: 1, failed: 0, queued: 0 });
+  });
+
+  test("compares bcrypt hashes", async () => {
+    pool = new WorkerPool({ script, size: 1, maxQueue: 8, taskTimeoutMs: 10000 });
+    const hash = bcrypt.hashSync("123456", 4);
+
+    expect(await pool.run("bcrypt-compare", { value: "123456", hash })).toBe(true);
+    expect(await pool.run("bcrypt-compare", { value: "654321", hash })).toBe(false);
+  });
+
+  test("reports worker errors without losing the worker", async () => {
+    pool = new WorkerPool({ script, size: 1, maxQueue: 8, taskTimeoutMs: 10000 });
+
+    await expect(pool.run("kdf", { password: "masterpass1", salt, spec: "$md5$i=1", keyLength: 32 })).rejects.toThrow();
+    expect(await pool.run("bcrypt-compare", { value: "1", hash: bcrypt.hashSync("1", 4) })).toBe(true);
+    expect(pool.getStats().workers).toBe(1);
+  });
+
+  test("rejects new tasks with POOL_BUSY once the queue is full", async () => {
+    pool = new WorkerPool({ script, size: 1, maxQueue: 1, taskTimeoutMs: 10000 });
+    const task = { password: "masterpass1", salt, spec: "$pbkdf2-sha256$i=20000", keyLength: 32 };
+
+    const running = pool.run("kdf", task);
+    const queued = pool.run("kdf", task);
+
+    expect(pool.isSaturated()).toBe(true);
+    await expect(pool.run("kdf", task)).rejects.toMatchObject({ code: "POOL_BUSY", retryAfter: expect.any(Number) });
+    await Promise.all([running, queued]);
+    expect(pool.getStats().rejected).toBe(1);
+  });
+
+  test("times out slow tasks and replaces the worker", async () => {
+    pool = new WorkerPool({ script, size: 1, maxQueue: 8, taskTimeoutMs: 10000 });
+    // Argon2id runs in WASM, which terminate() interrupts; native PBKDF2/scrypt calls run to completion first
+    const slow = { password: "masterpass1", salt, spec: "$argon2id$v=19$m=65536,t=50,p=1", keyLength: 32 };
+
+    await expect(pool.run("kdf", slow, { timeoutMs: 100 })).rejects.toMatchObject({ code: "POOL_TIMEOUT" });
+    expect(pool.getStats().timedOut).toBe(1);
+
+    const key = await pool.run("kdf", { ...slow, spec: "$pbkdf2-sha256$i=1000" });
+    expect(key).toHaveLength(32);
+  });
+
+  test("runs tasks inline when the pool size is 0", async () => {
+    pool = new WorkerPool({
+      script,
+      size: 0,
+      maxQueue: 0,
+      taskTimeoutMs: 10000,
+      inline: { echo: (payload) => payload.value },
+    });
+
+    expect(await pool.run("echo", { value: 42 })).toBe(42);
+    expect(pool.getStats()).toMatchObject({ workers: 0, completed: 1 });
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  test("keeps at most limit tasks in flight and preserves order", async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (delay, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      active--;
+      return `${index}:${delay}`;
+    });
+
+    expect(results).toEqual(["0:30", "1:5", "2:20", "3:1", "4:10"]);
+    expect(peak).toBe(2);
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
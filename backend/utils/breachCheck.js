@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * SafePass Offline Breach Check
+ * Looks passwords up in a local copy of the Have I Been Pwned corpus, so no
+ * password or hash ever leaves the server. BREACH_DATA_FILE points to either:
+ *
+ *   - the SHA-1 file from the HIBP downloader, ordered by hash: "HASH:COUNT" per line
+ *     (40 uppercase hex characters). Looked up by binary search on disk, so the file
+ *     is never loaded into memory; gives exact counts and supports range queries.
+ *   - a Bloom filter built from that file (npm run build:breach-filter), a fraction of
+ *     the size. Answers "probably breached" without counts or range queries.
+ */
+const BLOOM_MAGIC = 'SPBLOOM1';
+const BLOOM_HEADER_SIZE = 32;
+const HASH_LENGTH = 40;
+const READ_SIZE = 256;
+
+let corpus = null;
+let corpusFile = null;
+
+class RangeFile {
+    constructor(handle, size) {
+        this.source = 'range-file';
+        this.handle = handle;
+        this.size = size;
+    }
+
+    /**
+     * First complete line starting at or after an offset
+     * @param {number} offset - Byte offset
+     * @returns {Promise<Object|null>} { start, end, text }, or null past the last line
+     */
+    async lineAt(offset) {
+        let start = offset;
+        if (offset > 0) {
+            // A line starts at offset only if the byte before it is a newline
+            start = await this.nextLineStart(offset - 1);
+        }
+        if (start >= this.size) {
+            return null;
+        }
+
+        const end = await this.nextLineStart(start);
+        const buffer = Buffer.alloc(end - start);
+        await this.handle.read(buffer, 0, buffer.length, start);
+        return { start, end, text: buffer.toString('ascii').trim() };
+    }
+
+    /**
+     * Offset just past the first newline at or after an offset
+     * @param {number} offset - Byte offset
+     * @returns {Promise<number>} Start of the next line (file size at the end)
+     */
+    async nextLineStart(offset) {
+        const buffer = Buffer.alloc(READ_SIZE);
+        for (let position = offset; position < this.size; position += READ_SIZE) {
+            const { bytesRead } = await this.handle.read(buffer, 0, READ_SIZE, position);
+            const newline = buffer.subarray(0, bytesRead).indexOf(0x0a);
+            if (newline !== -1) {
+                return position + newline + 1;
+            }
+        }
+        return this.size;
+    }
+
+    /**
+     * Binary search for the first line whose hash is not below a (partial) hash
+     * @param {string} target - Uppercase hex hash or hash prefix
+     * @returns {Promise<Object|null>} Line, or null when every hash is smaller
+     */
+    async findFirst(target) {
+        let low = 0;
+        let high = this.size;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const line = await this.lineAt(middle);
+            if (!line || line.text.slice(0, target.length) >= target) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return this.lineAt(low);
+    }
+
+    async lookup(hash) {
+        const line = await this.findFirst(hash);
+        const found = line && line.text.slice(0, HASH_LENGTH) === hash;
+        return { breached: Boolean(found), count: found ? parseInt(line.text.slice(HASH_LENGTH + 1), 10) : 0, probable: false };
+    }
+
+    async range(prefix) {
+        const suffixes = [];
+        let line = await this.findFirst(prefix);
+        while (line && line.text.startsWith(prefix)) {
+            suffixes.push({ suffix: line.text.slice(prefix.length, HASH_LENGTH), count: parseInt(line.text.slice(HASH_LENGTH + 1), 10) });
+            line = await this.lineAt(line.end);
+        }
+        return suffixes;
+    }
+}
+
+class BloomFilter {
+    constructor(handle, k, m) {
+        this.source = 'bloom-filter';
+        this.handle = handle;
+        this.k = k;
+        this.m = m;
+    }
+
+    async lookup(hash) {
+        const byte = Buffer.alloc(1);
+        for (const bit of BreachCheck.bloomBits(hash, this.k, this.m)) {
+            await this.handle.read(byte, 0, 1, BLOOM_HEADER_SIZE + Math.floor(bit / 8));
+            if ((byte[0] & (1 << (bit % 8))) === 0) {
+                return { breached: false, count: null, probable: false };
+            }
+        }
+        return { breached: true, count: null, probable: true };
+    }
+
+    async range() {
+        return null;
+    }
+}
+
+class BreachCheck {
+    /**
+     * Uppercase hex SHA-1 of a password, as used by HIBP
+     * @param {string} password - Password
+     * @returns {string} SHA-1 hash
+     */
+    static sha1(password) {
+        return crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+    }
+
+    /**
+     * Open a breach corpus file, detecting its format
+     * @param {string} file - Path to a HIBP SHA-1 file or a Bloom filter
+     * @returns {Promise<Object>} Corpus with lookup(hash) and range(prefix)
+     */
+    static async open(file) {
+        const handle = await fs.promises.open(file, 'r');
+        const { size } = await handle.stat();
+        const header = Buffer.alloc(BLOOM_HEADER_SIZE);
+        await handle.read(header, 0, BLOOM_HEADER_SIZE, 0);
+
+        if (header.toString('ascii', 0, 8) === BLOOM_MAGIC) {
+            return new BloomFilter(handle, header.readUInt32BE(8), Number(header.readBigUInt64BE(16)));
+        }
+        return new RangeFile(handle, size);
+    }
+
+    /**
+     * Corpus configured by BREACH_DATA_FILE, opened on first use
+     * @returns {Promise<Object|null>} Corpus, or null when none is configured
+     */
+    static async getCorpus() {
+        const file = process.env.BREACH_DATA_FILE || null;
+        if (file !== corpusFile) {
+            const previous = corpus;
+            corpusFile = file;
+            corpus = null;
+            if (previous) {
+                await previous.then((source) => source.handle.close()).catch(() => {});
+            }
+            corpus = file ? BreachCheck.open(file) : null;
+        }
+
+        try {
+            return await corpus;
+        } catch (error) {
+            // Retry on the next call instead of caching the failure
+            corpusFile = null;
+            corpus = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a password appears in the breach corpus
+     * @param {string} password - Password to check
+     * @returns {Promise<Object>} { checked: false } without a corpus, otherwise
+     *   { checked, source, breached, count, probable }; a Bloom filter gives count null
+     *   and probable true on a hit
+     */
+    static async check(password) {
+        let source;
+        try {
+            source = await BreachCheck.getCorpus();
+        } catch (error) {
+            // A missing or unreadable file must not take strength checks down with it
+            console.error('Breach data unavailable:', error.message);
+            return { checked: false };
+        }
+        if (!source) {
+            return { checked: false };
+        }
+        return { checked: true, source: source.source, ...(await source.lookup(BreachCheck.sha1(password))) };
+    }
+
+    /**
+     * Hash suffixes and counts for a 5-character SHA-1 prefix (k-anonymity lookup)
+     * @param {string} prefix - Uppercase hex prefix
+     * @returns {Promise<Object[]|null>} [{ suffix, count }], or null when the corpus cannot list ranges
+     */
+    static async range(prefix) {
+        const source = await BreachCheck.getCorpus();
+        return source ? source.range(prefix) : null;
+    }
+
+    /**
+     * Bit positions of a hash in a Bloom filter
+     * SHA-1 output is already uniform, so two 48-bit slices of it serve as the
+     * double-hashing pair: bit i = (h1 + i * h2) mod m.
+     * @param {string} hash - Hex SHA-1
+     * @param {number} k - Number of bits per entry
+     * @param {number} m - Filter size in bits
+     * @returns {number[]} Bit positions
+     */
+    static bloomBits(hash, k, m) {
+        const h1 = parseInt(hash.slice(0, 12), 16);
+        const h2 = parseInt(hash.slice(12, 24), 16);
+        return Array.from({ length: k }, (_, i) => (h1 + i * h2) % m);
+    }
+
+    /**
+     * Build a Bloom filter from a HIBP SHA-1 file
+     * @param {string} input - HIBP SHA-1 file ("HASH:COUNT" lines)
+     * @param {string} output - Filter file to write
+     * @param {number} falsePositiveRate - Target false positive rate (default 0.001)
+     * @returns {Promise<Object>} { entries, k, m, bytes }
+     */
+    static async buildBloomFilter(input, output, falsePositiveRate = 0.001) {
+        const readHashes = async (onHash) => {
+            const lines = readline.createInterface({ input: fs.createReadStream(input), crlfDelay: Infinity });
+            for await (const line of lines) {
+                const hash = line.slice(0, HASH_LENGTH).toUpperCase();
+                if (/^[0-9A-F]{40}$/.test(hash)) {
+                    onHash(hash);
+                }
+            }
+        };
+
+        let entries = 0;
+        await readHashes(() => entries++);
+
+        const m = Math.max(8, Math.ceil((-Math.max(entries, 1) * Math.log(falsePositiveRate)) / Math.LN2 ** 2));
+        const k = Math.min(30, Math.max(1, Math.round((m / Math.max(entries, 1)) * Math.LN2)));
+        const bits = Buffer.alloc(Math.ceil(m / 8));
+        await readHashes((hash) => {
+            for (const bit of BreachCheck.bloomBits(hash, k, m)) {
+                bits[Math.floor(bit / 8)] |= 1 << (bit % 8);
+            }
+        });
+
+        const header = Buffer.alloc(BLOOM_HEADER_SIZE);
+        header.write(BLOOM_MAGIC, 0, 'ascii');
+        header.writeUInt32BE(k, 8);
+        header.writeBigUInt64BE(BigInt(m), 16);
+        header.writeBigUInt64BE(BigInt(entries), 24);
+        await fs.promises.writeFile(output, Buffer.concat([header, bits]));
+
+        return { entries, k, m, bytes: BLOOM_HEADER_SIZE + bits.length };
+    }
+}
+
+module.exports = BreachCheck;
@@ -0,0 +1,94 @@
+const url = require('url');
+
+/**
+ * SafePass Input Canonicalization (nfkc-1)
+ *
+ * Maps the different ways a user can type the same input to one string, so that
+ * "café" typed as NFD on macOS and NFC on Android, or "Git Hub" and "github",
+ * derive the same password. Only used when a request opts in (salt version 4):
+ * legacy inputs keep their exact bytes so existing passwords stay reproducible.
+ * frontend/src/lib/safepass.js applies the same master password rule.
+ */
+const VERSION = 'nfkc-1';
+
+class Canonical {
+    static get version() {
+        return VERSION;
+    }
+
+    /**
+     * Canonical master password: NFKC, every whitespace character mapped to U+0020
+     * Whitespace is kept (not trimmed or collapsed): it may be part of the password.
+     * @param {string} value - Master password as typed
+     * @returns {string} Canonical master password
+     */
+    static password(value) {
+        return value.normalize('NFKC').replace(/\s/g, ' ');
+    }
+
+    /**
+     * Canonical platform key: NFKC, case folded, whitespace removed, domains in Punycode
+     * "Git Hub" -> "github", "ＧｉｔＨｕｂ" -> "github", "Bücher.de" -> "xn--bcher-kva.de"
+     * @param {string} value - Platform name or domain
+     * @returns {string} Canonical platform key
+     */
+    static platform(value) {
+        const folded = Canonical.fold(value).replace(/\s/g, '');
+        return folded.includes('.') ? Canonical.domain(folded) : folded;
+    }
+
+    /**
+     * Canonical account identifier: NFKC, case folded, trimmed, inner whitespace
+     * collapsed to one space, and the domain of an email address in Punycode
+     * @param {string} value - Account identifier (email, username, etc.)
+     * @returns {string} Canonical account identifier ("" when absent)
+     */
+    static account(value) {
+        if (!value || typeof value !== 'string') {
+            return '';
+        }
+
+        const folded = Canonical.fold(value).trim().replace(/\s+/g, ' ');
+        const at = folded.lastIndexOf('@');
+        if (at > 0 && at < folded.length - 1) {
+            return `${folded.slice(0, at)}@${Canonical.domain(folded.slice(at + 1))}`;
+        }
+        return folded;
+    }
+
+    /**
+     * Canonical security question: folded, punctuation and symbols removed, whitespace
+     * runs collapsed to one space, trimmed
+     * "What is your mother’s maiden name?" -> "what is your mothers maiden name"
+     * @param {string} value - Question as shown by the site
+     * @returns {string} Canonical question
+     */
+    static question(value) {
+        return Canonical.fold(value)
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * NFKC with case folding (lowercase, then NFKC again since lowercasing can denormalize)
+     * @param {string} value - Input string
+     * @returns {string} Folded string
+     */
+    static fold(value) {
+        return value.normalize('NFKC').toLowerCase().normalize('NFKC');
+    }
+
+    /**
+     * IDNA (UTS #46) ASCII form of a domain, without a trailing root dot
+     * Strings that are not valid domains are returned unchanged.
+     * @param {string} value - Folded domain
+     * @returns {string} Punycode domain
+     */
+    static domain(value) {
+        const domain = value.replace(/\.$/, '');
+        return url.domainToASCII(domain) || domain;
+    }
+}
+
+module.exports = Canonical;
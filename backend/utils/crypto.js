@@ -1,4 +1,73 @@
 const crypto = require('crypto');
+const { argon2id } = require('hash-wasm');
+
+/**
+ * Key derivation function registry
+ *
+ * KDFs are identified by PHC-style spec strings that carry every parameter
+ * needed to reproduce a key, so a spec stored in platform rules pins the
+ * derivation exactly:
+ *   $pbkdf2-sha256$i=100000
+ *   $scrypt$ln=15,r=8,p=1            (N = 2^ln)
+ *   $argon2id$v=19$m=19456,t=2,p=1   (m in KiB)
+ *
+ * Each parameter lists its allowed [min, max] range.
+ */
+const KDF_REGISTRY = {
+    'pbkdf2-sha256': {
+        params: { i: [1, 100000000] },
+        defaults: { i: 100000 },
+        derive: (password, salt, params, keyLength) =>
+            new Promise((resolve, reject) => {
+                crypto.pbkdf2(password, salt, params.i, keyLength, 'sha256', (err, derivedKey) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(derivedKey);
+                    }
+                });
+            }),
+        deriveBlocking: (password, salt, params, keyLength) => crypto.pbkdf2Sync(password, salt, params.i, keyLength, 'sha256')
+    },
+    scrypt: {
+        params: { ln: [1, 20], r: [1, 32], p: [1, 16] },
+        defaults: { ln: 15, r: 8, p: 1 },
+        derive: (password, salt, params, keyLength) =>
+            new Promise((resolve, reject) => {
+                const N = 2 ** params.ln;
+                const maxmem = 128 * N * params.r * params.p * 2;
+                crypto.scrypt(password, salt, keyLength, { N, r: params.r, p: params.p, maxmem }, (err, derivedKey) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(derivedKey);
+                    }
+                });
+            }),
+        deriveBlocking: (password, salt, params, keyLength) => {
+            const N = 2 ** params.ln;
+            return crypto.scryptSync(password, salt, keyLength, { N, r: params.r, p: params.p, maxmem: 128 * N * params.r * params.p * 2 });
+        }
+    },
+    argon2id: {
+        version: 19,
+        params: { m: [8, 4194304], t: [1, 100], p: [1, 16] },
+        defaults: { m: 19456, t: 2, p: 1 },
+        derive: async (password, salt, params, keyLength) => {
+            // hash-wasm implements Argon2 version 0x13 (v=19), the only version accepted in specs
+            const key = await argon2id({
+                password,
+                salt,
+                memorySize: params.m,
+                iterations: params.t,
+                parallelism: params.p,
+                hashLength: keyLength,
+                outputType: 'binary'
+            });
+            return Buffer.from(key);
+        }
+    }
+};
 
 /**
  * SafePass Cryptographic Utilities
@@ -23,15 +92,122 @@ class CryptoUtils {
      * @returns {Promise<Buffer>} Derived key
      */
     static async deriveKey(password, salt, iterations = 100000, keyLength = 32) {
-        return new Promise((resolve, reject) => {
-            crypto.pbkdf2(password, salt, iterations, keyLength, 'sha256', (err, derivedKey) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(derivedKey);
-                }
-            });
-        });
+        return KDF_REGISTRY['pbkdf2-sha256'].derive(password, salt, { i: iterations }, keyLength);
+    }
+
+    /**
+     * Names of the registered key derivation functions
+     * @returns {string[]} KDF names
+     */
+    static listKdfs() {
+        return Object.keys(KDF_REGISTRY);
+    }
+
+    /**
+     * Build a KDF spec string
+     * @param {string} name - KDF name (pbkdf2-sha256, scrypt, argon2id)
+     * @param {Object} params - KDF parameters (missing ones use the defaults)
+     * @returns {string} KDF spec, e.g. "$argon2id$v=19$m=19456,t=2,p=1"
+     */
+    static formatKdfSpec(name, params = {}) {
+        const kdf = KDF_REGISTRY[name];
+        if (!kdf) {
+            throw new Error(`Unknown KDF: ${name}`);
+        }
+
+        const merged = { ...kdf.defaults, ...params };
+        const paramString = Object.keys(kdf.params)
+            .map((key) => `${key}=${merged[key]}`)
+            .join(',');
+        const version = kdf.version ? `$v=${kdf.version}` : '';
+
+        return `$${name}${version}$${paramString}`;
+    }
+
+    /**
+     * Parse and validate a KDF spec string
+     * Every parameter must be present, so a spec always means the same derivation.
+     * @param {string} spec - KDF spec
+     * @returns {Object} { name, params }
+     */
+    static parseKdfSpec(spec) {
+        if (typeof spec !== 'string') {
+            throw new Error('KDF spec must be a string');
+        }
+
+        const parts = spec.split('$');
+        // "$name$params" -> ['', name, params]; "$name$v=19$params" -> ['', name, 'v=19', params]
+        if (parts[0] !== '' || parts.length < 3 || parts.length > 4) {
+            throw new Error(`Malformed KDF spec: ${spec}`);
+        }
+
+        const name = parts[1];
+        const kdf = KDF_REGISTRY[name];
+        if (!kdf) {
+            throw new Error(`Unknown KDF: ${name}`);
+        }
+
+        const versionPart = parts.length === 4 ? parts[2] : null;
+        const expectedVersion = kdf.version ? `v=${kdf.version}` : null;
+        if (versionPart !== expectedVersion) {
+            throw new Error(`Unsupported ${name} version in KDF spec: ${spec}`);
+        }
+
+        const params = {};
+        for (const pair of parts[parts.length - 1].split(',')) {
+            const [key, value] = pair.split('=');
+            if (!kdf.params[key] || params[key] !== undefined || !/^[0-9]+$/.test(value || '')) {
+                throw new Error(`Invalid ${name} parameter "${pair}" in KDF spec`);
+            }
+
+            const [min, max] = kdf.params[key];
+            const number = parseInt(value, 10);
+            if (number < min || number > max) {
+                throw new Error(`${name} parameter ${key} must be between ${min} and ${max}`);
+            }
+            params[key] = number;
+        }
+
+        const missing = Object.keys(kdf.params).filter((key) => params[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`KDF spec is missing ${name} parameters: ${missing.join(', ')}`);
+        }
+
+        if (name === 'argon2id' && params.m < 8 * params.p) {
+            throw new Error('argon2id memory must be at least 8 KiB per lane');
+        }
+
+        return { name, params };
+    }
+
+    /**
+     * Derive a key using a KDF spec
+     * @param {string} password - Master password
+     * @param {string} salt - Salt value
+     * @param {string} spec - KDF spec (see KDF_REGISTRY)
+     * @param {number} keyLength - Derived key length in bytes (default: 32)
+     * @returns {Promise<Buffer>} Derived key
+     */
+    static async deriveKeyWithSpec(password, salt, spec, keyLength = 32) {
+        const { name, params } = CryptoUtils.parseKdfSpec(spec);
+        return KDF_REGISTRY[name].derive(password, salt, params, keyLength);
+    }
+
+    /**
+     * Derive a key using a KDF spec on the calling thread
+     * Same output as deriveKeyWithSpec, but never uses libuv's shared thread pool, so a
+     * worker thread running it can be terminated mid-derivation (see cryptoWorker.js).
+     * @param {string} password - Master password
+     * @param {string} salt - Salt value
+     * @param {string} spec - KDF spec (see KDF_REGISTRY)
+     * @param {number} keyLength - Derived key length in bytes (default: 32)
+     * @returns {Promise<Buffer>} Derived key
+     */
+    static async deriveKeyWithSpecBlocking(password, salt, spec, keyLength = 32) {
+        const { name, params } = CryptoUtils.parseKdfSpec(spec);
+        const kdf = KDF_REGISTRY[name];
+        // Argon2id (hash-wasm) already computes on the calling thread
+        return kdf.deriveBlocking ? kdf.deriveBlocking(password, salt, params, keyLength) : kdf.derive(password, salt, params, keyLength);
     }
 
     /**
@@ -45,6 +221,8 @@ class CryptoUtils {
 
     /**
      * Convert bytes to base64 with custom character set
+     * Legacy mapping (bytes[i] % charset.length); biased unless the charset size
+     * divides 256. Kept only so that safepass-1 passwords stay reproducible.
      * @param {Buffer} bytes - Input bytes
      * @param {string} charset - Character set for password generation
      * @returns {string} Encoded string using charset
@@ -57,6 +235,99 @@ class CryptoUtils {
         return result;
     }
 
+    /**
+     * HKDF-Expand (RFC 5869) as a lazily evaluated byte stream
+     *
+     * Block i is T(i) = HMAC(prk, T(i-1) | info | i). Because the output
+     * length is not part of the HMAC input, reading more bytes never changes
+     * the bytes already read, so consumers can pull as many as they need and
+     * stay deterministic.
+     * @param {Buffer} prk - Pseudorandom key (e.g. a PBKDF2 derived key)
+     * @param {string|Buffer} info - Context string for domain separation
+     * @returns {Object} Stream with nextByte() and nextInt(max)
+     */
+    static createByteStream(prk, info) {
+        const maxBlocks = 255;
+        const infoBuffer = Buffer.isBuffer(info) ? info : Buffer.from(info, 'utf8');
+        let previousBlock = Buffer.alloc(0);
+        let blockIndex = 0;
+        let buffer = Buffer.alloc(0);
+        let offset = 0;
+
+        const nextByte = () => {
+            if (offset >= buffer.length) {
+                if (blockIndex >= maxBlocks) {
+                    throw new Error('HKDF stream exhausted');
+                }
+                blockIndex++;
+                previousBlock = crypto
+                    .createHmac('sha256', prk)
+                    .update(Buffer.concat([previousBlock, infoBuffer, Buffer.from([blockIndex])]))
+                    .digest();
+                buffer = previousBlock;
+                offset = 0;
+            }
+            return buffer[offset++];
+        };
+
+        /**
+         * Unbiased integer in [0, max) by rejection sampling
+         * @param {number} max - Exclusive upper bound (1..65536)
+         * @returns {number} Uniformly distributed integer
+         */
+        const nextInt = (max) => {
+            if (!Number.isInteger(max) || max < 1 || max > 65536) {
+                throw new Error('nextInt bound must be an integer between 1 and 65536');
+            }
+
+            const range = max <= 256 ? 256 : 65536;
+            const limit = range - (range % max);
+
+            for (;;) {
+                const value = range === 256 ? nextByte() : (nextByte() << 8) | nextByte();
+                if (value < limit) {
+                    return value % max;
+                }
+            }
+        };
+
+        return { nextByte, nextInt };
+    }
+
+    /**
+     * Map a byte stream onto a character set without modulo bias
+     * Bytes at or above the largest multiple of charset.length are rejected.
+     * @param {Object} stream - Byte stream from createByteStream
+     * @param {string} charset - Character set for password generation
+     * With maxConsecutive, a character that already ends a run of that many is left
+     * out of the set for the next draw, so no character repeats more often in a row.
+     * @param {number} length - Number of characters to produce
+     * @param {number|null} maxConsecutive - Longest allowed run of one character (null: no limit)
+     * @returns {string} Encoded string using charset
+     */
+    static bytesToCharsetUnbiased(stream, charset, length, maxConsecutive = null) {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            const choices = CryptoUtils.runAllows(result, maxConsecutive) ? charset : charset.replace(result[result.length - 1], '');
+            result += choices[stream.nextInt(choices.length)];
+        }
+        return result;
+    }
+
+    /**
+     * Check whether the last character of a string may be repeated once more
+     * @param {string} text - Characters so far
+     * @param {number|null} maxConsecutive - Longest allowed run of one character (null: no limit)
+     * @returns {boolean} False when text ends in a run of maxConsecutive identical characters
+     */
+    static runAllows(text, maxConsecutive) {
+        if (!maxConsecutive || text.length < maxConsecutive) {
+            return true;
+        }
+        const tail = text.slice(-maxConsecutive);
+        return tail.split('').some((char) => char !== tail[0]);
+    }
+
     /**
      * Timing-safe string comparison
      * @param {string} a - First string
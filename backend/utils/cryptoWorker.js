@@ -0,0 +1,33 @@
+const { parentPort } = require('worker_threads');
+const bcrypt = require('bcryptjs');
+const CryptoUtils = require('./crypto');
+
+/**
+ * SafePass Crypto Worker
+ * Runs CPU-heavy tasks for the WorkerPool off the main event loop
+ */
+const TASKS = {
+    // Key derivation for a KDF spec, computed on this thread rather than libuv's shared pool;
+    // the key is returned as a transferable buffer
+    kdf: async ({ password, salt, spec, keyLength }) => {
+        const key = await CryptoUtils.deriveKeyWithSpecBlocking(password, salt, spec, keyLength);
+        return new Uint8Array(key);
+    },
+    // bcrypt hash comparison (bcryptjs is pure JS, so it would otherwise block the event loop)
+    'bcrypt-compare': async ({ value, hash }) => bcrypt.compareSync(value, hash),
+    // bcrypt hash of a new PIN
+    'bcrypt-hash': async ({ value, rounds }) => bcrypt.hashSync(value, rounds)
+};
+
+parentPort.on('message', async ({ id, type, payload }) => {
+    try {
+        if (!TASKS[type]) {
+            throw new Error(`Unknown task type: ${type}`);
+        }
+        const result = await TASKS[type](payload);
+        const transfer = result instanceof Uint8Array ? [result.buffer] : [];
+        parentPort.postMessage({ id, ok: true, result }, transfer);
+    } catch (error) {
+        parentPort.postMessage({ id, ok: false, error: error.message });
+    }
+});
@@ -0,0 +1,84 @@
+const CryptoUtils = require('./crypto');
+
+/**
+ * LessPass algorithm, version 2
+ *
+ * Lets SafePass reproduce the passwords of LessPass apps for the same site, login,
+ * master password, options and counter:
+ *   entropy = PBKDF2-SHA256(masterPassword, site + login + hex(counter), 100000, 32 bytes),
+ *             read as one big-endian integer
+ *   password: divmod the entropy by the size of the combined character set for each of
+ *             length - rules characters, then take one character of every enabled set, and
+ *             insert those at positions from the remaining entropy
+ * The salt is plain text; nothing depends on SERVER_SECRET. See https://github.com/lesspass/lesspass
+ */
+const KDF = CryptoUtils.formatKdfSpec('pbkdf2-sha256', { i: 100000 });
+const KEY_LENGTH = 32;
+
+// Character sets in the order LessPass combines them
+const CHARACTER_SETS = {
+    lowercase: 'abcdefghijklmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digits: '0123456789',
+    symbols: '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~'
+};
+
+class LessPass {
+    static get kdf() {
+        return KDF;
+    }
+
+    static get keyLength() {
+        return KEY_LENGTH;
+    }
+
+    static get characterSets() {
+        return CHARACTER_SETS;
+    }
+
+    /**
+     * Salt: site, login and the counter in lowercase hex, concatenated
+     * @param {string} site - Site
+     * @param {string} login - Login ("" when none)
+     * @param {number} counter - LessPass counter (1 and up)
+     * @returns {string} Salt, used as UTF-8 text
+     */
+    static salt(site, login, counter) {
+        return `${site}${login}${counter.toString(16)}`;
+    }
+
+    /**
+     * Render a password from the derived entropy
+     * @param {Buffer|Uint8Array} key - 32-byte PBKDF2 output
+     * @param {string[]} rules - Enabled character sets, in CHARACTER_SETS order
+     * @param {number} length - Password length
+     * @returns {string} Password
+     */
+    static render(key, rules, length) {
+        let entropy = BigInt(`0x${Buffer.from(key).toString('hex')}`);
+        const consume = (characters) => {
+            const size = BigInt(characters.length);
+            const character = characters[Number(entropy % size)];
+            entropy /= size;
+            return character;
+        };
+
+        const characters = rules.map((rule) => CHARACTER_SETS[rule]).join('');
+        let password = '';
+        while (password.length < length - rules.length) {
+            password += consume(characters);
+        }
+
+        const oneCharPerRule = rules.map((rule) => consume(CHARACTER_SETS[rule]));
+        for (const character of oneCharPerRule) {
+            const size = BigInt(password.length);
+            const position = Number(entropy % size);
+            entropy /= size;
+            password = password.slice(0, position) + character + password.slice(position);
+        }
+
+        return password;
+    }
+}
+
+module.exports = LessPass;
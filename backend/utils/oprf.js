@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { RistrettoPoint, hash_to_ristretto255 } = require('@noble/curves/ed25519');
+const { expand_message_xmd } = require('@noble/curves/abstract/hash-to-curve');
+const { sha512 } = require('@noble/hashes/sha2');
+
+/**
+ * SafePass OPRF
+ * RFC 9497 OPRF mode (mode 0x00) with the ristretto255-SHA512 suite. The client
+ * blinds its input, the server multiplies the blinded element by its secret
+ * scalar, and the client unblinds and hashes the result, so the server applies
+ * its key without learning the input. frontend/src/lib/oprf.js is the client side.
+ */
+const SUITE = 'ristretto255-SHA512';
+const CONTEXT_STRING = Buffer.concat([Buffer.from('OPRFV1-'), Buffer.from([0x00]), Buffer.from(`-${SUITE}`)]);
+const ORDER = RistrettoPoint.Fn ? RistrettoPoint.Fn.ORDER : BigInt('0x1000000000000000000000000000000014def9dea2f79cd65812631a5cf5d3ed');
+const ELEMENT_LENGTH = 32;
+
+const i2osp2 = (length) => Buffer.from([length >> 8, length & 0xff]);
+
+const scalarToBytes = (scalar) => {
+    const bytes = Buffer.alloc(32);
+    let value = scalar;
+    for (let i = 0; i < 32; i++) {
+        bytes[i] = Number(value & 0xffn);
+        value >>= 8n;
+    }
+    return bytes;
+};
+
+const bytesToScalar = (bytes) => {
+    let value = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) {
+        value = (value << 8n) | BigInt(bytes[i]);
+    }
+    return value;
+};
+
+const mod = (value) => ((value % ORDER) + ORDER) % ORDER;
+
+const invert = (scalar) => {
+    // Fermat inversion; ORDER is prime
+    let result = 1n;
+    let base = mod(scalar);
+    let exponent = ORDER - 2n;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % ORDER;
+        base = (base * base) % ORDER;
+        exponent >>= 1n;
+    }
+    return result;
+};
+
+class Oprf {
+    static get suite() {
+        return SUITE;
+    }
+
+    /**
+     * HashToGroup: hash_to_ristretto255 with the suite's DST
+     * @param {Uint8Array} input - Private input
+     * @returns {RistrettoPoint} Group element
+     */
+    static hashToGroup(input) {
+        return hash_to_ristretto255(input, { DST: Buffer.concat([Buffer.from('HashToGroup-'), CONTEXT_STRING]) });
+    }
+
+    /**
+     * HashToScalar with the given DST prefix (RFC 9497 section 4.1)
+     * @param {Uint8Array} input - Input bytes
+     * @param {string} prefix - DST prefix (default "HashToScalar-")
+     * @returns {bigint} Scalar modulo the group order
+     */
+    static hashToScalar(input, prefix = 'HashToScalar-') {
+        const uniform = expand_message_xmd(input, Buffer.concat([Buffer.from(prefix), CONTEXT_STRING]), 64, sha512);
+        return mod(bytesToScalar(uniform));
+    }
+
+    /**
+     * DeriveKeyPair (RFC 9497 section 3.2.1)
+     * @param {Uint8Array} seed - 32-byte seed
+     * @param {Uint8Array} info - Key info
+     * @returns {Object} { secretKey: Buffer (32 bytes, little-endian), publicKey: Buffer }
+     */
+    static deriveKeyPair(seed, info) {
+        if (seed.length !== 32) {
+            throw new Error('OPRF seed must be 32 bytes');
+        }
+        const deriveInput = Buffer.concat([seed, i2osp2(info.length), info]);
+
+        for (let counter = 0; counter < 256; counter++) {
+            const scalar = Oprf.hashToScalar(Buffer.concat([deriveInput, Buffer.from([counter])]), 'DeriveKeyPair');
+            if (scalar !== 0n) {
+                return {
+                    secretKey: scalarToBytes(scalar),
+                    publicKey: Buffer.from(RistrettoPoint.BASE.multiply(scalar).toBytes())
+                };
+            }
+        }
+        throw new Error('DeriveKeyPairError');
+    }
+
+    /**
+     * Blind (client): blindedElement = blind * HashToGroup(input)
+     * @param {Uint8Array} input - Private input
+     * @param {Uint8Array} blind - Optional 32-byte scalar (tests only; random otherwise)
+     * @returns {Object} { blind: Buffer, blindedElement: Buffer }
+     */
+    static blind(input, blind = null) {
+        const scalar = blind ? mod(bytesToScalar(blind)) : mod(bytesToScalar(crypto.randomBytes(64)));
+        const inputElement = Oprf.hashToGroup(input);
+        if (inputElement.equals(RistrettoPoint.ZERO)) {
+            throw new Error('InvalidInputError');
+        }
+        return {
+            blind: scalarToBytes(scalar),
+            blindedElement: Buffer.from(inputElement.multiply(scalar).toBytes())
+        };
+    }
+
+    /**
+     * BlindEvaluate (server): evaluatedElement = secretKey * blindedElement
+     * @param {Uint8Array} secretKey - 32-byte secret scalar
+     * @param {Uint8Array} blindedElement - Serialized element from the client
+     * @returns {Buffer} Serialized evaluated element
+     */
+    static blindEvaluate(secretKey, blindedElement) {
+        const element = Oprf.deserializeElement(blindedElement);
+        return Buffer.from(element.multiply(bytesToScalar(secretKey)).toBytes());
+    }
+
+    /**
+     * Finalize (client): unblind and hash
+     * @param {Uint8Array} input - Private input
+     * @param {Uint8Array} blind - Blind from blind()
+     * @param {Uint8Array} evaluatedElement - Server response
+     * @returns {Buffer} 64-byte OPRF output
+     */
+    static finalize(input, blind, evaluatedElement) {
+        const element = Oprf.deserializeElement(evaluatedElement);
+        const unblinded = Buffer.from(element.multiply(invert(bytesToScalar(blind))).toBytes());
+        return Oprf.hashOutput(input, unblinded);
+    }
+
+    /**
+     * Evaluate: the OPRF output computed directly with the secret key
+     * @param {Uint8Array} secretKey - 32-byte secret scalar
+     * @param {Uint8Array} input - Private input
+     * @returns {Buffer} 64-byte OPRF output (equal to finalize of a blinded round trip)
+     */
+    static evaluate(secretKey, input) {
+        const element = Oprf.hashToGroup(input).multiply(bytesToScalar(secretKey));
+        return Oprf.hashOutput(input, Buffer.from(element.toBytes()));
+    }
+
+    /**
+     * SafePass OPRF input: I2OSP(len(masterPassword), 2) || masterPassword || context
+     * The context comes from the server's derivation params (params.oprf.context).
+     * @param {string} masterPassword - Master password
+     * @param {string} context - Platform/account/counter context string
+     * @returns {Buffer} OPRF input
+     */
+    static safepassInput(masterPassword, context) {
+        const password = Buffer.from(masterPassword, 'utf8');
+        return Buffer.concat([i2osp2(password.length), password, Buffer.from(context, 'utf8')]);
+    }
+
+    static hashOutput(input, unblindedElement) {
+        const hashInput = Buffer.concat([i2osp2(input.length), Buffer.from(input), i2osp2(unblindedElement.length), unblindedElement, Buffer.from('Finalize')]);
+        return Buffer.from(sha512(hashInput));
+    }
+
+    /**
+     * Parse a serialized element, rejecting invalid encodings and the identity
+     * @param {Uint8Array} bytes - 32-byte ristretto255 encoding
+     * @returns {RistrettoPoint} Group element
+     */
+    static deserializeElement(bytes) {
+        if (!bytes || bytes.length !== ELEMENT_LENGTH) {
+            throw new Error('Invalid element length');
+        }
+        const element = RistrettoPoint.fromHex(Buffer.from(bytes).toString('hex'));
+        if (element.equals(RistrettoPoint.ZERO)) {
+            throw new Error('Element must not be the identity');
+        }
+        return element;
+    }
+}
+
+module.exports = Oprf;
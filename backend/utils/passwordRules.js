@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SafePass Password Rules
+ * Parser for the `passwordrules` attribute syntax used by password managers
+ * (https://developer.apple.com/password-rules/), e.g.
+ *   "minlength: 8; maxlength: 16; required: lower; required: digit; allowed: [-_.]"
+ *
+ * Character order is significant: generation draws indexes into the allowed set,
+ * so every set is returned in one canonical order (lowercase, uppercase, digits,
+ * then the rest in ASCII order) no matter how the rule lists it.
+ */
+const QUIRKS_FILE = path.join(__dirname, '..', 'data', 'password-rules.json');
+
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DIGIT = '0123456789';
+// ASCII punctuation; space is only generated when a custom class lists it, since sites often trim it
+const SPECIAL = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+const CLASSES = {
+    lower: LOWER,
+    upper: UPPER,
+    digit: DIGIT,
+    special: SPECIAL,
+    'ascii-printable': LOWER + UPPER + DIGIT + SPECIAL,
+    // Generation stays within ASCII
+    unicode: LOWER + UPPER + DIGIT + SPECIAL
+};
+
+const ORDER = LOWER + UPPER + DIGIT;
+
+let quirks = null;
+let quirksSource = null;
+
+const rank = (char) => (ORDER.includes(char) ? ORDER.indexOf(char) : ORDER.length + char.charCodeAt(0));
+
+class PasswordRules {
+    /**
+     * Sort and de-duplicate a character set into canonical order
+     * @param {string} chars - Characters
+     * @returns {string} Canonical character set
+     */
+    static canonicalSet(chars) {
+        return Array.from(new Set(chars))
+            .sort((a, b) => rank(a) - rank(b))
+            .join('');
+    }
+
+    /**
+     * Parse a passwordrules string
+     * Repeated minlength keeps the largest value, repeated maxlength and
+     * max-consecutive the smallest. Every "required" rule is its own group that
+     * needs at least one character; allowed characters are the union of all
+     * required and allowed classes (ASCII printable when neither is given).
+     * @param {string} text - passwordrules value
+     * @returns {Object} { required: string[], allowed: string, minLength, maxLength, maxConsecutive }
+     * @throws {Error} On syntax errors and unknown properties or classes
+     */
+    static parse(text) {
+        if (typeof text !== 'string') {
+            throw new Error('Password rules must be a string');
+        }
+
+        const result = { required: [], allowed: '', minLength: null, maxLength: null, maxConsecutive: null };
+        let allowed = '';
+
+        for (const rule of PasswordRules.splitRules(text)) {
+            const colon = rule.indexOf(':');
+            if (colon === -1) {
+                throw new Error(`Missing ":" in password rule "${rule}"`);
+            }
+            const name = rule.slice(0, colon).trim().toLowerCase();
+            const value = rule.slice(colon + 1).trim();
+
+            switch (name) {
+                case 'required': {
+                    const chars = PasswordRules.parseClasses(value);
+                    result.required.push(PasswordRules.canonicalSet(chars));
+                    allowed += chars;
+                    break;
+                }
+                case 'allowed':
+                    allowed += PasswordRules.parseClasses(value);
+                    break;
+                case 'minlength':
+                    result.minLength = Math.max(result.minLength || 0, PasswordRules.parseCount(name, value));
+                    break;
+                case 'maxlength':
+                    result.maxLength = Math.min(result.maxLength || Infinity, PasswordRules.parseCount(name, value));
+                    break;
+                case 'max-consecutive':
+                    result.maxConsecutive = Math.min(result.maxConsecutive || Infinity, PasswordRules.parseCount(name, value));
+                    break;
+                default:
+                    throw new Error(`Unknown password rule "${name}"`);
+            }
+        }
+
+        if (result.minLength !== null && result.maxLength !== null && result.minLength > result.maxLength) {
+            throw new Error('minlength must not be greater than maxlength');
+        }
+
+        result.allowed = PasswordRules.canonicalSet(allowed || CLASSES['ascii-printable']);
+        return result;
+    }
+
+    /**
+     * Split on ";" outside of custom character classes
+     * @param {string} text - passwordrules value
+     * @returns {string[]} Non-empty rules
+     */
+    static splitRules(text) {
+        const rules = [];
+        let current = '';
+        let inClass = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inClass) {
+                current += char;
+                // "]]" is a literal "]" at the end of a class
+                if (char === ']' && text[i + 1] === ']') {
+                    current += text[++i];
+                    inClass = false;
+                } else if (char === ']') {
+                    inClass = false;
+                }
+            } else if (char === '[') {
+                current += char;
+                inClass = true;
+            } else if (char === ';') {
+                rules.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (inClass) {
+            throw new Error('Unterminated character class');
+        }
+        rules.push(current);
+
+        return rules.map((rule) => rule.trim()).filter((rule) => rule.length > 0);
+    }
+
+    /**
+     * Parse a comma-separated list of class names and custom classes ("upper, [-_.]")
+     * @param {string} value - Rule value
+     * @returns {string} Characters of all listed classes
+     */
+    static parseClasses(value) {
+        let chars = '';
+        let i = 0;
+
+        while (i < value.length) {
+            const char = value[i];
+            if (char === ',' || /\s/.test(char)) {
+                i++;
+            } else if (char === '[') {
+                const end = value.indexOf(']', i + 1);
+                if (end === -1) {
+                    throw new Error('Unterminated character class');
+                }
+                // "]]" is a literal "]" at the end of a class
+                const close = value[end + 1] === ']' ? end + 1 : end;
+                // Only printable ASCII counts inside a custom class, as in the reference parser
+                chars += value.slice(i + 1, close).replace(/[^\x20-\x7e]/g, '');
+                i = close + 1;
+            } else {
+                const match = /^[a-z-]+/i.exec(value.slice(i));
+                const name = match ? match[0].toLowerCase() : value[i];
+                if (!CLASSES[name]) {
+                    throw new Error(`Unknown character class "${name}"`);
+                }
+                chars += CLASSES[name];
+                i += name.length;
+            }
+        }
+
+        if (!chars) {
+            throw new Error('Character class list must not be empty');
+        }
+        return chars;
+    }
+
+    /**
+     * Parse a positive integer property
+     * @param {string} name - Property name
+     * @param {string} value - Property value
+     * @returns {number} Value
+     */
+    static parseCount(name, value) {
+        if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+            throw new Error(`${name} must be a positive integer`);
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Bundled quirks snapshot (data/password-rules.json), keyed by domain
+     * @returns {Map<string, string>} Domain -> passwordrules string
+     */
+    static getQuirks() {
+        if (!quirks) {
+            const file = JSON.parse(fs.readFileSync(QUIRKS_FILE, 'utf8'));
+            quirks = new Map(Object.entries(file.rules).map(([domain, entry]) => [domain, entry['password-rules']]));
+            quirksSource = file.source || null;
+        }
+        return quirks;
+    }
+
+    /**
+     * Where the bundled snapshot came from
+     * @returns {Object|null} { location, sha256, importedAt } of the upstream file for a snapshot
+     * written by scripts/import-password-rules.js, or null for a hand-made partial one
+     */
+    static getQuirksSource() {
+        PasswordRules.getQuirks();
+        return quirksSource;
+    }
+
+    /**
+     * Look up the quirks rules for a domain
+     * @param {string} domain - Canonical domain (platform key from PlatformResolver)
+     * @returns {string|null} passwordrules string
+     */
+    static forDomain(domain) {
+        return PasswordRules.getQuirks().get(domain) || null;
+    }
+}
+
+module.exports = PasswordRules;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const tldts = require('tldts');
+const Canonical = require('./canonical');
+
+/**
+ * SafePass Platform Resolver
+ * Turns whatever the user typed ("Gmail", "accounts.google.com", a full sign-in URL)
+ * into one platform key, so the same site always derives the same password.
+ *
+ * Registrable domains come from the Public Suffix List snapshot compiled into tldts,
+ * which is pinned to an exact version in package.json: a different snapshot could
+ * move the registrable domain of a host and with it the password.
+ */
+const ALIASES_FILE = path.join(__dirname, '..', 'data', 'platform-aliases.json');
+
+let aliases = null;
+
+class PlatformResolver {
+    /**
+     * Alias table (data/platform-aliases.json), loaded once
+     * @returns {Map<string, string>} Alias -> registrable domain
+     */
+    static getAliases() {
+        if (!aliases) {
+            aliases = new Map(Object.entries(JSON.parse(fs.readFileSync(ALIASES_FILE, 'utf8')).aliases));
+        }
+        return aliases;
+    }
+
+    /**
+     * Resolve a platform name, domain or URL to its platform key
+     *
+     * Order: a plain name in the alias table; otherwise the registrable domain of
+     * the host (IP addresses and single-label hosts such as "localhost" are kept
+     * whole), mapped through the alias table once more (x.com -> twitter.com).
+     * Anything that is not a host is returned as its canonical name ("Git Hub" -> "github").
+     * Keys are canonical (see utils/canonical.js), so they are meant for canonical requests.
+     *
+     * @param {string} input - Platform name, domain or URL
+     * @returns {Object} { input, platform, domain, hostname, source: 'alias' | 'domain' | 'name' }
+     */
+    static resolve(input) {
+        if (typeof input !== 'string' || !input.trim()) {
+            throw new Error('Platform input is required');
+        }
+
+        const folded = Canonical.fold(input).trim();
+        const name = folded.replace(/\s/g, '');
+        const table = PlatformResolver.getAliases();
+
+        if (table.has(name)) {
+            return { input, platform: table.get(name), domain: table.get(name), hostname: null, source: 'alias' };
+        }
+
+        const parsed = /\s/.test(folded) ? null : tldts.parse(folded, { allowPrivateDomains: true });
+        const hostname = parsed && parsed.hostname ? Canonical.domain(parsed.hostname) : null;
+
+        if (!hostname || (!parsed.domain && !parsed.isIp && !hostname.includes('.') && !/[/:]/.test(folded))) {
+            return { input, platform: Canonical.platform(input), domain: null, hostname: null, source: 'name' };
+        }
+
+        const domain = parsed.domain ? Canonical.domain(parsed.domain) : hostname;
+        if (table.has(domain)) {
+            return { input, platform: table.get(domain), domain, hostname, source: 'alias' };
+        }
+        return { input, platform: domain, domain, hostname, source: 'domain' };
+    }
+}
+
+module.exports = PlatformResolver;
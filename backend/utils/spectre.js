@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const CryptoUtils = require('./crypto');
+
+/**
+ * Spectre (formerly Master Password) algorithm, version 3
+ *
+ * Lets SafePass reproduce the passwords of Spectre apps for the same full name,
+ * master password, site name and counter:
+ *   user key  = scrypt(masterPassword, scope | len(fullName) | fullName, N=32768, r=8, p=2, 64 bytes)
+ *   site seed = HMAC-SHA256(userKey, scope | len(siteName) | siteName | counter)
+ *   template  = templates[seed[0] % templates.length]
+ *   char i    = class[seed[i + 1] % class.length] for each template character
+ * Lengths and the counter are 32-bit big-endian, names are UTF-8. Nothing here depends
+ * on SERVER_SECRET: that is what makes the output match the reference implementation.
+ * See https://spectre.app/spectre-algorithm.pdf
+ */
+const SCOPE = 'com.lyndir.masterpassword';
+const KDF = CryptoUtils.formatKdfSpec('scrypt', { ln: 15, r: 8, p: 2 });
+const KEY_LENGTH = 64;
+
+// Password templates per result type; one is picked by the first seed byte
+const TEMPLATES = {
+    maximum: ['anoxxxxxxxxxxxxxxxxx', 'axxxxxxxxxxxxxxxxxno'],
+    long: [
+        'CvcvnoCvcvCvcv',
+        'CvcvCvcvnoCvcv',
+        'CvcvCvcvCvcvno',
+        'CvccnoCvcvCvcv',
+        'CvccCvcvnoCvcv',
+        'CvccCvcvCvcvno',
+        'CvcvnoCvccCvcv',
+        'CvcvCvccnoCvcv',
+        'CvcvCvccCvcvno',
+        'CvcvnoCvcvCvcc',
+        'CvcvCvcvnoCvcc',
+        'CvcvCvcvCvccno',
+        'CvccnoCvccCvcv',
+        'CvccCvccnoCvcv',
+        'CvccCvccCvcvno',
+        'CvcvnoCvccCvcc',
+        'CvcvCvccnoCvcc',
+        'CvcvCvccCvccno',
+        'CvccnoCvcvCvcc',
+        'CvccCvcvnoCvcc',
+        'CvccCvcvCvccno'
+    ],
+    medium: ['CvcnoCvc', 'CvcCvcno'],
+    basic: ['aaanaaan', 'aannaaan', 'aaannaaa'],
+    short: ['Cvcn'],
+    pin: ['nnnn'],
+    name: ['cvccvcvcv'],
+    phrase: ['cvcc cvc cvccvcv cvc', 'cvc cvccvcvcv cvcv', 'cv cvccv cvc cvcvccv']
+};
+
+// Characters behind each template letter
+const CHARACTER_CLASSES = {
+    V: 'AEIOU',
+    C: 'BCDFGHJKLMNPQRSTVWXYZ',
+    v: 'aeiou',
+    c: 'bcdfghjklmnpqrstvwxyz',
+    A: 'AEIOUBCDFGHJKLMNPQRSTVWXYZ',
+    a: 'AEIOUaeiouBCDFGHJKLMNPQRSTVWXYZbcdfghjklmnpqrstvwxyz',
+    n: '0123456789',
+    o: "@&%?,=[]_:-+*$#!'^~;()/.",
+    x: 'AEIOUaeiouBCDFGHJKLMNPQRSTVWXYZbcdfghjklmnpqrstvwxyz0123456789!@#$%^&*()',
+    ' ': ' '
+};
+
+/**
+ * Scope, then the 32-bit big-endian byte length and UTF-8 bytes of each name
+ * @param {string[]} names - Names to append
+ * @returns {Buffer} Encoded bytes
+ */
+function scoped(...names) {
+    return Buffer.concat([
+        Buffer.from(SCOPE, 'utf8'),
+        ...names.flatMap((name) => {
+            const bytes = Buffer.from(name, 'utf8');
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(bytes.length);
+            return [length, bytes];
+        })
+    ]);
+}
+
+class Spectre {
+    static get scope() {
+        return SCOPE;
+    }
+
+    static get kdf() {
+        return KDF;
+    }
+
+    static get keyLength() {
+        return KEY_LENGTH;
+    }
+
+    static get templates() {
+        return TEMPLATES;
+    }
+
+    static get characterClasses() {
+        return CHARACTER_CLASSES;
+    }
+
+    /**
+     * Salt of the user key
+     * @param {string} fullName - Full name, exactly as entered in the Spectre app
+     * @returns {Buffer} Salt bytes
+     */
+    static userKeySalt(fullName) {
+        return scoped(fullName);
+    }
+
+    /**
+     * Site seed for a user key
+     * @param {Buffer|Uint8Array} userKey - 64-byte user key
+     * @param {string} siteName - Site name
+     * @param {number} counter - Spectre site counter (1 and up)
+     * @returns {Buffer} 32-byte seed
+     */
+    static siteSeed(userKey, siteName, counter) {
+        const counterBytes = Buffer.alloc(4);
+        counterBytes.writeUInt32BE(counter);
+        return crypto
+            .createHmac('sha256', userKey)
+            .update(Buffer.concat([scoped(siteName), counterBytes]))
+            .digest();
+    }
+
+    /**
+     * Encode a site seed with the templates of a result type
+     * @param {Buffer} seed - Site seed
+     * @param {string} template - Result type (a key of Spectre.templates)
+     * @returns {string} Password
+     */
+    static encode(seed, template) {
+        const templates = TEMPLATES[template];
+        const pattern = templates[seed[0] % templates.length];
+        return pattern
+            .split('')
+            .map((letter, index) => {
+                const characters = CHARACTER_CLASSES[letter];
+                return characters[seed[index + 1] % characters.length];
+            })
+            .join('');
+    }
+}
+
+module.exports = Spectre;
@@ -0,0 +1,85 @@
+const { ZxcvbnFactory } = require('@zxcvbn-ts/core');
+const zxcvbnCommon = require('@zxcvbn-ts/language-common');
+const zxcvbnEn = require('@zxcvbn-ts/language-en');
+
+/**
+ * SafePass Strength Estimator
+ * Pattern-based estimate (zxcvbn-ts): the password is split into the cheapest
+ * sequence of dictionary words, keyboard walks, repeats, sequences, dates and
+ * l33t variants, and scored by the number of guesses an attacker needs.
+ * "Password1!Password1!" is a repeated dictionary word, not 4 character classes.
+ *
+ * frontend/src/lib/strength.js returns the same shape without a network call.
+ */
+const LEVELS = ['very-weak', 'weak', 'fair', 'strong', 'very-strong'];
+
+// Matching cost grows quickly with length and with l33t candidates, and this runs on the
+// request thread for every generated password. Only the first MAX_LENGTH characters are
+// matched: anything longer is far beyond every crack-time scenario already.
+const MAX_LENGTH = 64;
+const L33T_MAX_SUBSTITUTIONS = 10;
+
+let estimator = null;
+
+class Strength {
+    /**
+     * Shared estimator; dictionaries are loaded on first use
+     * @returns {ZxcvbnFactory} Estimator
+     */
+    static getEstimator() {
+        if (!estimator) {
+            estimator = new ZxcvbnFactory({
+                translations: zxcvbnEn.translations,
+                graphs: zxcvbnCommon.adjacencyGraphs,
+                dictionary: { ...zxcvbnCommon.dictionary, ...zxcvbnEn.dictionary },
+                maxLength: MAX_LENGTH,
+                l33tMaxSubstitutions: L33T_MAX_SUBSTITUTIONS
+            });
+        }
+        return estimator;
+    }
+
+    /**
+     * Estimate how hard a password is to guess
+     * @param {string} password - Password to analyze
+     * @param {string[]} userInputs - Words an attacker would try first (platform, account, ...)
+     * @returns {Object} score (0-4), level, guesses, entropyBits, crackTimes, feedback and matched patterns
+     */
+    static estimate(password, userInputs = []) {
+        const result = Strength.getEstimator().check(
+            password,
+            userInputs.filter((input) => typeof input === 'string' && input.length > 0)
+        );
+
+        return {
+            score: result.score,
+            level: LEVELS[result.score],
+            guesses: result.guesses,
+            guessesLog10: Math.round(result.guessesLog10 * 100) / 100,
+            entropyBits: Math.round(result.guessesLog10 * Math.log2(10) * 10) / 10,
+            crackTimes: Object.fromEntries(Object.entries(result.crackTimes).map(([scenario, time]) => [scenario, { seconds: time.seconds, display: time.display }])),
+            feedback: {
+                warning: result.feedback.warning || null,
+                suggestions: result.feedback.suggestions
+            },
+            patterns: result.sequence.map((match) => Strength.describeMatch(match))
+        };
+    }
+
+    /**
+     * Public part of a zxcvbn match
+     * @param {Object} match - Match from the estimator
+     * @returns {Object} Pattern, matched token and position, plus the dictionary details when relevant
+     */
+    static describeMatch(match) {
+        const description = { pattern: match.pattern, token: match.token, start: match.i, end: match.j };
+        if (match.pattern === 'dictionary') {
+            description.dictionary = match.dictionaryName;
+            description.l33t = Boolean(match.l33t);
+            description.reversed = Boolean(match.reversed);
+        }
+        return description;
+    }
+}
+
+module.exports = Strength;
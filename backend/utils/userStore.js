@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Error raised by a user repository
+ * code is USER_EXISTS, USER_NOT_FOUND or USERNAME_INVALID.
+ */
+class UserStoreError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'UserStoreError';
+        this.code = code;
+    }
+}
+
+// Lowercase letters, digits, ".", "_" and "-", starting with a letter or digit
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+
+/**
+ * SafePass User Repository
+ * Storage interface for user accounts. Routes and PinAuthManager only use these
+ * methods, so JsonFileUserRepository can be replaced by a database-backed one.
+ *
+ * User record:
+ *   { id, username, pinHash, recoveryCodes, disabled, legacyPepper, createdAt, updatedAt }
+ * pinHash is a bcrypt hash, recoveryCodes the SHA-256 hashes of unused PIN recovery codes. legacyPepper marks the account migrated from MASTER_PIN_HASH,
+ * which keeps deriving with SERVER_SECRET itself (see PinAuthManager.getPepper).
+ */
+class UserRepository {
+    /**
+     * Normalized username, or null when it is not a valid username
+     * @param {string} username - Username as typed
+     * @returns {string|null} Lowercase username
+     */
+    static normalizeUsername(username) {
+        if (typeof username !== 'string') {
+            return null;
+        }
+        const normalized = username.trim().toLowerCase();
+        return USERNAME_PATTERN.test(normalized) ? normalized : null;
+    }
+
+    async findById(id) {
+        throw new Error('findById is not implemented');
+    }
+
+    async findByUsername(username) {
+        throw new Error('findByUsername is not implemented');
+    }
+
+    async list() {
+        throw new Error('list is not implemented');
+    }
+
+    /**
+     * @param {Object} fields - username, pinHash and optionally recoveryCodes, disabled, legacyPepper
+     * @returns {Promise<Object>} Created user
+     */
+    async create(fields) {
+        throw new Error('create is not implemented');
+    }
+
+    /**
+     * @param {string} id - User ID
+     * @param {Object} changes - Fields to replace (id, username and createdAt are kept)
+     * @returns {Promise<Object>} Updated user
+     */
+    async update(id, changes) {
+        throw new Error('update is not implemented');
+    }
+
+    /**
+     * Remove one recovery code hash and apply changes in a single atomic step, so a code
+     * cannot be used twice and concurrent uses of different codes do not undo each other
+     * @param {string} id - User ID
+     * @param {string} codeHash - Hash of the code being used
+     * @param {Object} changes - Fields to replace along with it (e.g. pinHash)
+     * @returns {Promise<Object|null>} Updated user, or null if the code is not (or no longer) stored
+     */
+    async useRecoveryCode(id, codeHash, changes) {
+        throw new Error('useRecoveryCode is not implemented');
+    }
+
+    /**
+     * @param {string} id - User ID
+     * @returns {Promise<boolean>} True if a user was deleted
+     */
+    async delete(id) {
+        throw new Error('delete is not implemented');
+    }
+}
+
+/**
+ * User repository in a JSON file ({ version: 1, users: [...] })
+ * The file is re-read whenever it changes on disk, so accounts changed with
+ * scripts/users.js take effect in a running server. Writes go to a temporary
+ * file that is renamed over the original, readable by the owner only.
+ */
+class JsonFileUserRepository extends UserRepository {
+    // USER_STORE_FILE, or data/users.json next to the other backend data files
+    static get defaultFile() {
+        return process.env.USER_STORE_FILE || path.join(__dirname, '..', 'data', 'users.json');
+    }
+
+    /**
+     * @param {string} filePath - Path of the JSON file (created on first write)
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.users = null;
+        this.fileVersion = null;
+    }
+
+    read() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.users = [];
+                this.fileVersion = null;
+                return this.users;
+            }
+            throw error;
+        }
+
+        const fileVersion = `${stat.mtimeMs}:${stat.size}`;
+        if (!this.users || fileVersion !== this.fileVersion) {
+            this.users = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).users;
+            this.fileVersion = fileVersion;
+        }
+        return this.users;
+    }
+
+    write(users) {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, `${JSON.stringify({ version: 1, users }, null, 2)}\n`, { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+
+        const stat = fs.statSync(this.filePath);
+        this.users = users;
+        this.fileVersion = `${stat.mtimeMs}:${stat.size}`;
+    }
+
+    async findById(id) {
+        const user = this.read().find((entry) => entry.id === id);
+        return user ? { ...user } : null;
+    }
+
+    async findByUsername(username) {
+        const normalized = UserRepository.normalizeUsername(username);
+        const user = this.read().find((entry) => entry.username === normalized);
+        return user ? { ...user } : null;
+    }
+
+    async list() {
+        return this.read().map((user) => ({ ...user }));
+    }
+
+    async create(fields) {
+        const username = UserRepository.normalizeUsername(fields.username);
+        if (!username) {
+            throw new UserStoreError('Username must be 1-32 lowercase letters, digits, ".", "_" or "-"', 'USERNAME_INVALID');
+        }
+
+        const users = this.read();
+        if (users.some((user) => user.username === username)) {
+            throw new UserStoreError(`User ${username} already exists`, 'USER_EXISTS');
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            id: crypto.randomBytes(16).toString('hex'),
+            username,
+            pinHash: fields.pinHash,
+            recoveryCodes: fields.recoveryCodes || [],
+            disabled: fields.disabled === true,
+            legacyPepper: fields.legacyPepper === true,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.write([...users, user]);
+        return { ...user };
+    }
+
+    async update(id, changes) {
+        const users = this.read();
+        const index = users.findIndex((user) => user.id === id);
+        if (index === -1) {
+            throw new UserStoreError('User not found', 'USER_NOT_FOUND');
+        }
+
+        const user = { ...users[index], ...changes, id, username: users[index].username, createdAt: users[index].createdAt, updatedAt: new Date().toISOString() };
+        this.write(users.map((entry, position) => (position === index ? user : entry)));
+        return { ...user };
+    }
+
+    // Read, check and write happen without yielding, so no other request runs in between
+    async useRecoveryCode(id, codeHash, changes) {
+        const users = this.read();
+        const index = users.findIndex((user) => user.id === id);
+        if (index === -1 || !(users[index].recoveryCodes || []).includes(codeHash)) {
+            return null;
+        }
+
+        const recoveryCodes = users[index].recoveryCodes.filter((hash) => hash !== codeHash);
+        const user = { ...users[index], ...changes, recoveryCodes, updatedAt: new Date().toISOString() };
+        this.write(users.map((entry, position) => (position === index ? user : entry)));
+        return { ...user };
+    }
+
+    async delete(id) {
+        const users = this.read();
+        const remaining = users.filter((user) => user.id !== id);
+        if (remaining.length === users.length) {
+            return false;
+        }
+        this.write(remaining);
+        return true;
+    }
+}
+
+module.exports = {
+    UserRepository,
+    JsonFileUserRepository,
+    UserStoreError
+};
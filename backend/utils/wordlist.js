@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * SafePass Word Lists
+ * Loads bundled word lists used for deterministic passphrases and usernames
+ */
+const WORDLISTS = {
+    // EFF large word list (https://www.eff.org/dice), 7776 words, one per 5-dice roll
+    'eff-large': {
+        file: path.join(__dirname, '..', 'data', 'eff_large_wordlist.txt'),
+        size: 7776,
+        sha256: 'addd35536511597a02fa0a9ff1e5284677b8883b83e986e43f15a3db996b903e'
+    },
+    // Username templates (adjective-noun-digits), 256 words each of 3-8 lowercase letters
+    'username-adjectives': {
+        file: path.join(__dirname, '..', 'data', 'username_adjectives.txt'),
+        size: 256,
+        sha256: '125a6d913aa1e6104c78f057c3a205e7d7dc35bfc00c351877614c86f0f111aa'
+    },
+    'username-nouns': {
+        file: path.join(__dirname, '..', 'data', 'username_nouns.txt'),
+        size: 256,
+        sha256: '73d7860257c5422b740ca5f579c2f815a5b84dc5301fe5e2571806fd39cf0939'
+    }
+};
+
+const cache = new Map();
+
+class Wordlist {
+    /**
+     * Load a bundled word list
+     * The file checksum is verified because passphrases are derived from word
+     * indexes: any edit to the list would silently change existing passphrases.
+     * @param {string} name - Word list name (default: 'eff-large')
+     * @returns {string[]} Words in list order
+     */
+    static load(name = 'eff-large') {
+        if (cache.has(name)) {
+            return cache.get(name);
+        }
+
+        const definition = WORDLISTS[name];
+        const contents = Wordlist.loadRaw(name);
+
+        // Lines are "<dice roll>\t<word>" (EFF) or just "<word>"
+        const words = contents
+            .toString('utf8')
+            .split('\n')
+            .filter((line) => line.length > 0)
+            .map((line) => line.split('\t').pop());
+
+        if (words.length !== definition.size) {
+            throw new Error(`Word list ${name} has ${words.length} words, expected ${definition.size}`);
+        }
+
+        cache.set(name, words);
+        return words;
+    }
+
+    /**
+     * Read a bundled word list file, verified against its checksum
+     * Served as-is to clients that generate passphrases locally.
+     * @param {string} name - Word list name (default: 'eff-large')
+     * @returns {Buffer} File contents
+     */
+    static loadRaw(name = 'eff-large') {
+        const definition = WORDLISTS[name];
+        if (!definition) {
+            throw new Error(`Unknown word list: ${name}`);
+        }
+
+        const contents = fs.readFileSync(definition.file);
+        const checksum = crypto.createHash('sha256').update(contents).digest('hex');
+        if (checksum !== definition.sha256) {
+            throw new Error(`Word list ${name} failed checksum verification`);
+        }
+
+        return contents;
+    }
+
+    /**
+     * Expected SHA-256 of a bundled word list file
+     * @param {string} name - Word list name
+     * @returns {string|null} Hex checksum, or null for unknown lists
+     */
+    static checksum(name) {
+        return Object.prototype.hasOwnProperty.call(WORDLISTS, name) ? WORDLISTS[name].sha256 : null;
+    }
+}
+
+module.exports = Wordlist;
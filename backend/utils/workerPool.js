@@ -0,0 +1,319 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Error raised when the pool cannot run a task
+ * code is POOL_BUSY (queue full) or POOL_TIMEOUT (task exceeded its deadline);
+ * retryAfter is a suggested wait in seconds.
+ */
+class PoolError extends Error {
+    constructor(message, code, retryAfter) {
+        super(message);
+        this.name = 'PoolError';
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * SafePass Worker Pool
+ * Bounded pool of worker threads with a FIFO queue, per-task timeouts and
+ * queue-depth backpressure. Workers start lazily and are unref'd while idle so
+ * the pool never keeps the process alive on its own.
+ */
+class WorkerPool {
+    /**
+     * @param {Object} options
+     * @param {string} options.script - Worker script path
+     * @param {number} options.size - Number of worker threads (0 runs tasks inline via options.inline)
+     * @param {number} options.maxQueue - Tasks allowed to wait before new ones are rejected
+     * @param {number} options.taskTimeoutMs - Default per-task timeout in milliseconds
+     * @param {Object} options.inline - Task handlers used when size is 0
+     */
+    constructor({ script, size, maxQueue, taskTimeoutMs, inline = {} }) {
+        this.script = script;
+        this.size = size;
+        this.maxQueue = maxQueue;
+        this.taskTimeoutMs = taskTimeoutMs;
+        this.inline = inline;
+
+        this.workers = []; // { worker, task }
+        this.queue = [];
+        this.nextTaskId = 1;
+        this.statistics = {
+            completed: 0,
+            failed: 0,
+            timedOut: 0,
+            rejected: 0,
+            totalWaitMs: 0,
+            totalRunMs: 0
+        };
+    }
+
+    /**
+     * Run a task on the pool
+     * @param {string} type - Task type understood by the worker script
+     * @param {Object} payload - Structured-cloneable task input
+     * @param {Object} options - { timeoutMs } overrides the default timeout
+     * @returns {Promise<*>} Task result
+     */
+    run(type, payload, options = {}) {
+        const timeoutMs = options.timeoutMs || this.taskTimeoutMs;
+
+        if (this.size === 0) {
+            return this.runInline(type, payload);
+        }
+
+        if (this.queue.length >= this.maxQueue) {
+            this.statistics.rejected++;
+            return Promise.reject(new PoolError('Worker pool queue is full', 'POOL_BUSY', this.estimateRetryAfter()));
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextTaskId++, type, payload, resolve, reject, slot: null, queuedAt: Date.now() };
+            // The deadline covers queue wait as well as run time
+            task.timer = setTimeout(() => this.expire(task, timeoutMs), timeoutMs);
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Fail a task that missed its deadline, terminating its worker if it had started
+     */
+    expire(task, timeoutMs) {
+        this.statistics.timedOut++;
+        if (task.slot) {
+            // The only way to stop a busy worker is to terminate it. JS/WASM work stops at once;
+            // a native call already in progress (pbkdf2Sync, scryptSync) finishes before the thread exits.
+            this.remove(task.slot);
+            task.slot.worker.terminate();
+        } else {
+            this.queue = this.queue.filter((candidate) => candidate !== task);
+        }
+        task.reject(new PoolError(`Task timed out after ${timeoutMs}ms`, 'POOL_TIMEOUT', this.estimateRetryAfter()));
+        this.dispatch();
+    }
+
+    /**
+     * Run a task on the calling thread (pool size 0)
+     */
+    async runInline(type, payload) {
+        if (!this.inline[type]) {
+            throw new Error(`Unknown task type: ${type}`);
+        }
+        const startedAt = Date.now();
+        try {
+            const result = await this.inline[type](payload);
+            this.statistics.completed++;
+            return result;
+        } catch (error) {
+            this.statistics.failed++;
+            throw error;
+        } finally {
+            this.statistics.totalRunMs += Date.now() - startedAt;
+        }
+    }
+
+    /**
+     * Hand queued tasks to idle workers, starting workers up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find((candidate) => !candidate.task);
+            if (!slot && this.workers.length < this.size) {
+                slot = this.spawn();
+            }
+            if (!slot) {
+                return;
+            }
+            this.start(slot, this.queue.shift());
+        }
+    }
+
+    /**
+     * Start a worker thread and register it in the pool
+     * @returns {Object} Worker slot
+     */
+    spawn() {
+        const slot = { worker: new Worker(this.script), task: null };
+
+        slot.worker.on('message', (message) => this.finish(slot, message));
+        slot.worker.on('error', (error) => this.replace(slot, error));
+        slot.worker.on('exit', (code) => {
+            if (this.workers.includes(slot)) {
+                this.replace(slot, new Error(`Worker exited with code ${code}`));
+            }
+        });
+        slot.worker.unref();
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /**
+     * Send a task to a worker
+     */
+    start(slot, task) {
+        task.startedAt = Date.now();
+        task.slot = slot;
+        this.statistics.totalWaitMs += task.startedAt - task.queuedAt;
+
+        slot.task = task;
+        slot.worker.ref();
+        slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+    }
+
+    /**
+     * Settle the task a worker just answered and pick up the next one
+     */
+    finish(slot, message) {
+        const task = slot.task;
+        if (!task || task.id !== message.id) {
+            return;
+        }
+
+        clearTimeout(task.timer);
+        slot.task = null;
+        slot.worker.unref();
+        this.statistics.totalRunMs += Date.now() - task.startedAt;
+
+        if (message.ok) {
+            this.statistics.completed++;
+            task.resolve(message.result);
+        } else {
+            this.statistics.failed++;
+            task.reject(new Error(message.error));
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Drop a crashed worker, failing its task, and continue with a fresh one
+     */
+    replace(slot, error) {
+        this.remove(slot);
+        if (slot.task) {
+            clearTimeout(slot.task.timer);
+            this.statistics.failed++;
+            slot.task.reject(error);
+        }
+        this.dispatch();
+    }
+
+    remove(slot) {
+        this.workers = this.workers.filter((candidate) => candidate !== slot);
+    }
+
+    /**
+     * Suggested wait before retrying, based on queue depth and average task time
+     * @returns {number} Seconds (at least 1)
+     */
+    estimateRetryAfter() {
+        const finished = this.statistics.completed + this.statistics.failed;
+        const averageRunMs = finished > 0 ? this.statistics.totalRunMs / finished : 1000;
+        const ahead = this.queue.length + this.workers.filter((slot) => slot.task).length;
+        return Math.max(1, Math.ceil((ahead * averageRunMs) / Math.max(this.size, 1) / 1000));
+    }
+
+    /**
+     * Whether new tasks would currently be rejected
+     * @returns {boolean}
+     */
+    isSaturated() {
+        return this.size > 0 && this.queue.length >= this.maxQueue;
+    }
+
+    /**
+     * Get pool metrics
+     * @returns {Object} Pool configuration, utilisation and task counters
+     */
+    getStats() {
+        const finished = this.statistics.completed + this.statistics.failed;
+        const busy = this.workers.filter((slot) => slot.task).length;
+
+        return {
+            size: this.size,
+            workers: this.workers.length,
+            busy,
+            idle: this.workers.length - busy,
+            queued: this.queue.length,
+            maxQueue: this.maxQueue,
+            taskTimeoutMs: this.taskTimeoutMs,
+            completed: this.statistics.completed,
+            failed: this.statistics.failed,
+            timedOut: this.statistics.timedOut,
+            rejected: this.statistics.rejected,
+            averageWaitMs: finished > 0 ? Math.round(this.statistics.totalWaitMs / finished) : 0,
+            averageRunMs: finished > 0 ? Math.round(this.statistics.totalRunMs / finished) : 0
+        };
+    }
+
+    /**
+     * Terminate all workers and reject queued tasks
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        const workers = this.workers;
+        this.workers = [];
+        for (const task of this.queue.splice(0)) {
+            clearTimeout(task.timer);
+            task.reject(new Error('Worker pool destroyed'));
+        }
+        await Promise.all(
+            workers.map((slot) => {
+                if (slot.task) {
+                    clearTimeout(slot.task.timer);
+                    slot.task.reject(new Error('Worker pool destroyed'));
+                }
+                return slot.worker.terminate();
+            })
+        );
+    }
+}
+
+/**
+ * Map items through an async task with at most limit tasks in flight
+ * Keeps one caller from filling the shared pool queue on its own; results keep
+ * the order of the input.
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent tasks (at least 1)
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run));
+    return results;
+}
+
+const defaultPoolSize = Math.min(4, (os.availableParallelism ? os.availableParallelism() : os.cpus().length) || 1);
+const configuredPoolSize = parseInt(process.env.WORKER_POOL_SIZE);
+
+// Shared pool for KDF and bcrypt work (see cryptoWorker.js)
+const cryptoPool = new WorkerPool({
+    script: path.join(__dirname, 'cryptoWorker.js'),
+    size: Number.isNaN(configuredPoolSize) ? defaultPoolSize : configuredPoolSize,
+    maxQueue: parseInt(process.env.WORKER_POOL_MAX_QUEUE) || 32,
+    taskTimeoutMs: parseInt(process.env.WORKER_TASK_TIMEOUT_MS) || 10000,
+    inline: {
+        kdf: ({ password, salt, spec, keyLength }) => require('./crypto').deriveKeyWithSpec(password, salt, spec, keyLength),
+        'bcrypt-compare': ({ value, hash }) => require('bcryptjs').compareSync(value, hash),
+        'bcrypt-hash': ({ value, rounds }) => require('bcryptjs').hashSync(value, rounds)
+    }
+});
+
+module.exports = {
+    WorkerPool,
+    PoolError,
+    cryptoPool,
+    mapWithConcurrency
+};
@@ -2,6 +2,8 @@ import { useState, useEffect } from "react";
 import { Routes, Route, Navigate, useNavigate } from "react-router-dom";
 import AuthPage from "./pages/AuthPage";
 import HomePage from "./pages/HomePage";
+import ChangePinPage from "./pages/ChangePinPage";
+import ResetPinPage from "./pages/ResetPinPage";
 import { authService } from "./services/authService";
 import "./index.css";
 
@@ -98,6 +100,15 @@ function App() {
     <>
       <Routes>
         <Route path="/auth" element={<AuthPage />} />
+        <Route path="/reset-pin" element={<ResetPinPage />} />
+        <Route
+          path="/change-pin"
+          element={
+            <ProtectedRoute>
+              <ChangePinPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/"
           element={
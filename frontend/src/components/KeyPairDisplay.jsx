@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+
+// File names for a key pair: id_ed25519_github and id_ed25519_github.pub, or age_backup.key and age_backup.pub
+const keyFileNames = ({ type, label }) => {
+  const safeLabel = label.replace(/[^a-z0-9._-]+/gi, "_");
+  const base = type === "ssh-ed25519" ? `id_ed25519_${safeLabel}` : `age_${safeLabel}`;
+  return { privateKey: type === "ssh-ed25519" ? base : `${base}.key`, publicKey: `${base}.pub` };
+};
+
+// Save text as a file through a temporary Blob URL
+const download = (contents, fileName) => {
+  const url = URL.createObjectURL(new Blob([contents], { type: "text/plain" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// The private key can be revealed once; onForgetPrivateKey drops it from the parent's state when hidden
+const KeyPairDisplay = ({ keyPair, onForgetPrivateKey }) => {
+  const [revealed, setRevealed] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const { publicKey, privateKey, metadata } = keyPair;
+  const fileNames = keyFileNames(metadata);
+
+  const copyPublicKey = async () => {
+    try {
+      await navigator.clipboard.writeText(publicKey);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy:", err);
+    }
+  };
+
+  const hidePrivateKey = () => {
+    setRevealed(false);
+    onForgetPrivateKey();
+  };
+
+  return (
+    <div className="space-y-3 text-left">
+      <div>
+        <p className="text-sm text-gray-300 mb-1">{metadata.type === "ssh-ed25519" ? "Public key" : "Recipient"}</p>
+        <div className="bg-white/5 border border-gray-600 rounded-lg px-3 py-2 font-mono text-sm text-white break-all select-all">{publicKey}</div>
+        {metadata.fingerprint && <p className="text-xs text-gray-400 mt-1 font-mono break-all">{metadata.fingerprint}</p>}
+      </div>
+
+      <div className="flex space-x-2">
+        <button
+          type="button"
+          onClick={copyPublicKey}
+          className={`flex-1 p-2 rounded-lg border text-sm transition-colors ${copied ? "bg-green-500/20 border-green-500/30 text-green-400" : "bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"}`}
+        >
+          {copied ? "Copied" : "Copy"}
+        </button>
+        <button
+          type="button"
+          onClick={() => download(`${publicKey}\n`, fileNames.publicKey)}
+          className="flex-1 p-2 rounded-lg border text-sm bg-white/5 border-gray-600 text-white hover:bg-white/10 transition-colors"
+        >
+          Download public key
+        </button>
+      </div>
+
+      {privateKey && !revealed && (
+        <button
+          type="button"
+          onClick={() => setRevealed(true)}
+          className="w-full p-2 rounded-lg border text-sm bg-yellow-500/10 border-yellow-500/30 text-yellow-400 hover:bg-yellow-500/20 transition-colors"
+        >
+          Reveal private key (shown once)
+        </button>
+      )}
+
+      {privateKey && revealed && (
+        <div className="space-y-2">
+          <pre className="bg-white/5 border border-yellow-500/30 rounded-lg px-3 py-2 font-mono text-xs text-white whitespace-pre-wrap break-all select-all">{privateKey}</pre>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={() => download(privateKey.endsWith("\n") ? privateKey : `${privateKey}\n`, fileNames.privateKey)}
+              className="flex-1 p-2 rounded-lg border text-sm bg-white/5 border-gray-600 text-white hover:bg-white/10 transition-colors"
+            >
+              Download private key
+            </button>
+            <button type="button" onClick={hidePrivateKey} className="flex-1 p-2 rounded-lg border text-sm bg-red-500/20 border-red-500/30 text-red-400 hover:bg-red-500/30 transition-colors">
+              Hide for good
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!privateKey && <p className="text-sm text-gray-400">Private key hidden. Generate it again with the same master password, label and version to get it back.</p>}
+    </div>
+  );
+};
+
+export default KeyPairDisplay;
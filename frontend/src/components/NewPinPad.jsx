@@ -0,0 +1,30 @@
+import React, { useState } from "react";
+import PinPad from "./PinPad";
+
+// Enter a new PIN twice; onPinChosen receives it once both entries match
+const NewPinPad = ({ onPinChosen, error }) => {
+  const [firstPin, setFirstPin] = useState(null);
+  const [mismatch, setMismatch] = useState("");
+
+  const handlePinSubmit = (pin) => {
+    if (!firstPin) {
+      setFirstPin(pin);
+      setMismatch("");
+    } else if (pin !== firstPin) {
+      setFirstPin(null);
+      setMismatch("PINs do not match, try again");
+    } else {
+      onPinChosen(pin);
+    }
+  };
+
+  return (
+    <div>
+      <p className="text-gray-300 mb-2">{firstPin ? "Enter the new PIN again" : "Choose a new 6-digit PIN"}</p>
+      {/* Remounting clears the dots between the two entries */}
+      <PinPad key={firstPin ? "confirm" : "new"} onPinSubmit={handlePinSubmit} error={firstPin ? "" : mismatch || error} />
+    </div>
+  );
+};
+
+export default NewPinPad;
@@ -1,7 +1,34 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
+import { estimateStrength } from "../lib/strength";
 
-const PasswordDisplay = ({ password }) => {
+const LEVEL_STYLES = {
+  "very-weak": "text-red-400",
+  weak: "text-orange-400",
+  fair: "text-yellow-400",
+  strong: "text-green-400",
+  "very-strong": "text-green-400",
+};
+
+// secret=false shows the value and skips the strength rating (usernames); answers are the platform's security answers
+const PasswordDisplay = ({ password, counter = 0, loading = false, onRotate, onPrevious, userInputs = [], secret = true, answers = null }) => {
   const [copied, setCopied] = useState(false);
+  const [strength, setStrength] = useState(null);
+  const userInputsKey = userInputs.join("\n");
+
+  // Rated locally: the password is not sent anywhere to be scored
+  useEffect(() => {
+    let cancelled = false;
+    if (!secret) {
+      setStrength(null);
+      return undefined;
+    }
+    estimateStrength(password, userInputsKey ? userInputsKey.split("\n") : [])
+      .then((result) => !cancelled && setStrength(result))
+      .catch(() => !cancelled && setStrength(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [password, userInputsKey, secret]);
 
   const copyToClipboard = async () => {
     try {
@@ -14,27 +41,68 @@ const PasswordDisplay = ({ password }) => {
   };
 
   return (
-    <div className="flex items-center space-x-3">
-      <div className="flex-1 bg-white/5 backdrop-blur-sm border border-gray-600 rounded-lg px-4 py-3 font-mono text-xl tracking-wider">{"•".repeat(password.length)}</div>
-      <button
-        onClick={copyToClipboard}
-        className={`p-3 rounded-lg transition-all duration-200 ${copied ? "bg-green-500/20 border-green-500/30 text-green-400" : "bg-blue-500/20 border-blue-500/30 text-blue-400"} border backdrop-blur-sm hover:bg-white/10`}
-      >
-        {copied ? (
-          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-          </svg>
-        ) : (
-          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m0 0h2a2 2 0 012 2v3m2 4H10m0 0l3-3m-3 3l3 3"
-            />
-          </svg>
-        )}
-      </button>
+    <div className="space-y-3">
+      <div className="flex items-center space-x-3">
+        <div className="flex-1 bg-white/5 backdrop-blur-sm border border-gray-600 rounded-lg px-4 py-3 font-mono text-xl tracking-wider">{secret ? "•".repeat(password.length) : password}</div>
+        <button
+          onClick={copyToClipboard}
+          className={`p-3 rounded-lg transition-all duration-200 ${copied ? "bg-green-500/20 border-green-500/30 text-green-400" : "bg-blue-500/20 border-blue-500/30 text-blue-400"} border backdrop-blur-sm hover:bg-white/10`}
+        >
+          {copied ? (
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+            </svg>
+          ) : (
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m0 0h2a2 2 0 012 2v3m2 4H10m0 0l3-3m-3 3l3 3"
+              />
+            </svg>
+          )}
+        </button>
+      </div>
+      {strength && (
+        <div className="text-sm text-gray-300">
+          <span className={LEVEL_STYLES[strength.level]}>{strength.level.replace("-", " ")}</span> · ~{Math.round(strength.entropyBits)} bits · offline attack (slow hash):{" "}
+          {strength.crackTimes.offlineSlowHashingXPerSecond.display}
+          {strength.feedback.warning && <p className="text-yellow-400 mt-1">{strength.feedback.warning}</p>}
+        </div>
+      )}
+      {answers?.length > 0 && (
+        <div className="space-y-2 text-left">
+          <p className="text-sm text-gray-300">Security answers</p>
+          {answers.map(({ question, answer }) => (
+            <div key={question} className="bg-white/5 border border-gray-600 rounded-lg px-3 py-2">
+              <p className="text-xs text-gray-400">{question}</p>
+              <p className="font-mono text-white select-all">{answer}</p>
+            </div>
+          ))}
+        </div>
+      )}
+      {onRotate && (
+        <div className="flex items-center justify-between space-x-3">
+          <button
+            type="button"
+            onClick={onPrevious}
+            disabled={loading || counter === 0}
+            className={`flex-1 p-2 rounded-lg border text-sm transition-colors ${loading || counter === 0 ? "border-gray-700 text-gray-500 cursor-not-allowed" : "bg-white/5 border-gray-600 text-white hover:bg-white/10"}`}
+          >
+            Use Previous Version
+          </button>
+          <span className="text-sm text-gray-300 whitespace-nowrap">Version {counter}</span>
+          <button
+            type="button"
+            onClick={onRotate}
+            disabled={loading}
+            className={`flex-1 p-2 rounded-lg border text-sm transition-colors ${loading ? "border-gray-700 text-gray-500 cursor-not-allowed" : "bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"}`}
+          >
+            {secret ? "Rotate Password" : "Rotate"}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
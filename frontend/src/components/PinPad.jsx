@@ -30,6 +30,8 @@ const PinPad = ({ onPinSubmit, error }) => {
   // Handle keyboard input
   useEffect(() => {
     const handleKeyPress = (e) => {
+      // Typing in a text field next to the pad (username, recovery code) is not PIN entry
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
       if (e.key >= "0" && e.key <= "9") {
         handleNumberClick(e.key);
       } else if (e.key === "Backspace" || e.key === "Delete") {
@@ -0,0 +1,38 @@
+/**
+ * k-anonymity breach check
+ *
+ * Only the first 5 hex characters of the password's SHA-1 are sent
+ * (GET /api/password/breach-range/:prefix); the match against the returned
+ * suffixes happens on the device, so neither the password nor its hash leaves it.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Uppercase hex SHA-1 of a password, as used by Have I Been Pwned
+ * @param {string} password - Password
+ * @returns {Promise<string>} SHA-1 hash
+ */
+export const sha1Hex = async (password) => {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-1", encoder.encode(password)));
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .toUpperCase();
+};
+
+/**
+ * Check a password against the breach corpus by hash prefix
+ * @param {string} password - Password to check
+ * @param {(prefix: string) => Promise<Array<{suffix: string, count: number}>|null>} fetchRange - Range lookup; null when unavailable
+ * @returns {Promise<Object|null>} { breached, count }, or null when the server has no range data
+ */
+export const checkBreach = async (password, fetchRange) => {
+  const hash = await sha1Hex(password);
+  const suffixes = await fetchRange(hash.slice(0, 5));
+  if (!suffixes) {
+    return null;
+  }
+
+  const match = suffixes.find((entry) => entry.suffix.toUpperCase() === hash.slice(5));
+  return { breached: Boolean(match), count: match ? match.count : 0 };
+};
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkBreach, sha1Hex } from "./breach.js";
+
+// SHA-1("password"), as listed by Have I Been Pwned
+const PASSWORD_SHA1 = "5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8";
+
+test("hashes like Have I Been Pwned", async () => {
+  assert.equal(await sha1Hex("password"), PASSWORD_SHA1);
+});
+
+test("sends only the 5-character prefix and matches the suffix locally", async () => {
+  const prefixes = [];
+  const fetchRange = async (prefix) => {
+    prefixes.push(prefix);
+    return [
+      { suffix: "0018A45C4D1DEF81644B54AB7F969B88D65", count: 1 },
+      { suffix: PASSWORD_SHA1.slice(5), count: 9545824 },
+    ];
+  };
+
+  assert.deepEqual(await checkBreach("password", fetchRange), { breached: true, count: 9545824 });
+  assert.deepEqual(prefixes, ["5BAA6"]);
+  assert.deepEqual(await checkBreach("not in the list", async () => []), { breached: false, count: 0 });
+  assert.equal(await checkBreach("password", async () => null), null);
+});
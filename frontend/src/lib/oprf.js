@@ -0,0 +1,112 @@
+import { RistrettoPoint, hash_to_ristretto255 } from "@noble/curves/ed25519";
+import { sha512 } from "@noble/hashes/sha2";
+
+/**
+ * Client side of the SafePass OPRF
+ *
+ * RFC 9497 OPRF mode with ristretto255-SHA512, matching backend/utils/oprf.js. The
+ * client blinds its input, POST /api/password/oprf-evaluate applies the server key,
+ * and finalize() unblinds and hashes the result. The server never sees the input and
+ * the client never sees the key. Vectors: test-vectors/oprf.json (npm test).
+ */
+
+export const SUITE = "ristretto255-SHA512";
+
+const encoder = new TextEncoder();
+const CONTEXT_STRING = concat(encoder.encode("OPRFV1-"), new Uint8Array([0x00]), encoder.encode(`-${SUITE}`));
+const ORDER = BigInt("0x1000000000000000000000000000000014def9dea2f79cd65812631a5cf5d3ed");
+
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+const i2osp2 = (length) => new Uint8Array([length >> 8, length & 0xff]);
+
+const bytesToScalar = (bytes) => bytes.reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+const scalarToBytes = (scalar) => {
+  const bytes = new Uint8Array(32);
+  let value = scalar;
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+};
+
+const mod = (value) => ((value % ORDER) + ORDER) % ORDER;
+
+// Fermat inversion; ORDER is prime
+const invert = (scalar) => {
+  let result = 1n;
+  let base = mod(scalar);
+  let exponent = ORDER - 2n;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % ORDER;
+    base = (base * base) % ORDER;
+    exponent >>= 1n;
+  }
+  return result;
+};
+
+export const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+export const fromHex = (hex) => new Uint8Array(hex.match(/../g).map((pair) => parseInt(pair, 16)));
+
+const hashToGroup = (input) => hash_to_ristretto255(input, { DST: concat(encoder.encode("HashToGroup-"), CONTEXT_STRING) });
+
+const deserializeElement = (bytes) => {
+  if (bytes.length !== 32) {
+    throw new Error("Invalid element length");
+  }
+  const element = RistrettoPoint.fromHex(toHex(bytes));
+  if (element.equals(RistrettoPoint.ZERO)) {
+    throw new Error("Element must not be the identity");
+  }
+  return element;
+};
+
+/**
+ * SafePass OPRF input: I2OSP(len(masterPassword), 2) || masterPassword || context
+ * @param {string} masterPassword - Master password
+ * @param {string} context - params.oprf.context from the derivation params
+ * @returns {Uint8Array} OPRF input
+ */
+export const buildOprfInput = (masterPassword, context) => {
+  const password = encoder.encode(masterPassword);
+  return concat(i2osp2(password.length), password, encoder.encode(context));
+};
+
+/**
+ * Blind an input
+ * @param {Uint8Array} input - Private input
+ * @param {Uint8Array} blind - Optional 32-byte scalar (tests only; random otherwise)
+ * @returns {{blind: Uint8Array, blindedElement: Uint8Array}} Keep blind secret; send blindedElement
+ */
+export const blind = (input, blind = null) => {
+  const scalar = mod(bytesToScalar(blind || crypto.getRandomValues(new Uint8Array(64))));
+  const inputElement = hashToGroup(input);
+  if (inputElement.equals(RistrettoPoint.ZERO)) {
+    throw new Error("InvalidInputError");
+  }
+  return { blind: scalarToBytes(scalar), blindedElement: inputElement.multiply(scalar).toBytes() };
+};
+
+/**
+ * Unblind the server's evaluated element and hash it into the OPRF output
+ * @param {Uint8Array} input - Private input passed to blind()
+ * @param {Uint8Array} blind - Blind returned by blind()
+ * @param {Uint8Array} evaluatedElement - Server response
+ * @returns {Uint8Array} 64-byte OPRF output
+ */
+export const finalize = (input, blind, evaluatedElement) => {
+  const element = deserializeElement(evaluatedElement);
+  const unblinded = element.multiply(invert(bytesToScalar(blind))).toBytes();
+  return sha512(concat(i2osp2(input.length), input, i2osp2(unblinded.length), unblinded, encoder.encode("Finalize")));
+};
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { RistrettoPoint } from "@noble/curves/ed25519";
+import { blind, buildOprfInput, finalize, fromHex, toHex } from "./oprf.js";
+import { generateFromParams, prepareMasterPassword } from "./safepass.js";
+
+// Shared with the backend (backend/tests/oprf.test.js)
+const vectorsFile = new URL("../../../test-vectors/oprf.json", import.meta.url);
+const { rfc9497, vectors } = JSON.parse(await readFile(vectorsFile, "utf8"));
+
+// Plays the server's BlindEvaluate with a known key
+const evaluate = (secretKey, blindedElement) => {
+  const scalar = fromHex(secretKey).reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  return RistrettoPoint.fromHex(toHex(blindedElement)).multiply(scalar).toBytes();
+};
+
+for (const vector of rfc9497.vectors) {
+  test(`RFC 9497 input ${vector.input}`, () => {
+    const input = fromHex(vector.input);
+    const blinded = blind(input);
+
+    assert.equal(toHex(finalize(input, blinded.blind, evaluate(rfc9497.skSm, blinded.blindedElement))), vector.output);
+  });
+}
+
+for (const vector of vectors) {
+  test(`server-bound ${vector.name}`, async () => {
+    const input = buildOprfInput(prepareMasterPassword(vector.masterPassword, vector.params), vector.params.oprf.context);
+    const { blindedElement } = blind(input, fromHex(vector.blind));
+
+    assert.equal(toHex(blindedElement), vector.blindedElement);
+    const output = finalize(input, fromHex(vector.blind), fromHex(vector.evaluatedElement));
+    assert.equal(toHex(output), vector.output);
+
+    const result = await generateFromParams(toHex(output), vector.params);
+    assert.equal(result.password, vector.password);
+  });
+}
+
+test("rejects the identity element", () => {
+  const input = buildOprfInput("masterpass1", "context");
+  assert.throws(() => finalize(input, blind(input).blind, new Uint8Array(32)), /identity/);
+});
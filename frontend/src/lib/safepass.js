@@ -0,0 +1,453 @@
+import { argon2id, scrypt } from "hash-wasm";
+
+/**
+ * Client-side SafePass generation
+ *
+ * Reproduces PasswordGeneration.generatePassword (backend/middleware/passwordGeneration.js)
+ * from the parameters returned by POST /api/password/derivation-params, so the master
+ * password never leaves the device. PBKDF2 and HMAC use WebCrypto; scrypt and Argon2id,
+ * which WebCrypto lacks, use hash-wasm like the backend. Any change here must keep
+ * test-vectors/generation.json passing on both sides (npm test).
+ */
+
+const encoder = new TextEncoder();
+
+// HKDF-Expand can produce at most 255 blocks
+const MAX_STREAM_BLOCKS = 255;
+
+/**
+ * Parse a PHC-style KDF spec ("$pbkdf2-sha256$i=100000", "$argon2id$v=19$m=19456,t=2,p=1")
+ * @param {string} spec - KDF spec from the server
+ * @returns {{name: string, params: Object}} KDF name and integer parameters
+ */
+export const parseKdfSpec = (spec) => {
+  const parts = spec.split("$");
+  const name = parts[1];
+  let paramString = parts[2];
+
+  if (name === "argon2id") {
+    if (parts[2] !== "v=19") {
+      throw new Error("Unsupported Argon2 version");
+    }
+    paramString = parts[3];
+  }
+
+  const params = Object.fromEntries(
+    (paramString || "").split(",").map((pair) => {
+      const [key, value] = pair.split("=");
+      return [key, parseInt(value, 10)];
+    }),
+  );
+
+  return { name, params };
+};
+
+/**
+ * Derive a key with a KDF spec
+ * @param {string} password - Master password
+ * @param {string|Uint8Array} salt - Salt (hex string, used as UTF-8 text like the backend; bytes for spectre-3)
+ * @param {string} spec - KDF spec
+ * @param {number} keyLength - Key length in bytes
+ * @returns {Promise<Uint8Array>} Derived key
+ */
+export const deriveKey = async (password, salt, spec, keyLength) => {
+  const { name, params } = parseKdfSpec(spec);
+
+  switch (name) {
+    case "pbkdf2-sha256": {
+      const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+      const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: encoder.encode(salt), iterations: params.i }, key, keyLength * 8);
+      return new Uint8Array(bits);
+    }
+    case "scrypt":
+      return scrypt({ password, salt, costFactor: 2 ** params.ln, blockSize: params.r, parallelism: params.p, hashLength: keyLength, outputType: "binary" });
+    case "argon2id":
+      return argon2id({ password, salt, memorySize: params.m, iterations: params.t, parallelism: params.p, hashLength: keyLength, outputType: "binary" });
+    default:
+      throw new Error(`Unsupported KDF: ${name}`);
+  }
+};
+
+/**
+ * HKDF-Expand (RFC 5869) byte stream, matching CryptoUtils.createByteStream
+ * @param {Uint8Array} prk - Pseudorandom key
+ * @param {string} info - Context string
+ * @returns {Object} Stream with async nextByte() and nextInt(max)
+ */
+export const createByteStream = (prk, info) => {
+  const infoBytes = encoder.encode(info);
+  const hmacKey = crypto.subtle.importKey("raw", prk, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  let previousBlock = new Uint8Array(0);
+  let blockIndex = 0;
+  let buffer = new Uint8Array(0);
+  let offset = 0;
+
+  const nextByte = async () => {
+    if (offset >= buffer.length) {
+      if (blockIndex >= MAX_STREAM_BLOCKS) {
+        throw new Error("HKDF stream exhausted");
+      }
+      blockIndex++;
+      const input = new Uint8Array(previousBlock.length + infoBytes.length + 1);
+      input.set(previousBlock, 0);
+      input.set(infoBytes, previousBlock.length);
+      input[input.length - 1] = blockIndex;
+      previousBlock = new Uint8Array(await crypto.subtle.sign("HMAC", await hmacKey, input));
+      buffer = previousBlock;
+      offset = 0;
+    }
+    return buffer[offset++];
+  };
+
+  // Unbiased integer in [0, max) by rejection sampling
+  const nextInt = async (max) => {
+    const range = max <= 256 ? 256 : 65536;
+    const limit = range - (range % max);
+
+    for (;;) {
+      const value = range === 256 ? await nextByte() : ((await nextByte()) << 8) | (await nextByte());
+      if (value < limit) {
+        return value % max;
+      }
+    }
+  };
+
+  return { nextByte, nextInt };
+};
+
+const isWeakPin = (pin) => {
+  const digits = pin.split("").map(Number);
+  const steps = digits.slice(1).map((digit, index) => digit - digits[index]);
+
+  return steps.every((step) => step === 0) || steps.every((step) => step === 1) || steps.every((step) => step === -1);
+};
+
+// Same as CryptoUtils.runAllows: false when text ends in a run of maxConsecutive identical characters
+const runAllows = (text, maxConsecutive) => {
+  if (!maxConsecutive || text.length < maxConsecutive) {
+    return true;
+  }
+  const tail = text.slice(-maxConsecutive);
+  return tail.split("").some((char) => char !== tail[0]);
+};
+
+// Same as PasswordGeneration.fitsRun
+const fitsRun = (chars, position, char, maxConsecutive) => {
+  if (!maxConsecutive) {
+    return true;
+  }
+
+  let run = 1;
+  for (let i = position - 1; i >= 0 && chars[i] === char; i--) run++;
+  for (let i = position + 1; i < chars.length && chars[i] === char; i++) run++;
+  return run <= maxConsecutive;
+};
+
+const drawCharacters = async (stream, charset, length, maxConsecutive = null) => {
+  let result = "";
+  for (let i = 0; i < length; i++) {
+    const choices = runAllows(result, maxConsecutive) ? charset : charset.replace(result[result.length - 1], "");
+    result += choices[await stream.nextInt(choices.length)];
+  }
+  return result;
+};
+
+const checkComplexity = (password, requirements) => {
+  const constraints = requirements.map((requirement) => {
+    const count = password.split("").filter((char) => requirement.characters.includes(char)).length;
+    return { class: requirement.class, minimum: requirement.minimum, count, satisfied: count >= requirement.minimum };
+  });
+
+  return { satisfied: constraints.every((constraint) => constraint.satisfied), constraints };
+};
+
+// Same placement rules as PasswordGeneration.ensureComplexity
+const ensureComplexity = async (password, requirements, stream, maxConsecutive = null) => {
+  const chars = password.split("");
+  const locked = new Set();
+  const countOf = (requirement) => chars.filter((char) => requirement.characters.includes(char)).length;
+  const fitting = (requirement, index) => requirement.characters.split("").filter((char) => fitsRun(chars, index, char, maxConsecutive));
+
+  for (const requirement of requirements) {
+    while (countOf(requirement) < requirement.minimum) {
+      const eligible = chars
+        .map((char, index) => index)
+        .filter((index) => {
+          const char = chars[index];
+          return (
+            !locked.has(index) &&
+            !requirement.characters.includes(char) &&
+            requirements.every((other) => !other.characters.includes(char) || countOf(other) > other.minimum) &&
+            fitting(requirement, index).length > 0
+          );
+        });
+
+      if (eligible.length === 0 || requirement.characters.length === 0) {
+        throw new Error(`Cannot satisfy minimum ${requirement.class} count`);
+      }
+
+      const position = eligible[await stream.nextInt(eligible.length)];
+      const candidates = fitting(requirement, position);
+      chars[position] = candidates[await stream.nextInt(candidates.length)];
+      locked.add(position);
+    }
+  }
+
+  return chars.join("");
+};
+
+const generateCharacters = async (masterPassword, params) => {
+  const { scheme, charset, length, salt, kdf, keyLength } = params;
+
+  if (scheme === "safepass-1") {
+    const bytes = await deriveKey(masterPassword, salt, kdf, keyLength);
+    return { password: Array.from(bytes, (byte) => charset[byte % charset.length]).join(""), enforced: false };
+  }
+
+  if (scheme !== "safepass-2") {
+    throw new Error(`Unsupported generation scheme: ${scheme}`);
+  }
+
+  const key = await deriveKey(masterPassword, salt, kdf, keyLength);
+  const stream = createByteStream(key, "safepass-2:password");
+
+  // maxConsecutive is only present for passwordrules
+  const maxConsecutive = params.maxConsecutive || null;
+  let password = await drawCharacters(stream, charset, length, maxConsecutive);
+  while (params.rejectWeakPins && isWeakPin(password)) {
+    password = await drawCharacters(stream, charset, length, maxConsecutive);
+  }
+
+  password = await ensureComplexity(password, params.requirements, createByteStream(key, "safepass-2:complexity"), maxConsecutive);
+  return { password, enforced: true };
+};
+
+// Scope, then the 32-bit big-endian byte length and UTF-8 bytes of the name (backend/utils/spectre.js)
+const spectreScoped = (scope, name) => {
+  const scopeBytes = encoder.encode(scope);
+  const nameBytes = encoder.encode(name);
+  const bytes = new Uint8Array(scopeBytes.length + 4 + nameBytes.length);
+  bytes.set(scopeBytes, 0);
+  new DataView(bytes.buffer).setUint32(scopeBytes.length, nameBytes.length);
+  bytes.set(nameBytes, scopeBytes.length + 4);
+  return bytes;
+};
+
+// Spectre v3: scrypt user key (salt sent hex-encoded), HMAC-SHA256 site seed, template classes
+const generateSpectre = async (masterPassword, params) => {
+  const { scope, siteName, siteCounter, templates, characterClasses } = params.spectre;
+  const salt = Uint8Array.from(params.salt.match(/../g) || [], (pair) => parseInt(pair, 16));
+  const userKey = await deriveKey(masterPassword, salt, params.kdf, params.keyLength);
+
+  const site = spectreScoped(scope, siteName);
+  const input = new Uint8Array(site.length + 4);
+  input.set(site, 0);
+  new DataView(input.buffer).setUint32(site.length, siteCounter);
+  const hmacKey = await crypto.subtle.importKey("raw", userKey, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const seed = new Uint8Array(await crypto.subtle.sign("HMAC", hmacKey, input));
+
+  const template = templates[seed[0] % templates.length];
+  return Array.from(template, (letter, index) => characterClasses[letter][seed[index + 1] % characterClasses[letter].length]).join("");
+};
+
+// LessPass v2: the PBKDF2 output as one big integer, divided down into characters (backend/utils/lesspass.js)
+const generateLessPass = async (masterPassword, params) => {
+  const key = await deriveKey(masterPassword, params.salt, params.kdf, params.keyLength);
+  let entropy = BigInt(`0x${Array.from(key, (byte) => byte.toString(16).padStart(2, "0")).join("")}`);
+  const consume = (characters) => {
+    const size = BigInt(characters.length);
+    const character = characters[Number(entropy % size)];
+    entropy /= size;
+    return character;
+  };
+
+  // requirements hold the enabled character sets in LessPass order
+  const characters = params.requirements.map((requirement) => requirement.characters).join("");
+  let password = "";
+  while (password.length < params.length - params.requirements.length) {
+    password += consume(characters);
+  }
+
+  const oneCharPerRule = params.requirements.map((requirement) => consume(requirement.characters));
+  for (const character of oneCharPerRule) {
+    const size = BigInt(password.length);
+    const position = Number(entropy % size);
+    entropy /= size;
+    password = password.slice(0, position) + character + password.slice(position);
+  }
+  return password;
+};
+
+const generatePassphrase = async (masterPassword, params, wordlist) => {
+  const options = params.passphrase;
+  if (params.scheme !== "safepass-passphrase-1") {
+    throw new Error(`Unsupported generation scheme: ${params.scheme}`);
+  }
+  if (!wordlist) {
+    throw new Error(`Passphrase generation needs the ${options.wordlist} word list`);
+  }
+
+  const key = await deriveKey(masterPassword, params.salt, params.kdf, params.keyLength);
+  const stream = createByteStream(key, "safepass-passphrase:v1");
+
+  const words = [];
+  for (let i = 0; i < options.words; i++) {
+    words.push(wordlist[await stream.nextInt(wordlist.length)]);
+  }
+  let entropyBits = options.words * Math.log2(wordlist.length);
+
+  for (let i = 0; i < words.length; i++) {
+    if (options.capitalization === "upper") {
+      words[i] = words[i].toUpperCase();
+    } else if (options.capitalization === "title") {
+      words[i] = words[i].charAt(0).toUpperCase() + words[i].slice(1);
+    } else if (options.capitalization === "random" && (await stream.nextInt(2)) === 1) {
+      words[i] = words[i].toUpperCase();
+    }
+  }
+  if (options.capitalization === "random") {
+    entropyBits += options.words;
+  }
+
+  if (options.insertDigit) {
+    const index = await stream.nextInt(words.length);
+    words[index] += options.digits[await stream.nextInt(options.digits.length)];
+    entropyBits += Math.log2(options.digits.length);
+  }
+
+  if (options.insertSymbol) {
+    const index = await stream.nextInt(words.length);
+    words[index] += options.symbols[await stream.nextInt(options.symbols.length)];
+    entropyBits += Math.log2(options.symbols.length);
+  }
+
+  return { password: words.join(options.separator), entropyBits: Math.round(entropyBits * 10) / 10 };
+};
+
+/**
+ * Parse a word list file and verify it against the checksum from the derivation params
+ * @param {string} text - Word list file ("<dice roll>\t<word>" per line)
+ * @param {string} expectedSha256 - params.passphrase.wordlistSha256
+ * @returns {Promise<string[]>} Words in list order
+ */
+export const loadWordlist = async (text, expectedSha256) => {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+  const checksum = Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+  if (checksum !== expectedSha256) {
+    throw new Error("Word list failed checksum verification");
+  }
+
+  return text
+    .split("\n")
+    .filter((line) => line.length > 0)
+    .map((line) => line.split("\t")[1]);
+};
+
+/**
+ * Prepare the master password the way the server's canonicalization does (backend/utils/canonical.js)
+ * @param {string} masterPassword - Master password as typed
+ * @param {Object} params - Derivation params; only params.canonicalization matters
+ * @returns {string} Master password to derive from
+ */
+export const prepareMasterPassword = (masterPassword, params) => {
+  if (!params.canonicalization) {
+    return masterPassword;
+  }
+  if (params.canonicalization !== "nfkc-1") {
+    throw new Error(`Unsupported canonicalization: ${params.canonicalization}`);
+  }
+  return masterPassword.normalize("NFKC").replace(/\s/g, " ");
+};
+
+/**
+ * Generate a password or passphrase locally
+ * @param {string} rawMasterPassword - Master password (stays on the device)
+ * @param {Object} params - Response "params" of POST /api/password/derivation-params
+ * @param {Object} options - { wordlist } words from loadWordlist, required for passphrases
+ * @returns {Promise<Object>} Password and metadata
+ */
+export const generateFromParams = async (rawMasterPassword, params, options = {}) => {
+  const masterPassword = prepareMasterPassword(rawMasterPassword, params);
+
+  if (params.mode === "passphrase") {
+    const { password, entropyBits } = await generatePassphrase(masterPassword, params, options.wordlist);
+    return {
+      password,
+      metadata: { mode: "passphrase", scheme: params.scheme, kdf: params.kdf, counter: params.counter, saltVersion: params.saltVersion, entropyBits, length: password.length },
+    };
+  }
+
+  if (params.scheme === "spectre-3") {
+    const password = await generateSpectre(masterPassword, params);
+    return {
+      password,
+      metadata: {
+        mode: "password",
+        scheme: params.scheme,
+        template: params.spectre.template,
+        kdf: params.kdf,
+        counter: params.counter,
+        saltVersion: params.saltVersion,
+        length: password.length,
+        complexity: { enforced: false, satisfied: true, constraints: [] },
+      },
+    };
+  }
+
+  const { password, enforced } = params.scheme === "lesspass-2" ? { password: await generateLessPass(masterPassword, params), enforced: true } : await generateCharacters(masterPassword, params);
+  return {
+    password,
+    metadata: {
+      mode: "password",
+      scheme: params.scheme,
+      profile: params.profile,
+      kdf: params.kdf,
+      counter: params.counter,
+      saltVersion: params.saltVersion,
+      length: password.length,
+      complexity: { enforced, ...checkComplexity(password, params.requirements) },
+    },
+  };
+};
+
+/**
+ * Generate security question answers locally
+ * Reproduces PasswordGeneration.generateSecurityAnswers: one key per platform, then one
+ * HKDF stream per canonical question (docs/generation-scheme.md section 7).
+ * @param {string} rawMasterPassword - Master password (stays on the device)
+ * @param {Object} params - Response "params" of POST /api/password/security-answer-params
+ * @param {Object} options - { wordlist } words from loadWordlist, required for the passphrase style
+ * @returns {Promise<Array<{question: string, answer: string}>>} Answers in question order
+ */
+export const generateAnswersFromParams = async (rawMasterPassword, params, options = {}) => {
+  if (params.scheme !== "safepass-answer-1") {
+    throw new Error(`Unsupported answer scheme: ${params.scheme}`);
+  }
+  if (params.style === "passphrase" && !options.wordlist) {
+    throw new Error(`Passphrase answers need the ${params.wordlist} word list`);
+  }
+
+  const key = await deriveKey(prepareMasterPassword(rawMasterPassword, params), params.salt, params.kdf, params.keyLength);
+  const answers = [];
+
+  for (const { question, canonical } of params.questions) {
+    const stream = createByteStream(key, `safepass-answer:v1:${canonical}`);
+    const words = [];
+    for (let i = 0; i < params.words; i++) {
+      if (params.style === "passphrase") {
+        words.push(options.wordlist[await stream.nextInt(options.wordlist.length)]);
+      } else {
+        let word = "";
+        for (let j = 0; j < params.syllables; j++) {
+          word += params.consonants[await stream.nextInt(params.consonants.length)];
+          word += params.vowels[await stream.nextInt(params.vowels.length)];
+        }
+        words.push(word);
+      }
+    }
+    answers.push({ question, answer: words.join(" ") });
+  }
+
+  return answers;
+};
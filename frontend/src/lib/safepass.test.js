@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { generateAnswersFromParams, generateFromParams, loadWordlist } from "./safepass.js";
+
+// Shared with the backend (backend/tests/vectors.test.js)
+const vectorsFile = new URL("../../../test-vectors/generation.json", import.meta.url);
+const answerVectorsFile = new URL("../../../test-vectors/security-answers.json", import.meta.url);
+const wordlistFile = new URL("../../../backend/data/eff_large_wordlist.txt", import.meta.url);
+
+const { vectors } = JSON.parse(await readFile(vectorsFile, "utf8"));
+const wordlistText = await readFile(wordlistFile, "utf8");
+const answerVectors = JSON.parse(await readFile(answerVectorsFile, "utf8")).vectors;
+
+for (const vector of vectors) {
+  test(vector.name, async () => {
+    const wordlist = vector.params.mode === "passphrase" ? await loadWordlist(wordlistText, vector.params.passphrase.wordlistSha256) : undefined;
+    const result = await generateFromParams(vector.masterPassword, vector.params, { wordlist });
+
+    assert.equal(result.password, vector.password);
+  });
+}
+
+test("rejects a word list with the wrong checksum", async () => {
+  await assert.rejects(loadWordlist(wordlistText + "extra\n", vectors.find((vector) => vector.params.mode === "passphrase").params.passphrase.wordlistSha256));
+});
+
+for (const vector of answerVectors) {
+  test(`security answers: ${vector.name}`, async () => {
+    const wordlist = vector.params.style === "passphrase" ? await loadWordlist(wordlistText, vector.params.wordlistSha256) : undefined;
+    const answers = await generateAnswersFromParams(vector.masterPassword, vector.params, { wordlist });
+
+    assert.deepEqual(
+      answers.map((entry) => entry.answer),
+      vector.answers,
+    );
+  });
+}
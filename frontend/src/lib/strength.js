@@ -0,0 +1,65 @@
+/**
+ * Client-side password strength estimate
+ *
+ * Same estimator and result shape as backend/utils/strength.js (POST /api/password/validate-strength),
+ * so passwords the user types are never sent anywhere to be rated. The dictionaries are large,
+ * so they are loaded on first use instead of with the app bundle.
+ */
+
+const LEVELS = ["very-weak", "weak", "fair", "strong", "very-strong"];
+
+// Same limits as the backend: matching cost grows quickly with length and l33t candidates
+const MAX_LENGTH = 64;
+const L33T_MAX_SUBSTITUTIONS = 10;
+
+let estimator = null;
+
+const getEstimator = async () => {
+  if (!estimator) {
+    estimator = Promise.all([import("@zxcvbn-ts/core"), import("@zxcvbn-ts/language-common"), import("@zxcvbn-ts/language-en")]).then(
+      ([{ ZxcvbnFactory }, common, en]) =>
+        new ZxcvbnFactory({
+          translations: en.translations,
+          graphs: common.adjacencyGraphs,
+          dictionary: { ...common.dictionary, ...en.dictionary },
+          maxLength: MAX_LENGTH,
+          l33tMaxSubstitutions: L33T_MAX_SUBSTITUTIONS,
+        }),
+    );
+  }
+  return estimator;
+};
+
+const describeMatch = (match) => {
+  const description = { pattern: match.pattern, token: match.token, start: match.i, end: match.j };
+  if (match.pattern === "dictionary") {
+    description.dictionary = match.dictionaryName;
+    description.l33t = Boolean(match.l33t);
+    description.reversed = Boolean(match.reversed);
+  }
+  return description;
+};
+
+/**
+ * Estimate how hard a password is to guess
+ * @param {string} password - Password to analyze
+ * @param {string[]} userInputs - Words an attacker would try first (platform, account, ...)
+ * @returns {Promise<Object>} score (0-4), level, guesses, entropyBits, crackTimes, feedback and matched patterns
+ */
+export const estimateStrength = async (password, userInputs = []) => {
+  const result = (await getEstimator()).check(
+    password,
+    userInputs.filter((input) => typeof input === "string" && input.length > 0),
+  );
+
+  return {
+    score: result.score,
+    level: LEVELS[result.score],
+    guesses: result.guesses,
+    guessesLog10: Math.round(result.guessesLog10 * 100) / 100,
+    entropyBits: Math.round(result.guessesLog10 * Math.log2(10) * 10) / 10,
+    crackTimes: Object.fromEntries(Object.entries(result.crackTimes).map(([scenario, time]) => [scenario, { seconds: time.seconds, display: time.display }])),
+    feedback: { warning: result.feedback.warning || null, suggestions: result.feedback.suggestions },
+    patterns: result.sequence.map(describeMatch),
+  };
+};
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { estimateStrength } from "./strength.js";
+
+test("rates a repeated dictionary word weak despite every character class", async () => {
+  const strength = await estimateStrength("Password1!Password1!");
+
+  assert.ok(strength.score <= 1);
+  assert.equal(strength.patterns[0].pattern, "repeat");
+});
+
+test("rates a random 20-character password very strong", async () => {
+  const strength = await estimateStrength("ctPoC9m0E$0:=x+WLi[A");
+
+  assert.equal(strength.level, "very-strong");
+  assert.ok(strength.entropyBits > 60);
+});
+
+test("penalizes user inputs", async () => {
+  const withInput = await estimateStrength("xkqvbzt2024", ["xkqvbzt"]);
+  const without = await estimateStrength("xkqvbzt2024");
+
+  assert.ok(withInput.guesses < without.guesses);
+});
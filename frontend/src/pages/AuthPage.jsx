@@ -6,6 +6,8 @@ import { useNavigate } from "react-router-dom";
 const AuthPage = () => {
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
+  // Remembered from the last sign-in; left empty, the server uses its default user
+  const [username, setUsername] = useState(() => localStorage.getItem("username") || "");
   const navigate = useNavigate();
 
   const handlePinSubmit = async (pin) => {
@@ -13,7 +15,7 @@ const AuthPage = () => {
       setLoading(true);
       setError("");
 
-      await authService.login(pin);
+      await authService.login(pin, username.trim().toLowerCase());
 
       // Redirect to home page or dashboard after successful login
       navigate("/");
@@ -46,7 +48,22 @@ const AuthPage = () => {
                     <p className="mt-2 text-gray-300">Verifying...</p>
                   </div>
                 ) : (
-                  <PinPad onPinSubmit={handlePinSubmit} error={error} />
+                  <>
+                    <input
+                      type="text"
+                      value={username}
+                      onChange={(e) => setUsername(e.target.value)}
+                      placeholder="Username (optional)"
+                      autoComplete="username"
+                      autoCapitalize="none"
+                      spellCheck={false}
+                      className="w-full mb-4 px-3 py-2 bg-white/5 border border-gray-600 rounded-lg text-white text-center placeholder-gray-400 focus:outline-none focus:border-blue-500"
+                    />
+                    <PinPad onPinSubmit={handlePinSubmit} error={error} />
+                    <button type="button" onClick={() => navigate("/reset-pin")} className="text-sm text-blue-400 hover:text-blue-300">
+                      Forgot PIN?
+                    </button>
+                  </>
                 )}
               </div>
             </div>
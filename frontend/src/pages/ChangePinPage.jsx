@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import PinPad from "../components/PinPad";
+import NewPinPad from "../components/NewPinPad";
+import { authService } from "../services/authService";
+
+// Current PIN, then the new PIN twice; other sessions of the user end on success
+const ChangePinPage = () => {
+  const [step, setStep] = useState("current");
+  const [currentPin, setCurrentPin] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+  const [sessionsRevoked, setSessionsRevoked] = useState(0);
+  const navigate = useNavigate();
+
+  const handleCurrentPin = (pin) => {
+    setCurrentPin(pin);
+    setError("");
+    setStep("new");
+  };
+
+  const handleNewPin = async (newPin) => {
+    try {
+      setLoading(true);
+      setError("");
+
+      const data = await authService.changePin(currentPin, newPin);
+      setSessionsRevoked(data.sessionsRevoked);
+      setCurrentPin("");
+      setStep("done");
+    } catch (err) {
+      setError(err.message);
+      // A rejected new PIN is chosen again; anything else starts over from the current PIN
+      setStep(err.code === "NEW_PIN_INVALID" ? "new" : "current");
+      setAttempt((count) => count + 1);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-gray-800">
+      <main className="container mx-auto px-4 py-12">
+        <div className="max-w-md mx-auto">
+          <div className="bg-white/10 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 p-8">
+            <div className="text-center">
+              <h2 className="text-xl font-semibold text-white mb-4">Change PIN</h2>
+
+              {loading ? (
+                <div className="text-center">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+                  <p className="mt-2 text-gray-300">Saving...</p>
+                </div>
+              ) : step === "current" ? (
+                <div>
+                  <p className="text-gray-300 mb-2">Enter your current PIN</p>
+                  <PinPad key={attempt} onPinSubmit={handleCurrentPin} error={error} />
+                </div>
+              ) : step === "new" ? (
+                <NewPinPad key={attempt} onPinChosen={handleNewPin} error={error} />
+              ) : (
+                <div className="space-y-4">
+                  <p className="text-green-400">Your PIN has been changed.</p>
+                  {sessionsRevoked > 0 && <p className="text-sm text-gray-300">Signed out {sessionsRevoked} other session(s).</p>}
+                </div>
+              )}
+
+              {!loading && (
+                <button type="button" onClick={() => navigate("/")} className="mt-6 text-sm text-blue-400 hover:text-blue-300">
+                  {step === "done" ? "Back to SafePass" : "Cancel"}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ChangePinPage;
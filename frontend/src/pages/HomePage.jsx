@@ -1,31 +1,200 @@
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { HmacSHA256 } from "crypto-js";
 import { authService } from "../services/authService";
 import PlatformSelector from "../components/PlatformSelector";
 import PasswordDisplay from "../components/PasswordDisplay";
+import KeyPairDisplay from "../components/KeyPairDisplay";
+import { generateAnswersFromParams, generateFromParams, loadWordlist, prepareMasterPassword } from "../lib/safepass";
+import { blind, buildOprfInput, finalize, fromHex, toHex } from "../lib/oprf";
+import { checkBreach } from "../lib/breach";
 
 // Should match the secret in authService
 const SECRET = import.meta.env.VITE_SECRET;
 
+// Output profiles offered by the backend (GET /api/password/profiles); "" keeps the platform default
+const OUTPUT_PROFILES = [
+  { value: "", label: "Platform default", defaultLength: null },
+  { value: "pin", label: "Numeric PIN", defaultLength: 6 },
+  { value: "alphanumeric", label: "Letters & digits", defaultLength: 16 },
+  { value: "letters", label: "Letters only", defaultLength: 12 },
+  { value: "hex", label: "Hex", defaultLength: 32 },
+  { value: "base32", label: "Base32", defaultLength: 16 },
+  { value: "custom", label: "Custom alphabet", defaultLength: 16 },
+];
+
+// What to generate; usernames and email local parts come from POST /api/password/generate-username,
+// key pairs from POST /api/password/generate-keys
+const OUTPUT_KINDS = [
+  { value: "password", label: "Password" },
+  { value: "username", label: "Username" },
+  { value: "email", label: "Email local part" },
+  { value: "ssh-ed25519", label: "SSH Key" },
+  { value: "age-x25519", label: "age Key" },
+];
+
+const KEY_TYPES = ["ssh-ed25519", "age-x25519"];
+
+const USERNAME_TEMPLATES = [
+  { value: "adjective-noun-digits", label: "Adjective + noun + digits" },
+  { value: "alnum", label: "Random letters & digits" },
+  { value: "syllables", label: "Pronounceable syllables" },
+];
+
+// Schemes that reproduce other password managers' output; "" keeps the SafePass algorithm (safepass-1),
+// "safepass-2" opts in to passwords with every required character class
+const ALGORITHMS = [
+  { value: "", label: "SafePass algorithm" },
+  { value: "safepass-2", label: "SafePass 2 (every character class guaranteed)" },
+  { value: "spectre-3", label: "Spectre (Master Password) compatible" },
+  { value: "lesspass-2", label: "LessPass compatible" },
+];
+
+// Spectre result templates for the spectre-3 scheme
+const SPECTRE_TEMPLATES = [
+  { value: "maximum", label: "Maximum (20 characters)" },
+  { value: "long", label: "Long (14 characters)" },
+  { value: "medium", label: "Medium (8 characters)" },
+  { value: "basic", label: "Basic (8 letters & digits)" },
+  { value: "short", label: "Short (4 characters)" },
+  { value: "pin", label: "PIN (4 digits)" },
+  { value: "name", label: "Name" },
+  { value: "phrase", label: "Phrase" },
+];
+
+// LessPass character set toggles for the lesspass-2 scheme
+const LESSPASS_SETS = [
+  { value: "lowercase", label: "a-z" },
+  { value: "uppercase", label: "A-Z" },
+  { value: "digits", label: "0-9" },
+  { value: "symbols", label: "%!@" },
+];
+
 const HomePage = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [masterPassword, setMasterPassword] = useState("");
+  const [masterPasswordBreach, setMasterPasswordBreach] = useState(null);
+  const [accountIdentifier, setAccountIdentifier] = useState("");
+  const [counter, setCounter] = useState(0);
+  const [profile, setProfile] = useState("");
+  const [profileLength, setProfileLength] = useState(16);
+  const [customAlphabet, setCustomAlphabet] = useState("");
+  const [algorithm, setAlgorithm] = useState("");
+  const [spectreTemplate, setSpectreTemplate] = useState("long");
+  const [fullName, setFullName] = useState("");
+  const [lesspassOptions, setLesspassOptions] = useState({ lowercase: true, uppercase: true, digits: true, symbols: true, length: 16 });
+  const [outputKind, setOutputKind] = useState("password");
+  const [usernameTemplate, setUsernameTemplate] = useState("adjective-noun-digits");
+  // Security questions, one per line; their answers are shown alongside the password
+  const [securityQuestions, setSecurityQuestions] = useState("");
+  const [answerStyle, setAnswerStyle] = useState("pronounceable");
+  const [answers, setAnswers] = useState(null);
+  // Key pairs are derived from a label instead of a platform
+  const [keyLabel, setKeyLabel] = useState("");
+  const [keyPair, setKeyPair] = useState(null);
   const [showPlatformSelector, setShowPlatformSelector] = useState(false);
   const [selectedPlatform, setSelectedPlatform] = useState(null);
   const [generatedPassword, setGeneratedPassword] = useState(null);
+  // Local generation only asks the server for salt and rules; the master password stays in the browser
+  const [generateLocally, setGenerateLocally] = useState(true);
+  // Server-bound passwords also need the server's OPRF key, so a leaked salt alone is not enough to brute-force them
+  const [serverBound, setServerBound] = useState(false);
+  // Canonical inputs: "café" typed on any keyboard and "Git Hub" vs "github" give the same password
+  const [canonical, setCanonical] = useState(false);
+  const [siteInput, setSiteInput] = useState("");
+  const wordlistCache = useRef({});
+  const isKey = KEY_TYPES.includes(outputKind);
+  const isUsername = outputKind === "username" || outputKind === "email";
+  // Both SafePass schemes can be server-bound; the other algorithms reproduce outside apps
+  const isSafePass = !algorithm || algorithm === "safepass-2";
 
   const handleLogout = async () => {
     await authService.logout();
     navigate("/auth");
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!masterPassword || !selectedPlatform) return;
+  // Breach range for a SHA-1 prefix; null when the server has no range data
+  const fetchBreachRange = async (prefix) => {
+    const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/password/breach-range/${prefix}`);
+    const data = await response.json();
+    return data.success ? data.suffixes : null;
+  };
+
+  // Checked by hash prefix when the field is left; the master password itself is not sent
+  const handleMasterPasswordBlur = async () => {
+    if (!masterPassword) return;
+    try {
+      setMasterPasswordBreach(await checkBreach(masterPassword, fetchBreachRange));
+    } catch {
+      setMasterPasswordBreach(null);
+    }
+  };
+
+  // POST a JSON body signed with the challenge token (same scheme as verify-pin)
+  const postSigned = async (path, requestBody) => {
+    const { token: challengeToken, csrf } = await authService.getChallengeToken();
+    const timestamp = Date.now();
 
+    // Generate HMAC signature
+    const bodyString = JSON.stringify(requestBody);
+    const message = `${bodyString}|${challengeToken}|${timestamp}`;
+    const hmacSignature = HmacSHA256(message, SECRET).toString();
+
+    const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Session-Id": localStorage.getItem("sessionId"),
+        "X-HMAC-Signature": hmacSignature,
+        "X-Timestamp": timestamp.toString(),
+        "X-Challenge-Token": challengeToken,
+        "X-CSRF-Token": csrf,
+      },
+      body: bodyString,
+    });
+
+    return response.json();
+  };
+
+  const getWordlist = async (passphrase) => {
+    if (!wordlistCache.current[passphrase.wordlist]) {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/password/wordlists/${encodeURIComponent(passphrase.wordlist)}`);
+      wordlistCache.current[passphrase.wordlist] = await loadWordlist(await response.text(), passphrase.wordlistSha256);
+    }
+    return wordlistCache.current[passphrase.wordlist];
+  };
+
+  // Run the OPRF with the server; its output takes the master password's place in the KDF
+  const getServerBoundSecret = async (params) => {
+    const input = buildOprfInput(prepareMasterPassword(masterPassword, params), params.oprf.context);
+    const blinded = blind(input);
+    const data = await postSigned("/api/password/oprf-evaluate", { blindedElement: toHex(blinded.blindedElement) });
+
+    if (!data.success) {
+      throw new Error(data.error || "Failed to evaluate OPRF");
+    }
+    return toHex(finalize(input, blinded.blind, fromHex(data.evaluatedElement)));
+  };
+
+  // Resolve a URL or domain to its platform key; resolved keys are canonical, so they always generate with canonical inputs
+  const handleResolveSite = async () => {
+    try {
+      setError("");
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/password/resolve?input=${encodeURIComponent(siteInput.trim())}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.details || data.error || "Failed to resolve platform");
+      }
+      setSelectedPlatform({ id: data.platform, name: data.platform, icon: "🌐", resolved: true });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const requestPassword = async (counterValue) => {
     try {
       setLoading(true);
       setError("");
@@ -34,49 +203,107 @@ const HomePage = () => {
         throw new Error("Invalid platform selected");
       }
 
-      // Get challenge token first
-      const challengeResponse = await authService.getChallengeToken();
-      const { token: challengeToken, csrf } = challengeResponse;
+      // Usernames are derived on the server with their own salt; the platform is always canonicalized
+      if (isUsername) {
+        const data = await postSigned("/api/password/generate-username", {
+          masterPassword,
+          platform: selectedPlatform.id,
+          kind: outputKind,
+          usernameRules: { template: usernameTemplate },
+          ...(counterValue > 0 && { counter: counterValue }),
+        });
+
+        if (data.success) {
+          setGeneratedPassword(data.username);
+          setCounter(counterValue);
+        } else {
+          setError(Array.isArray(data.details) ? data.details.join(". ") : data.error || "Failed to generate username");
+        }
+        return;
+      }
 
-      // Prepare HMAC
-      const timestamp = Date.now();
       const requestBody = {
-        masterPassword,
         platform: selectedPlatform.id,
       };
 
+      // Left out when off so existing passwords keep their original inputs
+      if (canonical || selectedPlatform.resolved) {
+        requestBody.canonical = true;
+      }
+
+      // Only send the account when given, so platform-only passwords stay reproducible
+      if (accountIdentifier.trim() && algorithm !== "spectre-3") {
+        requestBody.accountIdentifier = accountIdentifier.trim();
+      }
+
+      // Spectre derives from the full name exactly as typed in the Spectre app
+      if (algorithm === "spectre-3") {
+        requestBody.passwordRules = {
+          scheme: "spectre-3",
+          spectre: { fullName, template: spectreTemplate },
+        };
+      } else if (algorithm === "lesspass-2") {
+        // The account identifier is the LessPass login
+        requestBody.passwordRules = { scheme: "lesspass-2", lesspass: lesspassOptions };
+      } else if (algorithm === "safepass-2") {
+        requestBody.passwordRules = { scheme: "safepass-2" };
+      } else if (profile) {
+        requestBody.passwordRules = {
+          profile,
+          length: profileLength,
+          ...(profile === "custom" && { alphabet: customAlphabet }),
+        };
+      }
+
+      // Counter 0 is the original password, so it is left out of the request
+      if (counterValue > 0) {
+        requestBody.counter = counterValue;
+      }
+
       // Validate required parameters
-      if (!requestBody.masterPassword || !requestBody.platform) {
+      if (!masterPassword || !requestBody.platform) {
         throw new Error("Missing required parameters");
       }
 
-      // Generate HMAC signature
-      const bodyString = JSON.stringify(requestBody);
-      const message = `${bodyString}|${challengeToken}|${timestamp}`;
-      const hmacSignature = HmacSHA256(message, SECRET).toString();
-
-      // Production-ready HMAC generation without debug logs
-
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/password/generate-password`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Session-Id": localStorage.getItem("sessionId"),
-          "X-HMAC-Signature": hmacSignature,
-          "X-Timestamp": timestamp.toString(),
-          "X-Challenge-Token": challengeToken,
-          "X-CSRF-Token": csrf,
-        },
-        body: bodyString,
-      });
+      const path = generateLocally ? "/api/password/derivation-params" : "/api/password/generate-password";
+      const data = await postSigned(path, generateLocally ? { ...requestBody, ...(serverBound && isSafePass && { oprf: true }) } : { masterPassword, ...requestBody });
 
-      const data = await response.json();
+      if (data.success && generateLocally) {
+        const wordlist = data.params.mode === "passphrase" ? await getWordlist(data.params.passphrase) : undefined;
+        const secret = data.params.oprf ? await getServerBoundSecret(data.params) : masterPassword;
+        const result = await generateFromParams(secret, data.params, { wordlist });
+        setGeneratedPassword(result.password);
+        setCounter(counterValue);
+      } else if (data.success) {
+        setGeneratedPassword(data.password);
+        setCounter(counterValue);
+      } else {
+        setError(Array.isArray(data.details) ? data.details.join(". ") : data.error || "Failed to generate password");
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Key pairs are always derived on the server; the private key is kept only until the user hides it
+  const requestKeyPair = async () => {
+    try {
+      setLoading(true);
+      setError("");
+
+      const data = await postSigned("/api/password/generate-keys", {
+        masterPassword,
+        label: keyLabel.trim(),
+        type: outputKind,
+        ...(counter > 0 && { counter }),
+      });
 
       if (data.success) {
-        setGeneratedPassword(data.password);
-        setMasterPassword("");
+        setKeyPair({ publicKey: data.publicKey, privateKey: data.privateKey, metadata: data.metadata });
       } else {
-        setError(data.error || "Failed to generate password");
+        setError(Array.isArray(data.details) ? data.details.join(". ") : data.error || "Failed to generate key pair");
       }
     } catch (err) {
       setError(err.message);
@@ -85,24 +312,107 @@ const HomePage = () => {
     }
   };
 
+  // Answers do not change with the password version, so they are fetched once per submit
+  const requestAnswers = async () => {
+    const questions = securityQuestions
+      .split("\n")
+      .map((question) => question.trim())
+      .filter(Boolean);
+    if (outputKind !== "password" || questions.length === 0) {
+      setAnswers(null);
+      return;
+    }
+
+    try {
+      const requestBody = { platform: selectedPlatform.id, questions, style: answerStyle };
+      const path = generateLocally ? "/api/password/security-answer-params" : "/api/password/security-answers";
+      const data = await postSigned(path, generateLocally ? requestBody : { masterPassword, ...requestBody });
+
+      if (!data.success) {
+        throw new Error(Array.isArray(data.details) ? data.details.join(". ") : data.error || "Failed to generate security answers");
+      }
+      if (generateLocally) {
+        const wordlist = data.params.style === "passphrase" ? await getWordlist(data.params) : undefined;
+        setAnswers(await generateAnswersFromParams(masterPassword, data.params, { wordlist }));
+      } else {
+        setAnswers(data.answers);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isKey) {
+      if (masterPassword && keyLabel.trim()) {
+        await requestKeyPair();
+      }
+      return;
+    }
+    if (!masterPassword || !selectedPlatform) return;
+
+    await requestPassword(counter);
+    await requestAnswers();
+  };
+
+  // Rotating keeps the master password in memory until the user resets the form
+  const handleRotate = () => requestPassword(counter + 1);
+
+  const handlePreviousVersion = () => {
+    if (counter > 0) {
+      requestPassword(counter - 1);
+    }
+  };
+
+  const handleProfileChange = (value) => {
+    setProfile(value);
+    const selected = OUTPUT_PROFILES.find((option) => option.value === value);
+    if (selected?.defaultLength) {
+      setProfileLength(selected.defaultLength);
+    }
+  };
+
   const handleReset = () => {
     setGeneratedPassword(null);
     setSelectedPlatform(null);
     setMasterPassword("");
+    setAccountIdentifier("");
+    setCounter(0);
+    setProfile("");
+    setCustomAlphabet("");
+    setFullName("");
+    setSecurityQuestions("");
+    setAnswers(null);
+    setKeyLabel("");
+    setKeyPair(null);
     setError("");
   };
 
+  const canSubmit = masterPassword && (isKey ? keyLabel.trim() : selectedPlatform);
+  const signedInAs = localStorage.getItem("username");
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-gray-800">
       {/* Header */}
       <header className="bg-gray-900/80 backdrop-blur-sm border-b border-gray-700">
         <div className="container mx-auto px-4 py-6 flex justify-between items-center">
           <h1 className="text-3xl font-bold text-white">🔐 SafePass</h1>
-          <button onClick={handleLogout} className="p-2 text-white bg-red-500 hover:bg-red-600 rounded-lg transition-all duration-200 hover:scale-105" title="Exit">
-            <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
-            </svg>
-          </button>
+          <div className="flex items-center space-x-3">
+            {signedInAs && <span className="text-sm text-gray-300">{signedInAs}</span>}
+            <button
+              onClick={() => navigate("/change-pin")}
+              className="px-3 py-2 text-sm text-white bg-white/10 border border-gray-600 hover:bg-white/20 rounded-lg transition-all duration-200"
+              title="Change PIN"
+            >
+              Change PIN
+            </button>
+            <button onClick={handleLogout} className="p-2 text-white bg-red-500 hover:bg-red-600 rounded-lg transition-all duration-200 hover:scale-105" title="Exit">
+              <svg className="w-6 h-6" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+              </svg>
+            </button>
+          </div>
         </div>
       </header>
 
@@ -118,15 +428,33 @@ const HomePage = () => {
                   </svg>
                 </div>
 
-                <h2 className="text-xl font-semibold text-white mb-2">{generatedPassword ? "Generated Password" : "Generate Password"}</h2>
+                <h2 className="text-xl font-semibold text-white mb-2">
+                  {generatedPassword || keyPair ? "Generated" : "Generate"} {OUTPUT_KINDS.find((option) => option.value === outputKind).label}
+                </h2>
 
                 {error && <div className="text-red-400 text-sm mb-4">{error}</div>}
 
-                {generatedPassword ? (
+                {keyPair ? (
+                  <div className="space-y-4">
+                    <KeyPairDisplay keyPair={keyPair} onForgetPrivateKey={() => setKeyPair({ ...keyPair, privateKey: null })} />
+                    <button onClick={handleReset} className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white hover:bg-white/10 transition-colors">
+                      Generate Another
+                    </button>
+                  </div>
+                ) : generatedPassword ? (
                   <div className="space-y-4">
-                    <PasswordDisplay password={generatedPassword} />
+                    <PasswordDisplay
+                      password={generatedPassword}
+                      counter={counter}
+                      loading={loading}
+                      onRotate={handleRotate}
+                      onPrevious={handlePreviousVersion}
+                      userInputs={[selectedPlatform?.name, accountIdentifier.trim()].filter(Boolean)}
+                      secret={outputKind === "password"}
+                      answers={answers}
+                    />
                     <button onClick={handleReset} className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white hover:bg-white/10 transition-colors">
-                      Generate Another Password
+                      Generate Another
                     </button>
                   </div>
                 ) : (
@@ -135,41 +463,300 @@ const HomePage = () => {
                       <input
                         type="password"
                         value={masterPassword}
-                        onChange={(e) => setMasterPassword(e.target.value)}
+                        onChange={(e) => {
+                          setMasterPassword(e.target.value);
+                          setMasterPasswordBreach(null);
+                        }}
+                        onBlur={handleMasterPasswordBlur}
                         placeholder="Enter Master Password"
                         className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400"
                         required
                       />
+                      {masterPasswordBreach?.breached && (
+                        <p className="mt-1 text-sm text-left text-yellow-400">
+                          This password appears {masterPasswordBreach.count.toLocaleString()} times in known breaches. Choose another master password.
+                        </p>
+                      )}
                     </div>
 
-                    <div>
-                      {selectedPlatform ? (
-                        <button
-                          type="button"
-                          onClick={() => setShowPlatformSelector(true)}
-                          className="w-full p-3 rounded-lg bg-blue-500/20 border border-blue-500/30 text-white hover:bg-blue-500/30 transition-colors flex items-center justify-center space-x-2"
+                    <div className="flex items-center space-x-3">
+                      <select value={outputKind} onChange={(e) => setOutputKind(e.target.value)} className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white" aria-label="Output">
+                        {OUTPUT_KINDS.map((option) => (
+                          <option key={option.value} value={option.value} className="bg-gray-800">
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      {isUsername && (
+                        <select
+                          value={usernameTemplate}
+                          onChange={(e) => setUsernameTemplate(e.target.value)}
+                          className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white"
+                          aria-label="Username template"
                         >
-                          <span className="text-xl">{selectedPlatform.icon}</span>
-                          <span>{selectedPlatform.name}</span>
-                        </button>
-                      ) : (
-                        <button type="button" onClick={() => setShowPlatformSelector(true)} className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white hover:bg-white/10 transition-colors">
-                          Select Platform
-                        </button>
+                          {USERNAME_TEMPLATES.map((option) => (
+                            <option key={option.value} value={option.value} className="bg-gray-800">
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
                       )}
                     </div>
 
+                    {isUsername && <p className="text-sm text-gray-300 text-left">Generated on the server, unrelated to your passwords and to the usernames on other platforms.</p>}
+
+                    {isKey && (
+                      <>
+                        <input
+                          type="text"
+                          value={keyLabel}
+                          onChange={(e) => setKeyLabel(e.target.value)}
+                          placeholder="Key label, e.g. github or backup disk"
+                          autoComplete="off"
+                          maxLength={100}
+                          className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400"
+                          required
+                        />
+                        <p className="text-sm text-gray-300 text-left">Generated on the server. The same master password, label and version always give the same key.</p>
+                      </>
+                    )}
+
+                    {outputKind === "password" && (
+                      <>
+                        <label className="flex items-center space-x-2 text-sm text-gray-300 text-left">
+                          <input type="checkbox" checked={generateLocally} onChange={(e) => setGenerateLocally(e.target.checked)} className="rounded" />
+                          <span>Generate on this device (master password is never sent)</span>
+                        </label>
+
+                        <label className="flex items-center space-x-2 text-sm text-gray-300 text-left">
+                          <input type="checkbox" checked={canonical} onChange={(e) => setCanonical(e.target.checked)} className="rounded" />
+                          <span>Normalize Unicode and platform names (produces different passwords)</span>
+                        </label>
+
+                        {generateLocally && isSafePass && (
+                          <label className="flex items-center space-x-2 text-sm text-gray-300 text-left">
+                            <input type="checkbox" checked={serverBound} onChange={(e) => setServerBound(e.target.checked)} className="rounded" />
+                            <span>Server-bound (OPRF): also requires this server's key; produces different passwords</span>
+                          </label>
+                        )}
+
+                        <select value={algorithm} onChange={(e) => setAlgorithm(e.target.value)} className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white" aria-label="Algorithm">
+                          {ALGORITHMS.map((option) => (
+                            <option key={option.value} value={option.value} className="bg-gray-800">
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+
+                        {algorithm === "spectre-3" && (
+                          <select
+                            value={spectreTemplate}
+                            onChange={(e) => setSpectreTemplate(e.target.value)}
+                            className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white"
+                            aria-label="Spectre template"
+                          >
+                            {SPECTRE_TEMPLATES.map((option) => (
+                              <option key={option.value} value={option.value} className="bg-gray-800">
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+
+                        {algorithm === "lesspass-2" && (
+                          <div className="flex items-center space-x-3 text-sm text-gray-300">
+                            {LESSPASS_SETS.map((option) => (
+                              <label key={option.value} className="flex items-center space-x-1">
+                                <input
+                                  type="checkbox"
+                                  checked={lesspassOptions[option.value]}
+                                  onChange={(e) => setLesspassOptions({ ...lesspassOptions, [option.value]: e.target.checked })}
+                                  className="rounded"
+                                />
+                                <span className="font-mono">{option.label}</span>
+                              </label>
+                            ))}
+                            <input
+                              type="number"
+                              min={5}
+                              max={35}
+                              value={lesspassOptions.length}
+                              onChange={(e) => setLesspassOptions({ ...lesspassOptions, length: parseInt(e.target.value) || 0 })}
+                              className="w-20 p-2 rounded-lg bg-white/5 border border-gray-600 text-white"
+                              aria-label="LessPass length"
+                            />
+                          </div>
+                        )}
+
+                        {algorithm === "spectre-3" ? (
+                          <div>
+                            <input
+                              type="text"
+                              value={fullName}
+                              onChange={(e) => setFullName(e.target.value)}
+                              placeholder="Full name, exactly as in your Spectre app"
+                              autoComplete="off"
+                              maxLength={100}
+                              className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400"
+                              required
+                            />
+                          </div>
+                        ) : (
+                          <div>
+                            <input
+                              type="text"
+                              value={accountIdentifier}
+                              onChange={(e) => setAccountIdentifier(e.target.value)}
+                              placeholder="Account email or username (optional)"
+                              autoComplete="off"
+                              maxLength={254}
+                              className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400"
+                            />
+                          </div>
+                        )}
+                      </>
+                    )}
+
+                    <div className="flex items-center space-x-3">
+                      <label htmlFor="counter" className="text-sm text-gray-300 whitespace-nowrap">
+                        Version
+                      </label>
+                      <input
+                        id="counter"
+                        type="number"
+                        min={0}
+                        max={9999}
+                        value={counter}
+                        onChange={(e) => setCounter(Math.min(9999, Math.max(0, parseInt(e.target.value) || 0)))}
+                        className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400"
+                      />
+                    </div>
+
+                    {outputKind === "password" && !algorithm && (
+                      <div className="flex items-center space-x-3">
+                        <select
+                          value={profile}
+                          onChange={(e) => handleProfileChange(e.target.value)}
+                          className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white"
+                          aria-label="Output profile"
+                        >
+                          {OUTPUT_PROFILES.map((option) => (
+                            <option key={option.value} value={option.value} className="bg-gray-800">
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                        {profile && (
+                          <input
+                            type="number"
+                            min={4}
+                            max={profile === "pin" ? 12 : 128}
+                            value={profileLength}
+                            onChange={(e) => setProfileLength(parseInt(e.target.value) || 0)}
+                            className="w-24 p-3 rounded-lg bg-white/5 border border-gray-600 text-white"
+                            aria-label="Length"
+                          />
+                        )}
+                      </div>
+                    )}
+
+                    {outputKind === "password" && (
+                      <div className="space-y-2">
+                        <textarea
+                          value={securityQuestions}
+                          onChange={(e) => setSecurityQuestions(e.target.value)}
+                          placeholder="Security questions, one per line (optional)"
+                          rows={2}
+                          className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400"
+                        />
+                        {securityQuestions.trim() && (
+                          <select
+                            value={answerStyle}
+                            onChange={(e) => setAnswerStyle(e.target.value)}
+                            className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white"
+                            aria-label="Answer style"
+                          >
+                            <option value="pronounceable" className="bg-gray-800">
+                              Pronounceable nonsense words
+                            </option>
+                            <option value="passphrase" className="bg-gray-800">
+                              Passphrase words
+                            </option>
+                          </select>
+                        )}
+                      </div>
+                    )}
+
+                    {outputKind === "password" && !algorithm && profile === "custom" && (
+                      <div>
+                        <input
+                          type="text"
+                          value={customAlphabet}
+                          onChange={(e) => setCustomAlphabet(e.target.value)}
+                          placeholder="Allowed characters, e.g. ABCDEF0123456789"
+                          autoComplete="off"
+                          maxLength={128}
+                          className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400 font-mono"
+                          required
+                        />
+                      </div>
+                    )}
+
+                    {!isKey && (
+                      <>
+                        <div>
+                          {selectedPlatform ? (
+                            <button
+                              type="button"
+                              onClick={() => setShowPlatformSelector(true)}
+                              className="w-full p-3 rounded-lg bg-blue-500/20 border border-blue-500/30 text-white hover:bg-blue-500/30 transition-colors flex items-center justify-center space-x-2"
+                            >
+                              <span className="text-xl">{selectedPlatform.icon}</span>
+                              <span>{selectedPlatform.name}</span>
+                            </button>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => setShowPlatformSelector(true)}
+                              className="w-full p-3 rounded-lg bg-white/5 border border-gray-600 text-white hover:bg-white/10 transition-colors"
+                            >
+                              Select Platform
+                            </button>
+                          )}
+                        </div>
+
+                        <div className="flex space-x-2">
+                          <input
+                            type="text"
+                            value={siteInput}
+                            onChange={(e) => setSiteInput(e.target.value)}
+                            placeholder="…or a website / URL (e.g. accounts.google.com)"
+                            autoComplete="off"
+                            className="flex-1 p-3 rounded-lg bg-white/5 border border-gray-600 text-white placeholder-gray-400"
+                          />
+                          <button
+                            type="button"
+                            onClick={handleResolveSite}
+                            disabled={!siteInput.trim()}
+                            className="px-4 rounded-lg bg-white/5 border border-gray-600 text-white hover:bg-white/10 transition-colors disabled:opacity-50"
+                          >
+                            Use site
+                          </button>
+                        </div>
+                      </>
+                    )}
+
                     <button
                       type="submit"
-                      disabled={loading || !masterPassword || !selectedPlatform}
-                      className={`w-full p-3 rounded-lg text-white transition-colors ${loading || !masterPassword || !selectedPlatform ? "bg-gray-500 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700"}`}
+                      disabled={loading || !canSubmit}
+                      className={`w-full p-3 rounded-lg text-white transition-colors ${loading || !canSubmit ? "bg-gray-500 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700"}`}
                     >
                       {loading ? (
                         <div className="flex items-center justify-center">
                           <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
                         </div>
                       ) : (
-                        "Generate Password"
+                        `Generate ${OUTPUT_KINDS.find((option) => option.value === outputKind).label}`
                       )}
                     </button>
                   </form>
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import NewPinPad from "../components/NewPinPad";
+import { authService } from "../services/authService";
+
+// Forgotten PIN: a one-time recovery code from enrollment, then the new PIN twice
+const ResetPinPage = () => {
+  const [step, setStep] = useState("code");
+  const [username, setUsername] = useState(() => localStorage.getItem("username") || "");
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+  const [recoveryCodesLeft, setRecoveryCodesLeft] = useState(null);
+  const navigate = useNavigate();
+
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    if (recoveryCode.trim()) {
+      setError("");
+      setStep("new");
+    }
+  };
+
+  const handleNewPin = async (newPin) => {
+    try {
+      setLoading(true);
+      setError("");
+
+      const data = await authService.resetPin(username.trim().toLowerCase(), recoveryCode.trim(), newPin);
+      setRecoveryCodesLeft(data.recoveryCodesLeft);
+      setRecoveryCode("");
+      setStep("done");
+    } catch (err) {
+      setError(err.message);
+      // A rejected new PIN is chosen again; anything else goes back to the recovery code
+      setStep(err.code === "NEW_PIN_INVALID" ? "new" : "code");
+      setAttempt((count) => count + 1);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-gray-800">
+      <main className="container mx-auto px-4 py-12">
+        <div className="max-w-md mx-auto">
+          <div className="bg-white/10 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 p-8">
+            <div className="text-center">
+              <h2 className="text-xl font-semibold text-white mb-4">Reset PIN</h2>
+
+              {loading ? (
+                <div className="text-center">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+                  <p className="mt-2 text-gray-300">Saving...</p>
+                </div>
+              ) : step === "code" ? (
+                <form onSubmit={handleCodeSubmit} className="space-y-4">
+                  <p className="text-gray-300">Enter one of the recovery codes you received when your account was created. Each code works once.</p>
+                  <input
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder="Username (optional)"
+                    autoComplete="username"
+                    autoCapitalize="none"
+                    spellCheck={false}
+                    className="w-full px-3 py-2 bg-white/5 border border-gray-600 rounded-lg text-white text-center placeholder-gray-400 focus:outline-none focus:border-blue-500"
+                  />
+                  <input
+                    type="text"
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    placeholder="XXXX-XXXX-XXXX-XXXX"
+                    autoComplete="one-time-code"
+                    autoCapitalize="characters"
+                    spellCheck={false}
+                    className="w-full px-3 py-2 bg-white/5 border border-gray-600 rounded-lg text-white text-center font-mono placeholder-gray-400 focus:outline-none focus:border-blue-500"
+                  />
+                  {error && <div className="text-red-400 text-sm">{error}</div>}
+                  <button
+                    type="submit"
+                    disabled={!recoveryCode.trim()}
+                    className="w-full p-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Continue
+                  </button>
+                </form>
+              ) : step === "new" ? (
+                <NewPinPad key={attempt} onPinChosen={handleNewPin} error={error} />
+              ) : (
+                <div className="space-y-4">
+                  <p className="text-green-400">Your PIN has been reset. Sign in with the new PIN.</p>
+                  <p className="text-sm text-gray-300">
+                    {recoveryCodesLeft === 0 ? "That was your last recovery code. Ask your administrator for new ones." : `${recoveryCodesLeft} recovery code(s) left.`}
+                  </p>
+                </div>
+              )}
+
+              {!loading && (
+                <button type="button" onClick={() => navigate("/auth")} className="mt-6 text-sm text-blue-400 hover:text-blue-300">
+                  {step === "done" ? "Sign in" : "Back to sign in"}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ResetPinPage;
@@ -23,9 +23,9 @@ export const authService = {
     }
   },
 
-  generateHMAC(challengeToken, timestamp, pin) {
-    // Request body
-    const requestBodyObj = { pin };
+  generateHMAC(challengeToken, timestamp, pin, username) {
+    // Request body; without a username the server signs in the default user
+    const requestBodyObj = username ? { username, pin } : { pin };
     const bodyString = JSON.stringify(requestBodyObj);
 
     // HMAC message format: data|challengeToken|timestamp
@@ -40,7 +40,7 @@ export const authService = {
     };
   },
 
-  async login(pin) {
+  async login(pin, username) {
     try {
       // Step 1: Get challenge token
       const challengeResponse = await this.getChallengeToken();
@@ -48,7 +48,7 @@ export const authService = {
 
       // Step 2: Prepare HMAC
       const timestamp = Date.now();
-      const { requestBody, hmacSignature } = this.generateHMAC(challengeToken, timestamp, pin);
+      const { requestBody, hmacSignature } = this.generateHMAC(challengeToken, timestamp, pin, username);
 
       // Step 3: Login request
       const response = await fetch(`${API_BASE}/api/auth/verify-pin`, {
@@ -72,6 +72,7 @@ export const authService = {
 
       if (data.success) {
         localStorage.setItem("sessionId", data.data.sessionId);
+        localStorage.setItem("username", data.data.username);
         return data.data;
       } else {
         throw new Error(data.error || "Login failed");
@@ -81,6 +82,47 @@ export const authService = {
     }
   },
 
+  // POST an HMAC-signed JSON body with a fresh challenge token; resolves to the response data
+  async signedPost(path, requestBody, headers = {}) {
+    const { token: challengeToken, csrf } = await this.getChallengeToken();
+    const timestamp = Date.now();
+    const message = `${JSON.stringify(requestBody)}|${challengeToken}|${timestamp}`;
+    const hmacSignature = crypto.HmacSHA256(message, SECRET).toString();
+
+    const response = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      headers: {
+        "ngrok-skip-browser-warning": "true",
+        "Content-Type": "application/json",
+        "X-HMAC-Signature": hmacSignature,
+        "X-Timestamp": timestamp.toString(),
+        "X-Challenge-Token": challengeToken,
+        "X-CSRF-Token": csrf,
+        ...headers,
+      },
+      body: JSON.stringify(requestBody),
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      const error = new Error(data.error || data.message || "Request failed");
+      error.code = data.code;
+      throw error;
+    }
+    return data.data;
+  },
+
+  // Change the signed-in user's PIN; the user's other sessions end
+  async changePin(currentPin, newPin) {
+    return this.signedPost("/api/auth/change-pin", { currentPin, newPin }, { "X-Session-Id": localStorage.getItem("sessionId") });
+  },
+
+  // Set a new PIN with a one-time recovery code; every session of the user ends
+  async resetPin(username, recoveryCode, newPin) {
+    const requestBody = username ? { username, recoveryCode, newPin } : { recoveryCode, newPin };
+    return this.signedPost("/api/auth/reset-pin", requestBody);
+  },
+
   async validateSession() {
     const sessionId = localStorage.getItem("sessionId");
     if (!sessionId) return false;